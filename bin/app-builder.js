@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+    DATA_DIR, JOB_RETENTION_DAYS, PUBLISHER, TASK_NAME_MODE,
+    NOTIFY_IMMEDIATE_DELAYS_SECONDS, NOTIFY_RETRY_SCHEDULE_SECONDS,
+} from '../lib/config.js';
+import { JOB_STATES, applyJobUpdate, createJob, createJobStore, describeJob } from '../lib/jobQueue.js';
+import { createPublisher } from '../lib/publishers/index.js';
+import { createDirectoryPublisher } from '../lib/publishers/directory.js';
+import { createNotifier } from '../lib/notifications.js';
+import { createPipeline, latestPublishedRound } from '../lib/pipeline.js';
+import { validateTaskRequest } from '../lib/requestSchema.js';
+import { installConsoleLogger, withLogContext } from '../lib/logger.js';
+import { createRepoManager, REPO_ACTIONS } from '../lib/repoLifecycle.js';
+
+/**
+ * app-builder: runs the build pipeline from the command line, without the HTTP server.
+ * Results go to stdout (as JSON with --json); the pipeline's logs go to stderr.
+ * Exit codes: 0 success, 1 the command failed, 2 bad usage or an invalid request.
+ */
+
+const USAGE = `Usage: app-builder <command> [options]
+
+Commands:
+  build --task <name> --brief <text>   Generate round 1 (or --round) of an app and publish it
+  revise --task <name> --brief <text>  Revise a published app; the round defaults to the next one
+  status <task>                        Show the server's jobs for a task, or what is published
+  notify [--replay [id...]]            List undelivered evaluator notifications, or replay them
+  repos [list]                         List the task repositories the publisher created
+  repos <action> [name...]             ${REPO_ACTIONS.join(', ')} task repositories
+
+Options for build and revise:
+  --brief <text>             The app description ('-' reads it from stdin)
+  --brief-file <path>        Read the brief from a file ('-' for stdin)
+  --task <name>              Task (repository) name
+  --round <n>                Round number
+  --out <dir>                Write the files to <dir> instead of publishing them
+  --publisher <name>         github, local or git (default: PUBLISHER, now ${PUBLISHER})
+  --checks <file>            JSON file with the acceptance checks
+  --attachment <file>        File for the app to use (repeatable)
+  --candidates <n>           Generate n apps and publish the best-scoring one (new apps only)
+  --license <id>             License of the generated repo
+  --copyright-holder <name>  Name on the license's copyright line
+  --evaluation-url <url>     Where to POST the result; also --email and --nonce
+
+Options for repos:
+  --older-than <days>        Only repositories created more than <days> days ago
+  --all                      Every task repository (an action needs names, --all or --older-than)
+  --to <owner>               The user or organisation to transfer to
+
+Common options:
+  --dry-run                  Build but don't publish or notify; with notify --replay or repos, only list
+  --json                     Print the result as JSON
+  -h, --help                 Show this help
+
+With no --brief or --brief-file, the brief is read from stdin when it is not a terminal.
+`;
+
+const OPTIONS = {
+    brief: { type: 'string' },
+    'brief-file': { type: 'string' },
+    task: { type: 'string' },
+    round: { type: 'string' },
+    out: { type: 'string' },
+    publisher: { type: 'string' },
+    checks: { type: 'string' },
+    attachment: { type: 'string', multiple: true },
+    candidates: { type: 'string' },
+    license: { type: 'string' },
+    'copyright-holder': { type: 'string' },
+    'evaluation-url': { type: 'string' },
+    email: { type: 'string' },
+    nonce: { type: 'string' },
+    replay: { type: 'boolean' },
+    'older-than': { type: 'string' },
+    all: { type: 'boolean' },
+    to: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * An error caused by how the CLI was called; reported with exit code 2.
+ */
+function usageError(message, details = []) {
+    const err = new Error(message);
+    err.usage = true;
+    err.details = details;
+    return err;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Reads the brief from --brief, --brief-file or stdin.
+ * @param {object} values - The parsed options.
+ * @returns {Promise<string|undefined>}
+ */
+async function readBrief(values) {
+    if (values.brief !== undefined && values['brief-file'] !== undefined) throw usageError('Use either --brief or --brief-file, not both.');
+    if (values.brief === '-' || values['brief-file'] === '-') return readStdin();
+    if (values['brief-file'] !== undefined) return fs.readFile(values['brief-file'], 'utf8');
+    if (values.brief !== undefined) return values.brief;
+    return process.stdin.isTTY ? undefined : readStdin();
+}
+
+async function readJsonFile(filePath, option) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        throw usageError(`${option}: ${err.message}`);
+    }
+}
+
+/**
+ * Turns files named with --attachment into request attachments (data: URIs). The media type
+ * is sniffed from the content by lib/attachments.js, as for attachments sent to the server.
+ * @param {string[]} filePaths
+ * @returns {Promise<object[]>}
+ */
+async function readAttachments(filePaths = []) {
+    return Promise.all(filePaths.map(async (filePath) => ({
+        name: path.basename(filePath),
+        url: `data:application/octet-stream;base64,${(await fs.readFile(filePath)).toString('base64')}`,
+    })));
+}
+
+/**
+ * Builds the dead-letter store the server uses, so failed deliveries from the CLI are retried too.
+ */
+async function loadNotifier() {
+    const notifier = createNotifier({
+        filePath: path.join(DATA_DIR, 'dead-letters.json'),
+        immediateDelaysMs: NOTIFY_IMMEDIATE_DELAYS_SECONDS.map(s => s * 1000),
+        retryScheduleMs: NOTIFY_RETRY_SCHEDULE_SECONDS.map(s => s * 1000),
+    });
+    await notifier.load();
+    return notifier;
+}
+
+function selectPublisher(values) {
+    return values.out ? createDirectoryPublisher(values.out) : createPublisher(values.publisher ?? PUBLISHER);
+}
+
+function byteLength(content) {
+    return Buffer.isBuffer(content) ? content.length : Buffer.byteLength(content);
+}
+
+/**
+ * build and revise: validates the request like /api-endpoint does, then runs the pipeline in-process.
+ * CLI runs are not queued or recorded in the job store.
+ */
+async function runBuild(values, { revise }) {
+    const publisher = selectPublisher(values);
+    const body = {
+        brief: await readBrief(values),
+        task: values.task,
+        round: values.round,
+        nonce: values.nonce,
+        email: values.email,
+        evaluation_url: values['evaluation-url'],
+        checks: values.checks ? await readJsonFile(values.checks, '--checks') : undefined,
+        attachments: await readAttachments(values.attachment),
+        candidates: values.candidates,
+        license: values.license,
+        copyright_holder: values['copyright-holder'],
+    };
+    if (revise && body.round === undefined && typeof body.task === 'string') {
+        const published = latestPublishedRound(await publisher.fetchFiles(body.task));
+        if (!published) throw usageError(`Nothing with a revision history is published for ${body.task}; use build, or revise with --round.`);
+        body.round = published + 1;
+    }
+    const { value: request, errors } = validateTaskRequest(body, { taskNameMode: TASK_NAME_MODE });
+    if (errors.length) throw usageError('Invalid request:', errors.map(e => `${e.field} ${e.message}`));
+    if (revise && request.round < 2) throw usageError('A revision is round 2 or later.');
+
+    const notifier = await loadNotifier();
+    // The local publisher's copy is served by the server, and a directory isn't served at all:
+    // there is nothing for the CLI to poll
+    const skipDeployVerify = publisher.name === 'local' || publisher.name === 'directory'
+        ? `the ${publisher.name} publisher's files are not served by the CLI`
+        : undefined;
+    const pipeline = createPipeline({ publisher, notifier, skipDeployVerify });
+    const job = { ...createJob({ ...request, caller: 'cli' }), attempts: 1 };
+    const update = async (state, patch) => applyJobUpdate(job, state, patch);
+
+    return withLogContext({ task: request.task, round: request.round, nonce: request.nonce ?? null }, () => runJob(pipeline, job, update, values));
+}
+
+/**
+ * Runs the pipeline for a CLI job: everything up to publishing with --dry-run, otherwise all of it.
+ */
+async function runJob(pipeline, job, update, values) {
+    try {
+        if (values['dry-run']) {
+            const { files } = await pipeline.buildFiles(job, update);
+            return {
+                ...describeJob(job),
+                dry_run: true,
+                files: files.map(f => ({ path: f.path, bytes: byteLength(f.content) })),
+            };
+        }
+        const result = await pipeline.processTask(job, update);
+        await update(JOB_STATES.DONE, { result: { ...job.result, ...result } });
+        return { ...describeJob(job), notification: job.result.notification ?? null };
+    } catch (err) {
+        // Nothing runs a CLI job again later; a rate limit at least says when running it again can work
+        const retryAt = err.retryAt ? { retry_at: err.retryAt } : {};
+        await update(JOB_STATES.FAILED, { last_error: { message: err.message, state: job.state, at: new Date().toISOString(), ...retryAt } });
+        err.report = describeJob(job);
+        throw err;
+    }
+}
+
+/**
+ * status: the server's jobs for the task when there are any, otherwise what the publisher has.
+ */
+async function runStatus(values, positionals) {
+    const task = positionals[0] ?? values.task;
+    if (!task) throw usageError('status needs a task name.');
+    const store = createJobStore(path.join(DATA_DIR, 'jobs.json'), { retentionDays: JOB_RETENTION_DAYS });
+    await store.load();
+    const jobs = store.listByTask(task);
+    if (jobs.length) return { ...describeJob(jobs[0]), rounds: jobs.map(describeJob) };
+
+    const publisher = selectPublisher(values);
+    const files = await publisher.fetchFiles(task);
+    if (!files.length) {
+        const err = new Error(`No task named ${task} in ${DATA_DIR} and nothing published by the ${publisher.name} publisher.`);
+        err.report = { task, state: null };
+        throw err;
+    }
+    return {
+        task,
+        round: latestPublishedRound(files) || null,
+        state: 'published',
+        repo_url: publisher.repoUrl(task),
+        pages_url: publisher.pagesUrl(task),
+        files: files.map(f => ({ path: f.path, bytes: byteLength(f.content) })),
+    };
+}
+
+/**
+ * notify: lists the dead letters, or replays the given ones (all of them without ids).
+ */
+async function runNotify(values, positionals) {
+    const notifier = await loadNotifier();
+    if (!values.replay) {
+        if (positionals.length) throw usageError('Ids are only taken with --replay.');
+        return { notifications: notifier.list() };
+    }
+    const ids = positionals.length ? positionals : notifier.list().map(n => n.id);
+    const unknown = ids.filter(id => !notifier.get(id));
+    if (unknown.length) throw usageError(`No undelivered notification ${unknown.join(', ')}`);
+    if (values['dry-run']) return { dry_run: true, replays: ids.map(id => ({ id, url: notifier.get(id).url })) };
+
+    const replays = [];
+    for (const id of ids) replays.push({ id, ...await notifier.replay(id) });
+    return { replays, failed: replays.filter(r => !r.delivered).length };
+}
+
+/**
+ * repos: lists the task repositories, or applies an action to them (see lib/repoLifecycle.js).
+ */
+async function runRepos(values, positionals) {
+    const [action = 'list', ...names] = positionals;
+    const store = createJobStore(path.join(DATA_DIR, 'jobs.json'), { retentionDays: JOB_RETENTION_DAYS });
+    await store.load();
+    const manager = createRepoManager({
+        publisher: selectPublisher(values),
+        isBusy: (task) => store.listByTask(task).some(j => j.state !== JOB_STATES.DONE && j.state !== JOB_STATES.FAILED),
+    });
+    const olderThanDays = values['older-than'] === undefined ? undefined : Number(values['older-than']);
+    try {
+        if (action === 'list') {
+            if (names.length) throw usageError('repos list takes no names.');
+            return { repos: await manager.list({ olderThanDays }) };
+        }
+        return await manager.run(action, { names, all: values.all, olderThanDays }, { dryRun: values['dry-run'], newOwner: values.to });
+    } catch (err) {
+        // A bad selection, or a publisher without repositories
+        if (err.status === 400 || err.status === 501) throw usageError(err.message);
+        throw err;
+    }
+}
+
+const write = (text) => process.stdout.write(`${text}\n`);
+// Messages for the person at the terminal, outside the log format
+const writeError = (text) => process.stderr.write(`${text}\n`);
+
+/**
+ * Prints a result for people: one `key: value` line per field, nested values as compact JSON.
+ * Timestamps, round history and the full reports are left to --json.
+ */
+function printHuman(result) {
+    const { reports, timestamps, rounds, ...fields } = result;
+    if (reports?.validation) {
+        fields.validation = reports.validation.passed ? 'passed' : `${reports.validation.errors.length} unresolved problem(s)`;
+    }
+    if (reports?.checks) {
+        fields.checks = `${reports.checks.results.filter(r => r.passed).length}/${reports.checks.results.length} passed`;
+    }
+    if (reports?.candidates) {
+        const { candidates, selected } = reports.candidates;
+        fields.candidates = candidates.map(c => `${c.index === selected ? '*' : ''}${c.variant} ${c.error ? 'failed' : c.score}`).join(', ');
+    }
+    if (rounds?.length > 1) fields.rounds = rounds.map(r => `${r.round}: ${r.state}`).join(', ');
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === null || value === undefined) continue;
+        if (key === 'files') {
+            write(`files:\n${value.map(f => `  ${f.path} (${f.bytes} bytes)`).join('\n')}`);
+        } else if (Array.isArray(value)) {
+            write(`${key}:${value.map(v => `\n  ${JSON.stringify(v)}`).join('') || ' none'}`);
+        } else {
+            write(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        }
+    }
+}
+
+const COMMANDS = {
+    build: (values) => runBuild(values, { revise: false }),
+    revise: (values) => runBuild(values, { revise: true }),
+    status: runStatus,
+    notify: runNotify,
+    repos: runRepos,
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    const run = COMMANDS[command];
+    if (!run) throw usageError(`Unknown command "${command}". Expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+
+    const print = values.json ? (data) => write(JSON.stringify(data, null, 2)) : printHuman;
+    try {
+        const result = await run(values, rest);
+        print(result);
+        // A replay that didn't go through is a failure too
+        return result.failed ? 1 : 0;
+    } catch (err) {
+        if (err.usage || !err.report) throw err;
+        writeError(`Error: ${err.message}`);
+        if (values.json) print({ ...err.report, error: err.message });
+        else if (err.report.state) printHuman(err.report);
+        return 1;
+    }
+}
+
+// Logs go to stderr, as text unless LOG_FORMAT asks otherwise; stdout is kept for the result
+installConsoleLogger({ stream: process.stderr, format: process.env.LOG_FORMAT ? undefined : 'text' });
+
+try {
+    process.exitCode = await main(process.argv.slice(2));
+} catch (err) {
+    if (err.usage || String(err.code).startsWith('ERR_PARSE_ARGS')) {
+        writeError([err.message, ...(err.details ?? []).map(d => `  - ${d}`)].join('\n'));
+        writeError('Run app-builder --help for usage.');
+        process.exitCode = 2;
+    } else {
+        writeError(`Error: ${err.message}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,270 @@
+// The dashboard page: talks to the JSON API under /dashboard/api (see lib/dashboard.js).
+// Everything shown from the API is set as text, never as HTML.
+
+const POLL_MS = 2000;
+const FINISHED = new Set(['ready', 'failed', 'published', 'done']);
+
+const state = { selected: null, tab: 'preview', timer: null };
+
+const $ = (selector) => document.querySelector(selector);
+
+function el(tag, attrs = {}, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+        if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+        else if (value !== undefined && value !== null && value !== false) node.setAttribute(key, value === true ? '' : value);
+    }
+    node.append(...children.flat().filter(c => c !== null && c !== undefined));
+    return node;
+}
+
+class ApiError extends Error {}
+
+async function api(method, url, body) {
+    const res = await fetch(`/dashboard/api${url}`, {
+        method,
+        // Changes are sent as JSON even without a body: the API refuses anything else
+        headers: method === 'GET' ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (res.status === 401) {
+        showLogin();
+        throw new ApiError('Signed out');
+    }
+    const data = res.status === 204 ? null : await res.json();
+    if (!res.ok) {
+        const err = new ApiError(data?.error || `HTTP ${res.status}`);
+        err.errors = data?.errors;
+        throw err;
+    }
+    return data;
+}
+
+function stateBadge(value) {
+    return el('span', { class: `state ${value}` }, value);
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// --- Session ---
+
+function showLogin() {
+    clearTimeout(state.timer);
+    $('#app').hidden = true;
+    $('#login').hidden = false;
+}
+
+async function showApp() {
+    $('#login').hidden = true;
+    $('#app').hidden = false;
+    await refreshLists();
+}
+
+$('#login-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const token = new FormData(event.target).get('token');
+    const res = await fetch('/dashboard/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token }) });
+    if (!res.ok) {
+        $('#login-error').textContent = (await res.json()).error;
+        return;
+    }
+    event.target.reset();
+    $('#login-error').textContent = '';
+    await showApp();
+});
+
+$('#logout').addEventListener('click', async () => {
+    await fetch('/dashboard/logout', { method: 'POST' });
+    showLogin();
+});
+
+// --- Lists ---
+
+async function refreshLists() {
+    const [{ drafts }, { tasks }] = await Promise.all([api('GET', '/drafts'), api('GET', '/tasks')]);
+    const isSelected = (kind, id) => state.selected?.kind === kind && state.selected.id === id;
+    $('#drafts').replaceChildren(...(drafts.length ? drafts.map(d => el('li', {
+        class: isSelected('draft', d.id) ? 'selected' : null,
+        onclick: () => select('draft', d.id),
+    }, `${d.task} #${d.round} `, stateBadge(d.state))) : [el('li', { class: 'muted' }, 'No drafts')]));
+    $('#tasks').replaceChildren(...(tasks.length ? tasks.map(t => el('li', {
+        class: isSelected('task', t.task) ? 'selected' : null,
+        onclick: () => select('task', t.task),
+    }, `${t.task} #${t.round} `, stateBadge(t.state))) : [el('li', { class: 'muted' }, 'No tasks')]));
+}
+
+$('#draft-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    const body = { task: form.get('task'), round: Number(form.get('round')), brief: form.get('brief') };
+    if (form.get('candidates')) body.candidates = Number(form.get('candidates'));
+    if (form.get('evaluation_url')) body.evaluation_url = form.get('evaluation_url');
+    $('#draft-errors').replaceChildren();
+    try {
+        const draft = await api('POST', '/drafts', body);
+        await select('draft', draft.id);
+    } catch (err) {
+        const messages = err.errors ? err.errors.map(e => `${e.field} ${e.message}`) : [err.message];
+        $('#draft-errors').replaceChildren(...messages.map(m => el('li', {}, m)));
+    }
+});
+
+// --- Detail view ---
+
+async function select(kind, id) {
+    state.selected = { kind, id };
+    state.tab = kind === 'draft' ? 'preview' : 'rounds';
+    state.file = null;
+    await render();
+}
+
+async function render() {
+    clearTimeout(state.timer);
+    const { kind, id } = state.selected ?? {};
+    if (!kind) return;
+    try {
+        const data = kind === 'draft' ? await api('GET', `/drafts/${id}`) : await api('GET', `/tasks/${encodeURIComponent(id)}`);
+        const view = kind === 'draft' ? await renderDraft(data) : await renderTask(data);
+        $('#detail').replaceChildren(...view);
+        await refreshLists();
+        // Keep polling while something is still running
+        if (!FINISHED.has(data.state)) state.timer = setTimeout(render, POLL_MS);
+    } catch (err) {
+        if (err instanceof ApiError && err.message === 'Signed out') return;
+        $('#detail').replaceChildren(el('p', { class: 'error' }, err.message));
+        await refreshLists().catch(() => {});
+    }
+}
+
+function tabs(names) {
+    return el('div', { class: 'tabs' }, names.map(([key, label]) => el('button', {
+        type: 'button',
+        class: state.tab === key ? 'active' : null,
+        onclick: () => {
+            state.tab = key;
+            render();
+        },
+    }, label)));
+}
+
+function action(label, fn, attrs = {}) {
+    return el('button', {
+        type: 'button',
+        ...attrs,
+        onclick: async () => {
+            try {
+                await fn();
+            } catch (err) {
+                if (!(err instanceof ApiError && err.message === 'Signed out')) alert(err.message);
+            }
+        },
+    }, label);
+}
+
+async function fileViewer(files, load) {
+    const list = el('ul', { class: 'list' }, files.map(f => el('li', {
+        class: state.file === f.path ? 'selected' : null,
+        onclick: () => {
+            state.file = f.path;
+            render();
+        },
+    }, `${f.path} `, el('span', { class: 'muted' }, formatSize(f.size)))));
+    let content = el('p', { class: 'muted' }, 'Pick a file.');
+    if (state.file && files.some(f => f.path === state.file)) {
+        const file = await load(state.file);
+        content = file.binary ? el('p', { class: 'muted' }, `Binary file, ${formatSize(file.size)}`) : el('pre', {}, file.content);
+    }
+    return el('div', { class: 'files' }, list, el('div', {}, content));
+}
+
+function renderDiff({ base, changes }) {
+    if (!changes.length) return el('p', { class: 'muted' }, 'No changes.');
+    const intro = base ? 'Compared with the files published now.' : 'Nothing is published for this task yet; every file is new.';
+    return el('div', { class: 'diff' }, el('p', { class: 'muted' }, intro), changes.map(change => el('div', {},
+        el('h3', {}, `${change.path} (${change.status})`),
+        change.binary
+            ? el('p', { class: 'muted' }, 'Binary file')
+            : el('pre', {}, change.diff.split('\n').map(line => el('div', {
+                class: line.startsWith('@@') ? 'hunk' : line.startsWith('+') && !line.startsWith('+++') ? 'add' : line.startsWith('-') && !line.startsWith('---') ? 'del' : null,
+            }, line || ' '))),
+    )));
+}
+
+async function renderDraft(draft) {
+    const view = [
+        el('h2', {}, `Draft: ${draft.task} round ${draft.round} `, stateBadge(draft.state)),
+        el('p', { class: 'muted' }, draft.state === 'building' ? `Building (${draft.stage})…` : `Updated ${new Date(draft.updated_at).toLocaleString()}`),
+        el('pre', {}, draft.brief),
+    ];
+    if (draft.error) view.push(el('p', { class: 'error' }, draft.error));
+    if (draft.published_job) {
+        view.push(el('p', {}, 'Published as job ', el('a', { href: '#', onclick: (e) => {
+            e.preventDefault();
+            select('task', draft.task);
+        } }, draft.published_job)));
+    }
+    view.push(el('div', { class: 'actions' },
+        action('Publish', async () => {
+            await api('POST', `/drafts/${draft.id}/publish`);
+            await render();
+        }, { disabled: draft.state !== 'ready' }),
+        action('Regenerate', async () => {
+            await api('POST', `/drafts/${draft.id}/regenerate`);
+            await render();
+        }, { disabled: draft.state === 'building' }),
+        action('Discard', async () => {
+            await api('DELETE', `/drafts/${draft.id}`);
+            state.selected = null;
+            $('#detail').replaceChildren(el('p', { class: 'muted' }, 'Draft discarded.'));
+            await refreshLists();
+        }, { class: 'danger' }),
+    ));
+    if (!draft.files.length) return view;
+
+    view.push(tabs([['preview', 'Preview'], ['files', 'Files'], ['diff', 'Changes'], ['reports', 'Reports']]));
+    if (state.tab === 'preview') {
+        // Same restrictions as the preview's CSP header: scripts run, but in an opaque origin
+        view.push(el('iframe', { src: draft.preview_url, sandbox: 'allow-scripts allow-forms allow-modals allow-popups', title: 'Preview' }));
+    } else if (state.tab === 'files') {
+        view.push(await fileViewer(draft.files, (path) => api('GET', `/drafts/${draft.id}/files/${path}`)));
+    } else if (state.tab === 'diff') {
+        view.push(renderDiff(await api('GET', `/drafts/${draft.id}/diff`)));
+    } else {
+        view.push(el('pre', {}, JSON.stringify(draft.reports, null, 2)));
+    }
+    return view;
+}
+
+async function renderTask(task) {
+    const view = [
+        el('h2', {}, `Task: ${task.task} `, stateBadge(task.state)),
+        el('p', {}, task.pages_url ? el('a', { href: task.pages_url, target: '_blank', rel: 'noopener' }, task.pages_url) : el('span', { class: 'muted' }, 'No pages URL')),
+    ];
+    if (task.last_error) view.push(el('p', { class: 'error' }, `${task.last_error.state}: ${task.last_error.message}`));
+    view.push(tabs([['rounds', 'History'], ['files', 'Published files'], ['reports', 'Reports']]));
+    if (state.tab === 'rounds') {
+        view.push(el('table', {},
+            el('tr', {}, ['Round', 'State', 'Attempts', 'Updated', 'Commit'].map(h => el('th', {}, h))),
+            task.rounds.map(r => el('tr', {},
+                el('td', {}, String(r.round)),
+                el('td', {}, stateBadge(r.state)),
+                el('td', {}, String(r.attempts)),
+                el('td', {}, new Date(r.updated_at).toLocaleString()),
+                el('td', {}, r.repo_url && r.commit_sha ? el('a', { href: r.repo_url, target: '_blank', rel: 'noopener' }, r.commit_sha.slice(0, 7)) : '–'),
+            )),
+        ));
+    } else if (state.tab === 'files') {
+        const { files } = await api('GET', `/tasks/${encodeURIComponent(task.task)}/files`);
+        view.push(files.length
+            ? await fileViewer(files, (path) => api('GET', `/tasks/${encodeURIComponent(task.task)}/files/${path}`))
+            : el('p', { class: 'muted' }, 'Nothing is published.'));
+    } else {
+        view.push(el('pre', {}, JSON.stringify(task.reports, null, 2)));
+    }
+    return view;
+}
+
+// Signed in already when the lists load; the API answers 401 otherwise
+showApp().catch(() => {});
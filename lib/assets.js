@@ -0,0 +1,423 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { decodeContent } from './publishers/files.js';
+
+/**
+ * The asset stage: scripts and stylesheets the pages load from CDNs are replaced with copies
+ * committed under vendor/, so a published app keeps working when a CDN is blocked or gone.
+ *
+ * Nothing is downloaded. Files come from a pre-populated cache (ASSET_CACHE_DIR):
+ *   npm/<package>@<version>/...   unpacked npm packages, for jsDelivr (/npm/...) and unpkg URLs;
+ *                                 a version range in the URL ("chart.js@4") picks the highest cached match
+ *   mirror/<host>/<path>          a copy of any other URL (cdnjs, Google Fonts, ...); a URL without a
+ *                                 file name is stored as index.js or index.css
+ *   tailwindcss                   the Tailwind CSS v3 standalone CLI (optional)
+ *
+ * Pages using the Tailwind Play CDN (cdn.tailwindcss.com) get their classes compiled into
+ * vendor/tailwind.css with the CLI, from a config and input committed next to it; it is compiled
+ * again on every round, so new classes are picked up. Without the CLI, or when a page configures Tailwind inline, the Play script itself is vendored
+ * from the mirror if it is there.
+ *
+ * References that can't be vendored are left as they are and reported with a reason.
+ */
+
+export const VENDOR_DIR = 'vendor';
+
+/**
+ * Whether a file is a vendored copy, which the model is not asked to read or edit.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isVendored(filePath) {
+    return filePath.startsWith(`${VENDOR_DIR}/`);
+}
+
+// The stylesheet compiled from the Tailwind classes of every page, and the config and input it is compiled from
+const TAILWIND_CSS_PATH = `${VENDOR_DIR}/tailwind.css`;
+const TAILWIND_CONFIG_PATH = `${VENDOR_DIR}/tailwind.config.js`;
+const TAILWIND_INPUT_PATH = `${VENDOR_DIR}/tailwind.input.css`;
+const TAILWIND_DIRECTIVES = '@tailwind base;\n@tailwind components;\n@tailwind utilities;';
+const TAILWIND_PLAY_HOST = 'cdn.tailwindcss.com';
+// Plugins the Play CDN takes in ?plugins= and the standalone CLI bundles
+const TAILWIND_PLUGINS = new Set(['forms', 'typography', 'aspect-ratio', 'line-clamp', 'container-queries']);
+const TAILWIND_TIMEOUT_MS = 60000;
+
+// CDNs serving npm packages: the part of the URL path naming the package, or null
+const NPM_CDNS = {
+    'cdn.jsdelivr.net': { spec: (p) => (p.startsWith('/npm/') ? p.slice('/npm/'.length) : null), entryFields: ['jsdelivr', 'browser', 'main'] },
+    'unpkg.com': { spec: (p) => p.slice(1), entryFields: ['unpkg', 'browser', 'main'] },
+};
+// <link rel> values that load a file; hints such as preconnect are left alone
+const LINK_RELS = new Set(['stylesheet', 'icon', 'shortcut icon', 'apple-touch-icon', 'preload', 'modulepreload']);
+
+const TAG_PATTERN = /<(script|link)\b[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /\b(src|href|rel|as|integrity|crossorigin)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)|@import\s+(["'])([^"']+)\3/g;
+
+const execFileAsync = promisify(execFile);
+
+function attributes(tag) {
+    const attrs = {};
+    for (const m of tag.matchAll(ATTRIBUTE_PATTERN)) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4];
+    return attrs;
+}
+
+/**
+ * The URL a <script> or <link> tag loads from a CDN, or null for local files and resource hints.
+ */
+function externalUrl(tagName, attrs) {
+    const value = tagName.toLowerCase() === 'script' ? attrs.src : LINK_RELS.has((attrs.rel ?? '').toLowerCase().trim()) ? attrs.href : null;
+    if (!value) return null;
+    const absolute = value.startsWith('//') ? `https:${value}` : value;
+    if (!/^https?:\/\//i.test(absolute)) return null;
+    try {
+        return new URL(absolute);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * What a tag loads: 'js', 'css' or 'asset' (icons, preloaded fonts and images).
+ */
+function linkKind(tagName, attrs) {
+    if (tagName.toLowerCase() === 'script') return 'js';
+    const rel = (attrs.rel ?? '').toLowerCase();
+    if (rel === 'stylesheet' || (rel === 'preload' && attrs.as === 'style')) return 'css';
+    return rel === 'modulepreload' || (rel === 'preload' && attrs.as === 'script') ? 'js' : 'asset';
+}
+
+function isHtml(file) {
+    return /\.html?$/i.test(file.path) && typeof file.content === 'string';
+}
+
+async function exists(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch {
+        return false;
+    }
+}
+
+function tailwindConfig(plugins) {
+    return `// Compiles vendor/tailwind.css from the classes the pages use. From the repository root:
+// tailwindcss -c vendor/tailwind.config.js -i vendor/tailwind.input.css -o vendor/tailwind.css --minify
+module.exports = {
+    content: ['./**/*.{html,htm,js,mjs}', '!./vendor/**'],
+    plugins: [${[...plugins].sort().map(p => `require('@tailwindcss/${p}')`).join(', ')}],
+};
+`;
+}
+
+/**
+ * Compares dotted versions numerically ("4.10.0" > "4.9.2"); pre-release suffixes sort first.
+ */
+function compareVersions(a, b) {
+    const pa = a.split(/[.-]/);
+    const pb = b.split(/[.-]/);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const x = pa[i] ?? '';
+        const y = pb[i] ?? '';
+        if (x === y) continue;
+        if (/^\d+$/.test(x) && /^\d+$/.test(y)) return Number(x) - Number(y);
+        // "1.0.0" is newer than "1.0.0-beta"
+        if (x === '') return 1;
+        if (y === '') return -1;
+        return x < y ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Whether a cached version satisfies the range in a CDN URL: empty or "latest" (any), an exact
+ * version, a prefix ("4", "4.4"), "^x.y.z" (same major) or "~x.y.z" (same minor).
+ */
+function satisfies(version, range) {
+    if (!range || range === 'latest') return !version.includes('-');
+    if (range.startsWith('^') || range.startsWith('~')) {
+        const base = range.slice(1);
+        const keep = range.startsWith('^') ? 1 : 2;
+        const prefix = base.split('.').slice(0, keep).join('.');
+        return (version === prefix || version.startsWith(`${prefix}.`)) && compareVersions(version, base) >= 0;
+    }
+    return version === range || version.startsWith(`${range}.`);
+}
+
+/**
+ * Creates the asset stage.
+ * @param {object} options
+ * @param {string} options.cacheDir - ASSET_CACHE_DIR.
+ * @param {string} [options.tailwindCli] - Path of the Tailwind CSS standalone CLI.
+ * @returns {object} - { vendorAssets(files) }
+ */
+export function createAssetVendor({ cacheDir, tailwindCli }) {
+    /**
+     * Finds a package version in the cache.
+     * @returns {Promise<string|null>} - The directory of the highest cached version satisfying the range.
+     */
+    async function findPackage(name, range) {
+        const parent = path.join(cacheDir, 'npm', path.dirname(name));
+        let entries;
+        try {
+            entries = await fs.readdir(parent);
+        } catch {
+            return null;
+        }
+        const prefix = `${path.basename(name)}@`;
+        const versions = entries
+            .filter(entry => entry.startsWith(prefix))
+            .map(entry => entry.slice(prefix.length))
+            .filter(version => satisfies(version, range))
+            .sort(compareVersions);
+        return versions.length ? { dir: path.join(parent, `${prefix}${versions.at(-1)}`), version: versions.at(-1) } : null;
+    }
+
+    /**
+     * Maps a CDN URL to a cached file.
+     * @param {URL} url
+     * @param {string} kind - 'js', 'css' or 'asset': picks the entry point of a package and the extension of a mirrored file.
+     * @returns {Promise<object>} - { cachePath, vendorPath, root, source, package?, version? }, or { reason } when it can't be vendored.
+     */
+    async function resolve(url, kind) {
+        const npm = NPM_CDNS[url.hostname];
+        const spec = npm?.spec(decodeURIComponent(url.pathname));
+        if (spec) {
+            const m = /^((?:@[^/@]+\/)?[^/@]+)(?:@([^/]+))?(\/.*)?$/.exec(spec);
+            if (!m) return { reason: 'not a package URL' };
+            const [, name, range, filePath] = m;
+            const found = await findPackage(name, range);
+            if (!found) return { reason: `${name}${range ? `@${range}` : ''} is not in the asset cache` };
+            let relative = (filePath ?? '').replace(/^\/+/, '');
+            if (!relative) {
+                // The package's entry point, as the CDN would pick it
+                const manifest = JSON.parse(await fs.readFile(path.join(found.dir, 'package.json'), 'utf8').catch(() => '{}'));
+                const fields = kind === 'css' ? ['style', ...npm.entryFields] : npm.entryFields;
+                relative = fields.map(field => manifest[field]).find(value => typeof value === 'string')?.replace(/^\.?\//, '') ?? '';
+                if (!relative) return { reason: `${name}@${found.version} has no entry point; name the file in the URL` };
+            }
+            const cachePath = path.join(found.dir, relative);
+            if (!cachePath.startsWith(found.dir + path.sep) || !await exists(cachePath)) {
+                return { reason: `${relative} is not in the cached ${name}@${found.version}` };
+            }
+            const base = `${VENDOR_DIR}/${name}@${found.version}`;
+            return { cachePath, vendorPath: `${base}/${relative}`, root: { dir: found.dir, vendorPath: base }, source: 'npm', package: name, version: found.version };
+        }
+
+        const hostDir = path.join(cacheDir, 'mirror', url.hostname);
+        let relative = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+        if (!relative || relative.endsWith('/')) relative += kind === 'css' ? 'index.css' : 'index.js';
+        const cachePath = path.join(hostDir, relative + url.search);
+        if (!cachePath.startsWith(hostDir + path.sep) || !await exists(cachePath)) {
+            return { reason: npm ? 'not a package URL on this CDN, and not in the mirror' : `${url.hostname} is not a known CDN and the URL is not in the mirror` };
+        }
+        // Static hosting ignores the query and picks the content type by extension, so both go into the file name
+        let vendorRelative = relative;
+        if (url.search) vendorRelative += url.search.replace(/[^\w.-]+/g, '_');
+        const extension = { css: '.css', js: '.js' }[kind];
+        if (extension && path.posix.extname(vendorRelative).toLowerCase() !== extension) vendorRelative += extension;
+        const base = `${VENDOR_DIR}/${url.hostname}`;
+        return { cachePath, vendorPath: `${base}/${vendorRelative}`, root: { dir: hostDir, vendorPath: base }, source: 'mirror' };
+    }
+
+    /**
+     * Adds a cached file to the vendored files; stylesheets bring the fonts, images and
+     * stylesheets they refer to, with absolute URLs pointed at vendored copies.
+     */
+    async function vendorFile(resolved, vendored, report, referrer) {
+        if (vendored.has(resolved.vendorPath)) return;
+        let content = decodeContent(resolved.vendorPath, await fs.readFile(resolved.cachePath));
+        vendored.set(resolved.vendorPath, content);
+        if (!resolved.vendorPath.endsWith('.css') || typeof content !== 'string') return;
+
+        const replacements = new Map();
+        for (const m of content.matchAll(CSS_URL_PATTERN)) {
+            const ref = m[2] ?? m[4];
+            if (/^(data:|#)/i.test(ref)) continue;
+            const kind = m[4] || /\.css(\?|$)/i.test(ref) ? 'css' : 'asset';
+            let dependency;
+            if (/^(https?:)?\/\//i.test(ref)) {
+                dependency = await resolve(new URL(ref.startsWith('//') ? `https:${ref}` : ref), kind);
+                if (dependency.reason) {
+                    report.unresolved.push({ url: ref, file: referrer, reason: dependency.reason });
+                    continue;
+                }
+                replacements.set(ref, path.posix.relative(path.posix.dirname(resolved.vendorPath), dependency.vendorPath));
+            } else {
+                // Relative references keep working because the cache's layout is copied as it is
+                const target = path.posix.normalize(path.posix.join(path.posix.dirname(resolved.vendorPath), ref.replace(/[?#].*$/, '')));
+                if (!target.startsWith(`${resolved.root.vendorPath}/`)) continue;
+                const cachePath = path.join(resolved.root.dir, target.slice(resolved.root.vendorPath.length + 1));
+                if (!await exists(cachePath)) {
+                    report.unresolved.push({ url: ref, file: resolved.vendorPath, reason: 'referenced by a vendored stylesheet but not in the asset cache' });
+                    continue;
+                }
+                dependency = { ...resolved, cachePath, vendorPath: target };
+            }
+            await vendorFile(dependency, vendored, report, resolved.vendorPath);
+        }
+        if (replacements.size) {
+            content = content.replace(CSS_URL_PATTERN, (match, q1, ref1, q2, ref2) => {
+                const ref = ref1 ?? ref2;
+                return replacements.has(ref) ? match.replace(ref, replacements.get(ref)) : match;
+            });
+            vendored.set(resolved.vendorPath, content);
+        }
+    }
+
+    /**
+     * Compiles the Tailwind classes used by the app's own pages and scripts with the standalone CLI,
+     * from the committed config and input, exactly as `tailwindcss -c vendor/tailwind.config.js
+     * -i vendor/tailwind.input.css -o vendor/tailwind.css --minify` run in a clone would.
+     * @returns {Promise<string>} - The stylesheet.
+     */
+    async function compileTailwind(files) {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-tailwind-'));
+        try {
+            for (const file of files) {
+                const isSource = !isVendored(file.path) && /\.(html?|m?js)$/i.test(file.path);
+                if (typeof file.content !== 'string' || !(isSource || file.path === TAILWIND_CONFIG_PATH || file.path === TAILWIND_INPUT_PATH)) continue;
+                const target = path.join(dir, file.path);
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, file.content);
+            }
+            await execFileAsync(tailwindCli, ['-c', TAILWIND_CONFIG_PATH, '-i', TAILWIND_INPUT_PATH, '-o', TAILWIND_CSS_PATH, '--minify'], { cwd: dir, timeout: TAILWIND_TIMEOUT_MS });
+            return await fs.readFile(path.join(dir, TAILWIND_CSS_PATH), 'utf8');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Handles the Tailwind Play CDN: compile the classes, or leave the Play script to be vendored.
+     * The plugins the Play script loaded and its `<style type="text/tailwindcss">` blocks move into
+     * vendor/tailwind.config.js and vendor/tailwind.input.css, so later rounds compile the same way.
+     * @returns {Promise<object>} - { files, tailwind } where tailwind is null (no Tailwind) or
+     *   { state: compiled|kept|skipped, path?, pages?, plugins?, reason? }.
+     */
+    async function handleTailwind(files, report) {
+        const playTag = new RegExp(`<script\\b[^>]*\\bsrc\\s*=\\s*["']?(?:https?:)?//${TAILWIND_PLAY_HOST.replace(/\./g, '\\.')}([^"'\\s>]*)["']?[^>]*>\\s*</script>`, 'gi');
+        const compiledLink = new RegExp(`<link\\b[^>]*\\bhref\\s*=\\s*["']?(?:\\./)?(?:\\.\\./)*${TAILWIND_CSS_PATH.replace(/[./]/g, '\\$&')}["']?[^>]*>`, 'i');
+        const customStyle = /<style\b[^>]*type\s*=\s*["']text\/tailwindcss["'][^>]*>([\s\S]*?)<\/style>\s*/gi;
+        const playPages = files.filter(f => isHtml(f) && [...f.content.matchAll(playTag)].length > 0);
+        const compiledPages = files.filter(f => isHtml(f) && compiledLink.test(f.content));
+        if (!playPages.length && !compiledPages.length) return { files, tailwind: null };
+
+        const config = files.find(f => f.path === TAILWIND_CONFIG_PATH)?.content;
+        const input = files.find(f => f.path === TAILWIND_INPUT_PATH)?.content;
+        const plugins = new Set(typeof config === 'string' ? [...config.matchAll(/require\('@tailwindcss\/([\w-]+)'\)/g)].map(m => m[1]) : []);
+        for (const page of playPages) {
+            for (const m of page.content.matchAll(playTag)) {
+                const query = new URLSearchParams(m[1].split('?')[1] ?? '');
+                for (const name of (query.get('plugins') ?? '').split(',').map(p => p.split('@')[0].trim()).filter(Boolean)) {
+                    if (TAILWIND_PLUGINS.has(name)) plugins.add(name);
+                }
+            }
+        }
+        const customCss = playPages.flatMap(p => [...p.content.matchAll(customStyle)].map(m => m[1].trim())).filter(Boolean);
+        const inlineConfig = playPages.filter(p => /\btailwind\.config\s*=/.test(p.content)).map(p => p.path);
+
+        let reason = null;
+        if (inlineConfig.length) reason = `${inlineConfig.join(', ')} configure${inlineConfig.length === 1 ? 's' : ''} Tailwind inline (tailwind.config)`;
+        else if (!tailwindCli || !await exists(tailwindCli)) reason = 'the Tailwind CSS standalone CLI is not in the asset cache';
+
+        if (!reason) {
+            const sources = [
+                { path: TAILWIND_CONFIG_PATH, content: tailwindConfig(plugins) },
+                { path: TAILWIND_INPUT_PATH, content: [typeof input === 'string' ? input.trimEnd() : TAILWIND_DIRECTIVES, ...customCss].join('\n\n') + '\n' },
+            ];
+            const rewritten = files
+                .filter(f => ![TAILWIND_CSS_PATH, TAILWIND_CONFIG_PATH, TAILWIND_INPUT_PATH].includes(f.path))
+                .map(f => {
+                    if (!playPages.includes(f)) return f;
+                    const href = path.posix.relative(path.posix.dirname(f.path), TAILWIND_CSS_PATH);
+                    let first = true;
+                    const content = f.content
+                        .replace(customStyle, '')
+                        // One stylesheet replaces the Play script; duplicates of the tag are dropped
+                        .replace(playTag, () => (first ? ((first = false), `<link rel="stylesheet" href="${href}">`) : ''));
+                    return { ...f, content };
+                })
+                .concat(sources);
+            try {
+                const css = await compileTailwind(rewritten);
+                rewritten.push({ path: TAILWIND_CSS_PATH, content: css });
+                return {
+                    files: rewritten,
+                    tailwind: { state: 'compiled', path: TAILWIND_CSS_PATH, pages: [...new Set([...playPages, ...compiledPages].map(p => p.path))], plugins: [...plugins] },
+                };
+            } catch (err) {
+                reason = `the Tailwind CLI failed: ${err.stderr?.trim().split('\n').at(-1) || (err.killed ? 'timed out' : `exit code ${err.code}`)}`;
+            }
+        }
+        if (!playPages.length) {
+            // Compiled in an earlier round; the stylesheet published then is kept
+            report.warnings.push(`${TAILWIND_CSS_PATH} was not recompiled: ${reason}`);
+            return { files, tailwind: { state: 'kept', path: TAILWIND_CSS_PATH, reason } };
+        }
+        // The Play script stays, to be vendored from the mirror like any other script
+        return { files, tailwind: { state: 'skipped', reason } };
+    }
+
+    /**
+     * Vendors the CDN scripts and stylesheets of every page.
+     * @param {object[]} files - Array of file objects { path, content }.
+     * @returns {Promise<object>} - { files, paths, report }: the rewritten file set, the paths this stage
+     *   wrote (trusted by the file policy), and { vendored, tailwind, unresolved, warnings }.
+     */
+    async function vendorAssets(files) {
+        const report = { vendored: [], tailwind: null, unresolved: [], warnings: [] };
+        const tailwindRun = await handleTailwind(files, report);
+        files = tailwindRun.files;
+        report.tailwind = tailwindRun.tailwind;
+
+        // Resolve every distinct URL once, then rewrite the tags
+        const vendored = new Map();
+        const resolved = new Map();
+        for (const page of files.filter(isHtml)) {
+            for (const m of page.content.matchAll(TAG_PATTERN)) {
+                const url = externalUrl(m[1], attributes(m[0]));
+                if (!url || resolved.has(url.href)) continue;
+                const kind = linkKind(m[1], attributes(m[0]));
+                const target = await resolve(url, kind);
+                resolved.set(url.href, target);
+                if (target.reason) {
+                    // The Play script is only left when the compile was skipped; that is the reason to report
+                    const reason = url.hostname === TAILWIND_PLAY_HOST && report.tailwind?.state === 'skipped'
+                        ? `Tailwind compile skipped (${report.tailwind.reason}) and the Play script is not in the mirror`
+                        : target.reason;
+                    report.unresolved.push({ url: url.href, file: page.path, reason });
+                    continue;
+                }
+                await vendorFile(target, vendored, report, page.path);
+                report.vendored.push({ url: url.href, path: target.vendorPath, source: target.source, ...(target.package ? { package: target.package, version: target.version } : {}) });
+            }
+        }
+
+        const rewritten = files.map(file => {
+            if (!isHtml(file)) return file;
+            const content = file.content.replace(TAG_PATTERN, (tag, name) => {
+                const url = externalUrl(name, attributes(tag));
+                const target = url && resolved.get(url.href);
+                if (!target?.vendorPath) return tag;
+                const local = path.posix.relative(path.posix.dirname(file.path), target.vendorPath);
+                // The copy is served from the app's own origin: integrity and CORS attributes are for the CDN
+                return tag
+                    .replace(/\s+(integrity|crossorigin)(\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?(?=[\s/>])/gi, '')
+                    .replace(ATTRIBUTE_PATTERN, (attr, key) => (/^(src|href)$/i.test(key) ? `${key}="${local}"` : attr));
+            });
+            return content === file.content ? file : { ...file, content };
+        });
+
+        const written = new Set(vendored.keys());
+        if (report.tailwind?.state === 'compiled') {
+            for (const p of [TAILWIND_CSS_PATH, TAILWIND_CONFIG_PATH, TAILWIND_INPUT_PATH]) written.add(p);
+        }
+        const output = rewritten.filter(f => !vendored.has(f.path)).concat([...vendored].map(([p, content]) => ({ path: p, content })));
+        return { files: output, paths: written, report };
+    }
+
+    return { vendorAssets };
+}
@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Buffer } from 'buffer';
+import { ATTACHMENT_MAX_BYTES, ATTACHMENTS_MAX_TOTAL_BYTES } from './config.js';
+
+/**
+ * Request attachments: `attachments: [{ name, url }]` where `url` is a `data:` URI
+ * (base64 or percent-encoded). Attachments are committed next to the generated files
+ * under their name, so the app can load them by relative path.
+ */
+
+const MAX_ATTACHMENTS = 10;
+// Names the service writes itself
+const RESERVED_NAMES = new Set(['index.html', 'readme.md', 'license', 'revisions.md']);
+// Signatures of common binary formats
+const MAGIC_NUMBERS = [
+    { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+    { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { mime: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+];
+// Text types by extension, used once the content is known to be text
+const TEXT_MIME_BY_EXTENSION = {
+    '.csv': 'text/csv',
+    '.tsv': 'text/tab-separated-values',
+    '.json': 'application/json',
+    '.md': 'text/markdown',
+    '.txt': 'text/plain',
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.svg': 'image/svg+xml',
+    '.xml': 'application/xml',
+};
+// Types whose contents are previewed in the LLM prompt
+const PREVIEW_MIME_TYPES = new Set(['text/csv', 'text/tab-separated-values', 'application/json', 'text/markdown', 'text/plain']);
+const PREVIEW_LINES = 20;
+const PREVIEW_CHARS = 2000;
+const MANIFEST_FILE = 'manifest.json';
+// Subdirectory of a stored job holding the attachment bytes, apart from the manifest
+const FILES_DIR = 'files';
+
+/**
+ * Decodes a data: URI.
+ * @param {string} url - The URI.
+ * @returns {object} - { mime, buffer }: the declared media type and the decoded bytes.
+ * @throws {Error} - When the URI is not a well-formed data: URI.
+ */
+export function decodeDataUri(url) {
+    const m = /^data:([^,]*?),(.*)$/s.exec(url);
+    if (!m) throw new Error('is not a data: URI');
+    const params = m[1].split(';').map(p => p.trim());
+    const isBase64 = params.includes('base64');
+    const mime = (params[0] && params[0].includes('/') ? params[0] : 'text/plain').toLowerCase();
+    if (isBase64) {
+        const data = m[2].replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data)) throw new Error('has invalid base64 data');
+        return { mime, buffer: Buffer.from(data, 'base64') };
+    }
+    try {
+        return { mime, buffer: Buffer.from(decodeURIComponent(m[2]), 'utf8') };
+    } catch {
+        throw new Error('has invalid percent-encoding');
+    }
+}
+
+/**
+ * Determines the real type of attachment bytes, ignoring what the sender declared.
+ * @param {Buffer} buffer - The contents.
+ * @param {string} name - The file name (used to name text formats).
+ * @returns {object} - { mime, isText }
+ */
+export function sniffMimeType(buffer, name) {
+    for (const { mime, bytes } of MAGIC_NUMBERS) {
+        if (bytes.every((b, i) => buffer[i] === b)) return { mime, isText: false };
+    }
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return { mime: 'image/webp', isText: false };
+    }
+
+    // Text if it decodes as UTF-8 without replacement characters or NULs
+    const text = buffer.toString('utf8');
+    if (text.includes('\uFFFD') || text.includes('\0')) return { mime: 'application/octet-stream', isText: false };
+    if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text)) return { mime: 'image/svg+xml', isText: true };
+    const byExtension = TEXT_MIME_BY_EXTENSION[path.extname(name).toLowerCase()];
+    if (byExtension) return { mime: byExtension, isText: true };
+    if (/^\s*[[{]/.test(text)) {
+        try {
+            JSON.parse(text);
+            return { mime: 'application/json', isText: true };
+        } catch {
+            // not JSON
+        }
+    }
+    return { mime: 'text/plain', isText: true };
+}
+
+/**
+ * Validates and decodes the `attachments` field of a request.
+ * @param {any} raw - The value from the request body.
+ * @returns {object[]} - { name, path, mime, declared_mime, size, content } per attachment; text
+ *   contents are strings, binary contents Buffers.
+ * @throws {Error} - With a message naming the offending attachment.
+ */
+export function parseAttachments(raw) {
+    if (raw === undefined || raw === null) return [];
+    if (!Array.isArray(raw)) throw new Error('attachments must be an array');
+    if (raw.length > MAX_ATTACHMENTS) throw new Error(`attachments may contain at most ${MAX_ATTACHMENTS} entries`);
+
+    const seen = new Set();
+    let total = 0;
+    return raw.map((attachment, i) => {
+        const where = `attachments[${i}]`;
+        if (!attachment || typeof attachment !== 'object') throw new Error(`${where} must be an object`);
+        const { name, url } = attachment;
+        if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/.test(name)) {
+            throw new Error(`${where}.name must be a plain file name (letters, digits, '.', '_' and '-')`);
+        }
+        if (RESERVED_NAMES.has(name.toLowerCase())) throw new Error(`${where}.name "${name}" is reserved for generated files`);
+        if (seen.has(name.toLowerCase())) throw new Error(`${where}.name "${name}" is used twice`);
+        seen.add(name.toLowerCase());
+        if (typeof url !== 'string') throw new Error(`${where}.url must be a data: URI string`);
+
+        let decoded;
+        try {
+            decoded = decodeDataUri(url);
+        } catch (err) {
+            throw new Error(`${where}.url ${err.message}`);
+        }
+        const size = decoded.buffer.length;
+        if (size > ATTACHMENT_MAX_BYTES) throw new Error(`${where} is ${size} bytes; the limit is ${ATTACHMENT_MAX_BYTES}`);
+        total += size;
+        if (total > ATTACHMENTS_MAX_TOTAL_BYTES) throw new Error(`attachments exceed ${ATTACHMENTS_MAX_TOTAL_BYTES} bytes in total`);
+
+        const sniffed = sniffMimeType(decoded.buffer, name);
+        return {
+            name,
+            path: name,
+            mime: sniffed.mime,
+            declared_mime: decoded.mime,
+            size,
+            content: sniffed.isText ? decoded.buffer.toString('utf8') : decoded.buffer,
+        };
+    });
+}
+
+/**
+ * Describes the attachments for the LLM prompt, with a preview of text formats.
+ * @param {object[]} attachments - Output of parseAttachments().
+ * @returns {string} - Prompt text ('' when there are no attachments).
+ */
+export function describeAttachments(attachments) {
+    if (!attachments.length) return '';
+    const entries = attachments.map(a => {
+        const header = `- ${a.path} (${a.mime}, ${a.size} bytes)`;
+        if (!PREVIEW_MIME_TYPES.has(a.mime) || typeof a.content !== 'string') return header;
+        const lines = a.content.split('\n');
+        let preview = lines.slice(0, PREVIEW_LINES).join('\n');
+        if (preview.length > PREVIEW_CHARS) preview = preview.slice(0, PREVIEW_CHARS);
+        const truncated = preview.length < a.content.length ? `\n  ... (${lines.length} lines in total)` : '';
+        return `${header}. Preview:\n${preview.replace(/^/gm, '  | ')}${truncated}`;
+    });
+    return `Attached files. They are published next to index.html; load them with relative paths (e.g. fetch('./${attachments[0].path}')) instead of embedding their contents:\n${entries.join('\n')}`;
+}
+
+/**
+ * What a request keeps of its attachments once their contents are stored elsewhere.
+ * @param {object[]} attachments - Output of parseAttachments().
+ * @returns {object[]} - { name, mime, declared_mime, size } per attachment.
+ */
+export function summarizeAttachments(attachments) {
+    return attachments.map(({ name, mime, declared_mime, size }) => ({ name, mime, declared_mime, size }));
+}
+
+/**
+ * Creates the store that keeps the decoded attachments of queued jobs, so their requests (and the
+ * job store) don't carry the data: URIs. Each job's files live in a directory of their own, under
+ * `files/` so no attachment name can collide with the manifest.
+ * @param {string} dir - The directory, e.g. DATA_DIR/attachments.
+ * @returns {object} - { save, load, remove, sweep }
+ */
+export function createAttachmentStore(dir) {
+    // Keys hold task names and timestamps; the hash makes a safe, fixed-length directory name
+    const dirOf = (key) => path.join(dir, crypto.createHash('sha256').update(key).digest('hex').slice(0, 32));
+
+    return {
+        /**
+         * Stores the attachments of a job, replacing what was stored under the key.
+         * @param {string} key - The job's key (see runKey() in lib/jobQueue.js).
+         * @param {object[]} attachments - Output of parseAttachments().
+         */
+        async save(key, attachments) {
+            const target = dirOf(key);
+            await fs.rm(target, { recursive: true, force: true });
+            await fs.mkdir(path.join(target, FILES_DIR), { recursive: true });
+            for (const a of attachments) await fs.writeFile(path.join(target, FILES_DIR, a.name), a.content);
+            const manifest = attachments.map(({ content, ...meta }) => ({ ...meta, text: typeof content === 'string' }));
+            // Written last: a directory without a manifest is an interrupted save
+            await fs.writeFile(path.join(target, MANIFEST_FILE), JSON.stringify({ key, attachments: manifest }));
+        },
+
+        /**
+         * @param {string} key
+         * @returns {Promise<object[]|null>} - The attachments as parseAttachments() returned them, or null
+         *   when nothing is stored under the key.
+         */
+        async load(key) {
+            const source = dirOf(key);
+            let manifest;
+            try {
+                manifest = JSON.parse(await fs.readFile(path.join(source, MANIFEST_FILE), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+            return Promise.all(manifest.attachments.map(async ({ text, ...meta }) => ({
+                ...meta,
+                content: await fs.readFile(path.join(source, FILES_DIR, meta.name), text ? 'utf8' : undefined),
+            })));
+        },
+
+        /**
+         * Deletes what is stored under the key.
+         * @param {string} key
+         */
+        async remove(key) {
+            await fs.rm(dirOf(key), { recursive: true, force: true });
+        },
+
+        /**
+         * Deletes everything except the attachments of the given keys (e.g. of the jobs still to run).
+         * @param {string[]} keep - Keys to keep.
+         * @returns {Promise<number>} - How many jobs' attachments were deleted.
+         */
+        async sweep(keep) {
+            const kept = new Set(keep.map(key => path.basename(dirOf(key))));
+            let entries;
+            try {
+                entries = await fs.readdir(dir);
+            } catch (err) {
+                if (err.code === 'ENOENT') return 0;
+                throw err;
+            }
+            const stale = entries.filter(name => !kept.has(name));
+            for (const name of stale) await fs.rm(path.join(dir, name), { recursive: true, force: true });
+            return stale.length;
+        },
+    };
+}
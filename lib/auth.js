@@ -0,0 +1,309 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Authentication for /api-endpoint.
+ *
+ * Signed requests carry three headers:
+ *   X-Caller-Id: grader-a
+ *   X-Timestamp: 1718000000                      (Unix seconds)
+ *   X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the caller's secret>
+ * The timestamp must be within the allowed window, and a (caller, nonce, timestamp) triple is
+ * accepted once, so a captured request can't be replayed. A legitimate retry signs again with
+ * a new timestamp. The triples seen within the window are kept in `replayFile`, so a restart
+ * doesn't reopen it.
+ *
+ * Callers come from a JSON file, re-read whenever it changes:
+ *   { "callers": { "grader-a": { "secret": "...", "task_prefixes": ["captcha-"], "disabled": false } } }
+ * An empty or missing `task_prefixes` allows every task name. The prefixes are checked with
+ * authorizeTask() against the task name as validated and normalized (lib/requestSchema.js), not as sent.
+ *
+ * Unless signatures are required, a `secret` field in the body is still accepted; it is
+ * matched against SHARED_SECRET and the callers' secrets.
+ */
+
+// Caller id used for requests authenticated with SHARED_SECRET
+const SHARED_CALLER_ID = 'shared';
+
+/**
+ * Compares two secrets in constant time, whatever their lengths.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    // Hashing first gives equal-length inputs, so the length of the secret isn't leaked either
+    const digestA = crypto.createHash('sha256').update(a).digest();
+    const digestB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Computes the X-Signature value for a request.
+ * @param {string} secret - The caller's secret.
+ * @param {string|number} timestamp - The X-Timestamp value.
+ * @param {Buffer|string} rawBody - The exact request body.
+ * @returns {string} - `sha256=<hex>`
+ */
+export function signRequest(secret, timestamp, rawBody) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.`);
+    hmac.update(rawBody);
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * An authentication failure with the HTTP status to answer with.
+ */
+function authError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Validates the parsed callers file.
+ * @param {object} parsed - The file contents.
+ * @returns {Map<string, object>} - Caller id to { secret, task_prefixes, disabled }.
+ * @throws {Error} - Naming the offending entry.
+ */
+function parseCallers(parsed) {
+    const callers = new Map();
+    for (const [id, entry] of Object.entries(parsed?.callers ?? {})) {
+        if (!entry || typeof entry.secret !== 'string' || entry.secret.length < 16) {
+            throw new Error(`callers.${id}.secret must be a string of at least 16 characters`);
+        }
+        const prefixes = entry.task_prefixes ?? [];
+        if (!Array.isArray(prefixes) || prefixes.some(p => typeof p !== 'string')) {
+            throw new Error(`callers.${id}.task_prefixes must be an array of strings`);
+        }
+        callers.set(id, { secret: entry.secret, task_prefixes: prefixes, disabled: entry.disabled === true });
+    }
+    return callers;
+}
+
+/**
+ * Creates the request authenticator.
+ * @param {object} options
+ * @param {string} [options.callersFile] - Path of the callers JSON file.
+ * @param {string} [options.sharedSecret] - The legacy SHARED_SECRET.
+ * @param {number} [options.maxAgeSeconds=300] - How far X-Timestamp may be from the server clock.
+ * @param {boolean} [options.requireSignature=false] - Reject requests that only carry a body secret.
+ * @param {string} [options.replayFile] - Where the replay keys are kept; without it they are kept in
+ *   memory only, and a restart accepts a replay whose timestamp is still within the window.
+ * @returns {object} - { load(), authenticate(req), authorizeTask(callerId, task) }
+ */
+export function createAuthenticator({ callersFile, sharedSecret, maxAgeSeconds = 300, requireSignature = false, replayFile }) {
+    let callers = new Map();
+    let loadedMtime = null;
+    // Replay keys to the time (ms) after which they can be forgotten
+    const seen = new Map();
+    let seenLoaded = false;
+    let writeChain = Promise.resolve();
+
+    async function loadSeen() {
+        if (seenLoaded || !replayFile) return;
+        seenLoaded = true;
+        try {
+            const parsed = JSON.parse(await fs.readFile(replayFile, 'utf8'));
+            for (const [key, expires] of Object.entries(parsed.keys ?? {})) seen.set(key, expires);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn(`Could not read replay keys ${replayFile}: ${err.message}. Starting empty.`);
+        }
+    }
+
+    function persistSeen() {
+        if (!replayFile) return Promise.resolve();
+        // Serialize writes so concurrent requests can't interleave on disk
+        writeChain = writeChain.then(async () => {
+            const tmpPath = `${replayFile}.tmp`;
+            await fs.mkdir(path.dirname(replayFile), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify({ keys: Object.fromEntries(seen) }));
+            await fs.rename(tmpPath, replayFile);
+        }).catch(err => {
+            console.error(`Failed to persist replay keys ${replayFile}:`, err);
+        });
+        return writeChain;
+    }
+
+    async function load() {
+        await loadSeen();
+        if (!callersFile) return;
+        let stat;
+        try {
+            stat = await fs.stat(callersFile);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            if (loadedMtime !== null) console.warn(`Callers file ${callersFile} was removed; only SHARED_SECRET is accepted now.`);
+            callers = new Map();
+            loadedMtime = null;
+            return;
+        }
+        if (stat.mtimeMs === loadedMtime) return;
+        try {
+            callers = parseCallers(JSON.parse(await fs.readFile(callersFile, 'utf8')));
+            console.log(`Loaded ${callers.size} caller(s) from ${callersFile}`);
+        } catch (err) {
+            // Keep the previous callers rather than locking everyone out over a typo
+            console.error(`Could not load callers file ${callersFile}: ${err.message}`);
+        }
+        loadedMtime = stat.mtimeMs;
+    }
+
+    /**
+     * Records a replay key; returns false when it was already used.
+     */
+    function remember(key) {
+        const now = Date.now();
+        for (const [k, expires] of seen) if (expires <= now) seen.delete(k);
+        if (seen.has(key)) return false;
+        // Older timestamps are rejected anyway, so the key is only needed for the window (both sides)
+        seen.set(key, now + 2 * maxAgeSeconds * 1000);
+        return true;
+    }
+
+    async function verifySignature(req) {
+        const callerId = req.get('x-caller-id');
+        const timestamp = req.get('x-timestamp');
+        const signature = req.get('x-signature');
+        if (!callerId || !timestamp) throw authError(401, 'Signed requests need X-Caller-Id and X-Timestamp headers');
+
+        const caller = callers.get(callerId);
+        // Unknown and revoked callers get the same answer as a bad signature
+        const expected = caller && !caller.disabled ? signRequest(caller.secret, timestamp, req.rawBody ?? '') : '';
+        const given = signature.startsWith('sha256=') ? signature : `sha256=${signature}`;
+        if (!safeEqual(given.toLowerCase(), expected)) throw authError(401, 'Invalid signature');
+
+        const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+        if (!/^\d+$/.test(timestamp) || age > maxAgeSeconds) {
+            throw authError(401, `X-Timestamp is outside the allowed window of ${maxAgeSeconds}s`);
+        }
+        const nonce = req.body?.nonce;
+        const replayKey = nonce ? `${callerId}:${nonce}:${timestamp}` : `${callerId}:${expected}`;
+        if (!remember(replayKey)) throw authError(409, 'Replayed request: this signed request was already received');
+        // On disk before the request is accepted, so a restart right after can't let it through again
+        await persistSeen();
+        return callerId;
+    }
+
+    function verifyBodySecret(req) {
+        if (requireSignature) throw authError(401, 'Requests must be signed (X-Signature header)');
+        const secret = req.body?.secret;
+        if (sharedSecret && safeEqual(secret, sharedSecret)) return SHARED_CALLER_ID;
+        // Check every caller so the time taken doesn't reveal which one matched
+        let match = null;
+        for (const [id, caller] of callers) {
+            if (safeEqual(secret, caller.secret) && !caller.disabled) match = id;
+        }
+        if (!match) throw authError(403, 'Invalid secret');
+        return match;
+    }
+
+    return {
+        load,
+        /**
+         * Authenticates a request. Express must have stored the raw body as `req.rawBody`.
+         * @param {object} req - The Express request.
+         * @returns {Promise<string>} - The caller id.
+         * @throws {Error} - With `status` (401, 403 or 409) when the request is rejected.
+         */
+        async authenticate(req) {
+            await load();
+            return req.get('x-signature') ? verifySignature(req) : verifyBodySecret(req);
+        },
+
+        /**
+         * Checks that a caller may submit a task, by its `task_prefixes`.
+         * @param {string} callerId - What authenticate() returned.
+         * @param {string} task - The validated task name (after TASK_NAME_MODE normalization).
+         * @throws {Error} - With `status` 403 when the task name isn't allowed.
+         */
+        authorizeTask(callerId, task) {
+            const caller = callers.get(callerId);
+            if (!caller?.task_prefixes.length) return;
+            if (typeof task !== 'string' || !caller.task_prefixes.some(prefix => task.startsWith(prefix))) {
+                throw authError(403, `Caller ${callerId} may not submit task "${task}"`);
+            }
+        },
+    };
+}
+
+/**
+ * Express middleware for the admin API: `Authorization: Bearer <ADMIN_TOKEN>`. Without a
+ * configured token the admin API is off.
+ * @param {string} [token] - ADMIN_TOKEN.
+ * @returns {Function} - Middleware.
+ */
+export function requireAdminToken(token) {
+    return (req, res, next) => {
+        if (!token) return res.status(503).json({ error: 'The admin API is disabled; set ADMIN_TOKEN to enable it.' });
+        const header = req.get('authorization') || '';
+        const given = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+        if (!safeEqual(given, token)) return res.status(401).json({ error: 'Invalid admin token' });
+        next();
+    };
+}
+
+/**
+ * Dashboard sessions. Signing in with ADMIN_TOKEN sets a cookie `<expires>.<HMAC of the expiry
+ * keyed with ADMIN_TOKEN>`: nothing is stored server-side, and changing the token signs everyone out.
+ */
+export const SESSION_COOKIE = 'app_builder_session';
+
+function signSession(token, expires) {
+    return crypto.createHmac('sha256', token).update(`dashboard:${expires}`).digest('hex');
+}
+
+/**
+ * Creates the Set-Cookie value for a new dashboard session.
+ * @param {string} token - ADMIN_TOKEN.
+ * @param {number} ttlMs - How long the session lasts.
+ * @param {object} [options]
+ * @param {boolean} [options.secure=false] - Add the Secure attribute (the app is served over HTTPS).
+ * @returns {string}
+ */
+export function createSessionCookie(token, ttlMs, { secure = false } = {}) {
+    const expires = Date.now() + ttlMs;
+    const value = `${expires}.${signSession(token, expires)}`;
+    return `${SESSION_COOKIE}=${value}; Path=/dashboard; Max-Age=${Math.floor(ttlMs / 1000)}; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * The Set-Cookie value that ends a dashboard session.
+ * @returns {string}
+ */
+export function clearSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/dashboard; Max-Age=0; HttpOnly; SameSite=Strict`;
+}
+
+/**
+ * Checks a request's session cookie.
+ * @param {object} req - The Express request.
+ * @param {string} token - ADMIN_TOKEN.
+ * @returns {boolean}
+ */
+export function hasValidSession(req, token) {
+    const cookies = (req.get('cookie') || '').split(';').map(c => c.trim());
+    const value = cookies.find(c => c.startsWith(`${SESSION_COOKIE}=`))?.slice(SESSION_COOKIE.length + 1) ?? '';
+    const [expires, signature] = value.split('.');
+    if (!/^\d+$/.test(expires ?? '') || Number(expires) < Date.now()) return false;
+    return safeEqual(signature, signSession(token, expires));
+}
+
+/**
+ * Express middleware for the dashboard API: a session cookie from signing in, or the admin API's
+ * `Authorization: Bearer <ADMIN_TOKEN>`.
+ * @param {string} [token] - ADMIN_TOKEN.
+ * @returns {Function} - Middleware.
+ */
+export function requireDashboardSession(token) {
+    const bearer = requireAdminToken(token);
+    return (req, res, next) => {
+        if (token && hasValidSession(req, token)) return next();
+        if (!token) return res.status(503).json({ error: 'The dashboard is disabled; set ADMIN_TOKEN to enable it.' });
+        if (!req.get('authorization')) return res.status(401).json({ error: 'Sign in to use the dashboard' });
+        bearer(req, res, next);
+    };
+}
@@ -0,0 +1,100 @@
+import { validateFiles } from './validate.js';
+import { renderApp } from './headless.js';
+
+/**
+ * Scoring for best-of-N generation: when a task asks for several candidates, each generated app is
+ * scored on local checks only (no model involved) and the highest scorer is published.
+ *
+ * Each criterion scores from 0 to 1; the total is their weighted sum, out of 100:
+ *   validity   the findings of lib/validate.js (doctype, balanced tags, scripts that parse, local references)
+ *   keywords   the share of the brief's keywords found in the text of the page rendered in jsdom
+ *   console    no errors logged or thrown while the page loads
+ *   external   no requests to other origins (they are blocked while rendering, and counted)
+ *   size       neither a stub nor bloated
+ */
+
+const WEIGHTS = { validity: 30, keywords: 30, console: 20, external: 10, size: 10 };
+// Each validation problem, console error or external request costs this much of its criterion
+const PENALTY_PER_FINDING = 0.25;
+// Below this an app is likely a stub, above it likely bloated; the score falls off linearly outside
+const MIN_GOOD_BYTES = 1024;
+const MAX_GOOD_BYTES = 200 * 1024;
+// How many keywords of a long brief are looked for
+const MAX_KEYWORDS = 25;
+const STOP_WORDS = new Set(`
+    about above after again also another any app application based because been before being below between both build
+    built can could create display does each every from have having here into just like make more most must need needs
+    only other page please really same shall should show some such than that their them then there these they this those
+    through using very want were what when where which while will with within without would your user users
+`.split(/\s+/).filter(Boolean));
+
+/**
+ * Variations between candidates, used in turn. Each changes the sampling temperature and nudges the
+ * approach, so the candidates differ in more than wording.
+ */
+export const CANDIDATE_VARIANTS = [
+    { name: 'default', temperature: 0.2, hint: null },
+    { name: 'self-contained', temperature: 0.7, hint: 'Prefer a single self-contained index.html with inline CSS and JavaScript and no CDN dependencies.' },
+    { name: 'thorough', temperature: 0.9, hint: 'Cover every requirement of the brief explicitly, using the exact names and labels it mentions, and handle empty and error states.' },
+    { name: 'minimal', temperature: 0.5, hint: 'Keep the app small and simple: semantic HTML, plain JavaScript, only what the brief asks for.' },
+];
+
+/**
+ * The words of a brief worth looking for in the rendered page: at least four letters, not common filler,
+ * and not inside URLs.
+ * @param {string} brief - The app description.
+ * @returns {string[]} - Lower-cased, distinct, in order of appearance.
+ */
+export function briefKeywords(brief) {
+    const words = brief.replace(/\bhttps?:\/\/\S+/g, ' ').toLowerCase().match(/[a-z][a-z0-9-]{3,}/g) ?? [];
+    return [...new Set(words.filter(w => !STOP_WORDS.has(w)))].slice(0, MAX_KEYWORDS);
+}
+
+function penalized(findings) {
+    return Math.max(0, 1 - findings * PENALTY_PER_FINDING);
+}
+
+function sizeScore(bytes) {
+    if (bytes < MIN_GOOD_BYTES) return bytes / MIN_GOOD_BYTES;
+    if (bytes <= MAX_GOOD_BYTES) return 1;
+    return Math.max(0, 1 - (bytes - MAX_GOOD_BYTES) / (MAX_GOOD_BYTES * 4));
+}
+
+/**
+ * Scores a generated app.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @param {string} brief - The brief it was generated from (without attachment or check descriptions).
+ * @returns {Promise<object>} - { score (0-100), scores: { criterion: 0-1 }, findings: { validation_errors,
+ *   keywords_found, keywords_missing, console_errors, external_requests, bytes, render_error? } }
+ */
+export async function scoreCandidate(files, brief) {
+    const validation = await validateFiles(files);
+    const render = await renderApp(files);
+    const pageText = `${render.title} ${render.text}`.toLowerCase();
+    const keywords = briefKeywords(brief);
+    const found = keywords.filter(k => pageText.includes(k));
+    const bytes = files.reduce((sum, f) => sum + Buffer.byteLength(f.content), 0);
+
+    const scores = {
+        validity: penalized(validation.errors.length),
+        keywords: keywords.length ? found.length / keywords.length : 1,
+        // A page that doesn't load at all has nothing to show for itself
+        console: render.loaded ? penalized(render.console_errors.length) : 0,
+        external: penalized(render.blocked_requests.length),
+        size: sizeScore(bytes),
+    };
+    const score = Object.entries(WEIGHTS).reduce((sum, [criterion, weight]) => sum + weight * scores[criterion], 0);
+    return {
+        score: Math.round(score * 10) / 10,
+        scores: Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+        findings: {
+            validation_errors: validation.errors,
+            keywords_found: found,
+            keywords_missing: keywords.filter(k => !found.includes(k)),
+            console_errors: render.console_errors,
+            external_requests: render.blocked_requests,
+            bytes,
+            ...(render.error ? { render_error: render.error } : {}),
+        },
+    };
+}
@@ -0,0 +1,101 @@
+import { renderApp } from './headless.js';
+
+/**
+ * Acceptance checks supplied with a request, evaluated against the generated index.html:
+ *   { type: 'selector', selector: '#total-sales' }                  an element matches
+ *   { type: 'text', selector: 'title', equals | contains | pattern } text of the first match (default: body)
+ *   { type: 'js', expression: 'document.title === "Sales"' }        truthy in page context (promises are awaited)
+ * Every check may carry a `name` used in reports.
+ */
+
+const CHECK_TYPES = new Set(['selector', 'text', 'js']);
+// Limits keep a request from turning the check stage into a workload of its own
+const MAX_CHECKS = 50;
+const MAX_CHECK_LENGTH = 2000;
+
+/**
+ * Validates the `checks` field of a request.
+ * @param {any} raw - The value from the request body.
+ * @returns {object[]} - The checks (empty when none were given).
+ * @throws {Error} - With a message naming the offending check.
+ */
+export function normalizeChecks(raw) {
+    if (raw === undefined || raw === null) return [];
+    if (!Array.isArray(raw)) throw new Error('checks must be an array');
+    if (raw.length > MAX_CHECKS) throw new Error(`checks may contain at most ${MAX_CHECKS} entries`);
+
+    return raw.map((check, i) => {
+        const where = `checks[${i}]`;
+        if (!check || typeof check !== 'object') throw new Error(`${where} must be an object`);
+        if (!CHECK_TYPES.has(check.type)) throw new Error(`${where}.type must be one of: ${[...CHECK_TYPES].join(', ')}`);
+        if (JSON.stringify(check).length > MAX_CHECK_LENGTH) throw new Error(`${where} is too long`);
+
+        const normalized = { type: check.type };
+        if (typeof check.name === 'string') normalized.name = check.name;
+        const requireString = (field) => {
+            if (typeof check[field] !== 'string' || !check[field].trim()) throw new Error(`${where}.${field} must be a non-empty string`);
+            normalized[field] = check[field];
+        };
+
+        if (check.type === 'selector') requireString('selector');
+        if (check.type === 'js') requireString('expression');
+        if (check.type === 'text') {
+            if (check.selector !== undefined) requireString('selector');
+            const matchers = ['equals', 'contains', 'pattern'].filter(f => check[f] !== undefined);
+            if (matchers.length !== 1) throw new Error(`${where} needs exactly one of equals, contains or pattern`);
+            requireString(matchers[0]);
+            if (matchers[0] === 'pattern') {
+                try {
+                    new RegExp(check.pattern, check.flags || '');
+                } catch (err) {
+                    throw new Error(`${where}.pattern is not a valid regular expression: ${err.message}`);
+                }
+                if (check.flags) normalized.flags = String(check.flags);
+            }
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Describes a check in plain words, for prompts and reports.
+ * @param {object} check - A normalized check.
+ * @returns {string}
+ */
+export function describeCheck(check) {
+    const label = check.name ? `${check.name}: ` : '';
+    switch (check.type) {
+        case 'selector':
+            return `${label}the page must contain an element matching \`${check.selector}\``;
+        case 'text': {
+            const target = check.selector ? `the text of \`${check.selector}\`` : 'the page text';
+            if (check.equals !== undefined) return `${label}${target} must be exactly "${check.equals}"`;
+            if (check.contains !== undefined) return `${label}${target} must contain "${check.contains}"`;
+            return `${label}${target} must match /${check.pattern}/${check.flags || ''}`;
+        }
+        case 'js':
+            return `${label}after the page loads, \`${check.expression}\` must be truthy`;
+        default:
+            return `${label}${JSON.stringify(check)}`;
+    }
+}
+
+/**
+ * Runs the checks against the generated app in a headless DOM with no network access.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @param {object[]} checks - Normalized checks.
+ * @returns {Promise<object>} - { passed, results: {check, description, passed, message}[], console_errors, error }
+ */
+export async function runChecks(files, checks) {
+    const page = await renderApp(files, { checks });
+    const results = checks.map((check, i) => {
+        const outcome = page.check_results[i] || { passed: false, message: page.error || 'not evaluated' };
+        return { check, description: describeCheck(check), passed: outcome.passed, message: outcome.message };
+    });
+    return {
+        passed: results.every(r => r.passed),
+        results,
+        console_errors: page.console_errors,
+        error: page.error,
+    };
+}
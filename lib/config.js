@@ -0,0 +1,164 @@
+import 'dotenv/config';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Explicitly load .env (also handled by 'dotenv/config' import, but explicit call helps during debugging)
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+/**
+ * Parses a comma-separated list of seconds.
+ * @param {string|undefined} value - The env value.
+ * @param {string} fallback - Used when the value is unset.
+ * @returns {number[]}
+ */
+function parseSeconds(value, fallback) {
+    return (value ?? fallback).split(',').map(s => s.trim()).filter(Boolean).map(Number).filter(n => Number.isFinite(n) && n >= 0);
+}
+
+// --- Configuration ---
+// Every module reads settings from here so the env is loaded once, before anything uses it.
+
+export const PORT = process.env.PORT || 3000;
+export const SHARED_SECRET = process.env.SHARED_SECRET;
+export const GITHUB_PAT = process.env.GITHUB_PAT;
+export const GITHUB_USERNAME = process.env.GITHUB_USERNAME;
+// GitHub REST API base URL (for GitHub Enterprise, or a local stand-in when testing)
+export const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+// Topic added to every repository the service creates; repository management only touches repos carrying it
+export const GITHUB_REPO_TOPIC = (process.env.GITHUB_REPO_TOPIC || 'app-builder-task').toLowerCase();
+// Minimum time between two content-creating GitHub requests (they are sent one at a time)
+export const GITHUB_WRITE_INTERVAL_MS = Number(process.env.GITHUB_WRITE_INTERVAL_MS ?? 1000);
+// GitHub requests left unused in each rate-limit window, for other tools sharing the token
+export const GITHUB_RATE_LIMIT_RESERVE = Number(process.env.GITHUB_RATE_LIMIT_RESERVE) || 0;
+// Longest wait for a rate limit to clear within a job; past it the job is deferred until the limit resets
+export const GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS = Number(process.env.GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS ?? 60);
+// How many times a rate-limited GitHub request is retried before the job is deferred
+export const GITHUB_RATE_LIMIT_RETRIES = Number(process.env.GITHUB_RATE_LIMIT_RETRIES ?? 3);
+// How long a task repository, the head of its main branch and its file trees are reused without asking GitHub again
+export const GITHUB_LOOKUP_CACHE_SECONDS = Number(process.env.GITHUB_LOOKUP_CACHE_SECONDS ?? 600);
+// Task repositories created more than this many days ago are archived automatically (0 turns it off)
+export const REPO_ARCHIVE_AFTER_DAYS = Number(process.env.REPO_ARCHIVE_AFTER_DAYS) || 0;
+// Local state (job store etc.) lives here
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+// Maximum number of tasks processed at the same time
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+// Finished and failed jobs are dropped from the job store this many days after their last update (0 keeps them)
+export const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS ?? 30);
+// Progress-only job updates are written to the job store at most this often
+export const JOB_STORE_FLUSH_INTERVAL_MS = Number(process.env.JOB_STORE_FLUSH_INTERVAL_MS ?? 5000);
+// Log lines are JSON objects ('json', the default) or plain text ('text'); lines below LOG_LEVEL are dropped
+export const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+export const LOG_LEVEL = ['debug', 'info', 'warn', 'error'].includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+// OpenAI / AI Pipe configuration
+export const AI_PIPE_TOKEN = process.env.AI_PIPE_TOKEN; // legacy / convenience token
+// Prefer explicit OPENAI_* env vars; fall back to AI Pipe compatibility if present
+export const OPENAI_API_KEY = process.env.OPENAI_API_KEY || AI_PIPE_TOKEN || process.env.AI_PIPE_KEY || process.env.AI_PIPE_TOKEN;
+export const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || process.env.AI_PIPE_ENDPOINT || (AI_PIPE_TOKEN ? 'https://aipipe.org/openai/v1' : undefined);
+// LLM provider: 'responses' (OpenAI Responses API, default), 'chat' (OpenAI-compatible /chat/completions,
+// e.g. llama.cpp or Ollama) or 'mock' (replays fixtures from LLM_FIXTURES_DIR)
+export const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'responses').toLowerCase();
+export const AI_MODEL = process.env.AI_MODEL || 'gpt-4o-mini';
+export const LLM_MAX_OUTPUT_TOKENS = Number(process.env.LLM_MAX_OUTPUT_TOKENS) || 2000;
+// How many continuation requests are made when a response is cut off or leaves a file block open
+export const LLM_MAX_CONTINUATIONS = Number(process.env.LLM_MAX_CONTINUATIONS ?? 10);
+// Stream responses (set to 0 for servers without streaming support)
+export const LLM_STREAM = !/^(0|false|no)$/i.test(process.env.LLM_STREAM || '');
+// Input plus output tokens one task may spend across all its LLM requests (0 = unlimited)
+export const LLM_TASK_TOKEN_BUDGET = Number(process.env.LLM_TASK_TOKEN_BUDGET ?? 200000);
+export const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR ? path.resolve(process.env.LLM_FIXTURES_DIR) : undefined;
+// When set, every real LLM response is saved here as a fixture for the mock provider
+export const LLM_RECORD_DIR = process.env.LLM_RECORD_DIR ? path.resolve(process.env.LLM_RECORD_DIR) : undefined;
+
+// Delete files from earlier rounds that the LLM no longer produced (all publishers)
+export const PRUNE_REMOVED_FILES = /^(1|true|yes)$/i.test(process.env.PRUNE_REMOVED_FILES || '');
+
+// How many times validation findings are sent back to the model before publishing anyway
+export const VALIDATION_REPAIR_ATTEMPTS = Number(process.env.VALIDATION_REPAIR_ATTEMPTS ?? 2);
+
+// How many times failing acceptance checks (the request's `checks`) trigger a repair
+export const CHECK_REPAIR_ATTEMPTS = Number(process.env.CHECK_REPAIR_ATTEMPTS ?? 2);
+
+// Size limits for request attachments (decoded bytes), and for the JSON body that carries them
+export const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 2 * 1024 * 1024;
+export const ATTACHMENTS_MAX_TOTAL_BYTES = Number(process.env.ATTACHMENTS_MAX_TOTAL_BYTES) || 5 * 1024 * 1024;
+export const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '10mb';
+
+// Policy for files written by the model (see lib/filePolicy.js). Violations are dropped, or with
+// FILE_POLICY_MODE=repair first described to the model so it can write them again.
+export const FILE_POLICY_MODE = process.env.FILE_POLICY_MODE === 'repair' ? 'repair' : 'drop';
+export const FILE_POLICY_EXTENSIONS = (process.env.FILE_POLICY_EXTENSIONS
+    || '.html,.htm,.css,.js,.mjs,.json,.md,.txt,.csv,.tsv,.xml,.svg,.png,.jpg,.jpeg,.gif,.webp,.ico,.woff,.woff2,.webmanifest')
+    .split(',').map(e => e.trim()).filter(Boolean).map(e => (e.startsWith('.') ? e : `.${e}`));
+export const FILE_POLICY_MAX_FILE_BYTES = Number(process.env.FILE_POLICY_MAX_FILE_BYTES) || 512 * 1024;
+export const FILE_POLICY_MAX_TOTAL_BYTES = Number(process.env.FILE_POLICY_MAX_TOTAL_BYTES) || 5 * 1024 * 1024;
+export const FILE_POLICY_MAX_FILES = Number(process.env.FILE_POLICY_MAX_FILES) || 40;
+// What to do with credentials found in generated files: 'redact' (default), 'block' the publish, or 'report' only
+export const SECRET_SCAN_MODE = ['block', 'report'].includes(process.env.SECRET_SCAN_MODE) ? process.env.SECRET_SCAN_MODE : 'redact';
+// High-entropy strings are only reported unless this is set; they have more false positives than known token formats
+export const SECRET_SCAN_ENFORCE_ENTROPY = /^(1|true|yes)$/i.test(process.env.SECRET_SCAN_ENFORCE_ENTROPY || '');
+// Values of the service's own secret env vars (GITHUB_PAT, OPENAI_API_KEY, SHARED_SECRET, ...) must never be published
+export const SENSITIVE_ENV_VALUES = Object.entries(process.env)
+    .filter(([name, value]) => /(^|_)(TOKEN|SECRET|KEY|PAT|PASSWORD)(_|$)/i.test(name) && value && value.length >= 8)
+    .map(([, value]) => value);
+// Scaffold apps used when the LLM fails, and offered to it as a starting point (see lib/templates.js)
+export const TEMPLATES_DIR = process.env.TEMPLATES_DIR ? path.resolve(process.env.TEMPLATES_DIR) : fileURLToPath(new URL('../templates/', import.meta.url));
+// Offline copies of CDN files for the asset stage (see lib/assets.js): npm/<package>@<version>/ for jsDelivr and
+// unpkg URLs, mirror/<host>/<path> for any other host, and optionally the Tailwind CSS standalone CLI
+export const ASSET_CACHE_DIR = process.env.ASSET_CACHE_DIR ? path.resolve(process.env.ASSET_CACHE_DIR) : fileURLToPath(new URL('../asset-cache/', import.meta.url));
+// Replace CDN scripts and stylesheets with copies committed under vendor/ (set to 0 to publish CDN references as written)
+export const ASSET_VENDORING = !/^(0|false|no)$/i.test(process.env.ASSET_VENDORING || '');
+// Tailwind CSS v3 standalone CLI, used to compile the classes of pages using the Play CDN into a static stylesheet
+export const TAILWIND_CLI = process.env.TAILWIND_CLI ? path.resolve(process.env.TAILWIND_CLI) : path.join(ASSET_CACHE_DIR, 'tailwindcss');
+// Include the best-matching template in the generation prompt (set to 0 to leave prompts as they were)
+export const LLM_TEMPLATE_HINTS = !/^(0|false|no)$/i.test(process.env.LLM_TEMPLATE_HINTS || '');
+// Apps generated per new task when the request doesn't say; the best-scoring one is published (see lib/candidates.js)
+export const LLM_CANDIDATES = Math.max(1, Number(process.env.LLM_CANDIDATES) || 1);
+// Vary the sampling temperature between candidates (set to 0 for models that don't accept one; the prompts still differ)
+export const LLM_CANDIDATE_TEMPERATURES = !/^(0|false|no)$/i.test(process.env.LLM_CANDIDATE_TEMPERATURES || '');
+// License of generated repos when a request names none (an SPDX identifier, see lib/licenses.js)
+export const DEFAULT_LICENSE = process.env.DEFAULT_LICENSE || 'MIT';
+// Copyright holder in LICENSE when a request names none
+export const COPYRIGHT_HOLDER = process.env.COPYRIGHT_HOLDER || GITHUB_USERNAME || 'The authors';
+// Add an LLM-written "How the code works" section to generated READMEs (one extra LLM request per round)
+export const README_CODE_EXPLANATION = /^(1|true|yes)$/i.test(process.env.README_CODE_EXPLANATION || '');
+// Wait for the published site to be live (Pages build finished, URL serving the new index.html)
+// before notifying the evaluator. Set DEPLOY_VERIFY=0 to notify right after publishing.
+export const DEPLOY_VERIFY = !/^(0|false|no)$/i.test(process.env.DEPLOY_VERIFY || '');
+export const DEPLOY_BUILD_TIMEOUT_SECONDS = Number(process.env.DEPLOY_BUILD_TIMEOUT_SECONDS) || 600;
+export const DEPLOY_LIVE_TIMEOUT_SECONDS = Number(process.env.DEPLOY_LIVE_TIMEOUT_SECONDS) || 300;
+export const DEPLOY_POLL_INTERVAL_SECONDS = Number(process.env.DEPLOY_POLL_INTERVAL_SECONDS) || 10;
+// Evaluator notifications: waits between the attempts made right away, then the schedule on which
+// the background retrier tries an undelivered payload again (seconds, comma-separated)
+export const NOTIFY_IMMEDIATE_DELAYS_SECONDS = parseSeconds(process.env.NOTIFY_IMMEDIATE_DELAYS_SECONDS, '1,2,4,8');
+export const NOTIFY_RETRY_SCHEDULE_SECONDS = parseSeconds(process.env.NOTIFY_RETRY_SCHEDULE_SECONDS, '60,300,1800,7200,21600,86400');
+// How often the background retrier looks for undelivered notifications that are due
+export const NOTIFY_RETRY_POLL_SECONDS = Number(process.env.NOTIFY_RETRY_POLL_SECONDS) || 60;
+// Bearer token for the /admin API; the admin API is off without it
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Dashboard (/dashboard, signed in with ADMIN_TOKEN): how long a sign-in lasts, and how many unpublished
+// drafts are kept in memory and for how long
+export const DASHBOARD_SESSION_HOURS = Number(process.env.DASHBOARD_SESSION_HOURS) || 12;
+export const DASHBOARD_MAX_DRAFTS = Number(process.env.DASHBOARD_MAX_DRAFTS) || 20;
+export const DASHBOARD_DRAFT_TTL_HOURS = Number(process.env.DASHBOARD_DRAFT_TTL_HOURS) || 24;
+// How an invalid `task` name is handled: 'strict' rejects it with a 400, 'slugify' turns "My App!" into "my-app"
+export const TASK_NAME_MODE = process.env.TASK_NAME_MODE === 'slugify' ? 'slugify' : 'strict';
+// Per-caller secrets and allowed task-name prefixes for signed requests (see lib/auth.js)
+export const CALLERS_FILE = path.resolve(process.env.CALLERS_FILE || 'callers.json');
+// How far a signed request's X-Timestamp may be from the server clock
+export const SIGNATURE_MAX_AGE_SECONDS = Number(process.env.SIGNATURE_MAX_AGE_SECONDS) || 300;
+// Reject requests that authenticate with a `secret` in the body instead of an X-Signature header
+export const REQUIRE_SIGNATURE = /^(1|true|yes)$/i.test(process.env.REQUIRE_SIGNATURE || '');
+// Publishing backend: 'github' (default), 'local' or 'git'
+export const PUBLISHER = (process.env.PUBLISHER || 'github').toLowerCase();
+// Base URL this server is reachable at; used for links to locally served sites
+export const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// 'local' publisher: each task is written to SITES_DIR/<task>/ and served under /sites/<task>/
+export const SITES_DIR = path.resolve(process.env.SITES_DIR || 'sites');
+// 'git' publisher: a bare repo directory, file:// URL or any git remote. `{task}` is replaced with
+// the task name; without it, `<task>.git` is appended.
+export const GIT_PUBLISH_REMOTE = process.env.GIT_PUBLISH_REMOTE;
+// 'git' publisher: optional pages URL template, e.g. "https://pages.example.com/{task}/"
+export const GIT_PAGES_URL = process.env.GIT_PAGES_URL;
+// 'git' publisher: branch to commit to
+export const GIT_PUBLISH_BRANCH = process.env.GIT_PUBLISH_BRANCH || 'main';
@@ -0,0 +1,285 @@
+import express from 'express';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { applyJobUpdate, createJob, describeJob } from './jobQueue.js';
+import { DRAFT_STATES } from './drafts.js';
+import { validateTaskRequest } from './requestSchema.js';
+import { parseAttachments, summarizeAttachments } from './attachments.js';
+import { diffFileSets } from './diff.js';
+import { safeEqual, createSessionCookie, clearSessionCookie, requireDashboardSession } from './auth.js';
+import { withLogContext } from './logger.js';
+
+/**
+ * The dashboard, served under /dashboard: a page (dashboard/ at the project root) and the JSON API it
+ * uses. Signing in with ADMIN_TOKEN starts a cookie session (lib/auth.js).
+ *
+ * A brief submitted from the dashboard is built into a draft (lib/drafts.js) by the same pipeline as
+ * a queued task, stopping before anything is published. The draft's files are previewed straight from
+ * memory, compared with the round published before, and then published through the job queue,
+ * rebuilt, or discarded.
+ *
+ * Previews are generated code, so they are served with a CSP sandbox: the page runs in an opaque
+ * origin and can't reach the dashboard API with the session cookie.
+ */
+
+const UI_DIR = fileURLToPath(new URL('../dashboard/', import.meta.url));
+// Caller recorded on jobs published from the dashboard
+const DASHBOARD_CALLER = 'dashboard';
+// Matches the sandbox attribute of the preview iframe, so opening a preview in its own tab is no less restricted
+const PREVIEW_SANDBOX = 'sandbox allow-scripts allow-forms allow-modals allow-popups';
+
+/**
+ * A nonce for publishing a draft build. Each build gets its own, so publishing a rebuilt draft is a
+ * new request rather than a duplicate of the last publish.
+ */
+function draftNonce() {
+    return `dashboard-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function describeFiles(files) {
+    return (files ?? []).map(f => ({
+        path: f.path,
+        size: Buffer.byteLength(f.content),
+        binary: typeof f.content !== 'string',
+    })).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function describeFile(file) {
+    const binary = typeof file.content !== 'string';
+    return { path: file.path, size: Buffer.byteLength(file.content), binary, content: binary ? null : file.content };
+}
+
+/**
+ * Shapes a draft for the dashboard API (files are listed, not included).
+ */
+function describeDraft(draft) {
+    const { brief, task, round, nonce, evaluation_url = null } = draft.job.request;
+    return {
+        id: draft.id,
+        state: draft.state,
+        task,
+        round,
+        nonce,
+        brief,
+        evaluation_url,
+        error: draft.error,
+        created_at: draft.created_at,
+        updated_at: draft.updated_at,
+        stage: draft.job.state,
+        reports: draft.job.reports,
+        revised: draft.revised,
+        base_files: draft.existingFiles?.length ?? null,
+        files: describeFiles(draft.files),
+        preview_url: draft.files ? `/dashboard/preview/${draft.id}/` : null,
+        published_job: draft.published_job ?? null,
+    };
+}
+
+/**
+ * Creates the dashboard router, mounted at /dashboard.
+ * @param {object} options
+ * @param {string} [options.adminToken] - ADMIN_TOKEN; the dashboard is off without it.
+ * @param {number} options.sessionTtlMs - How long a sign-in lasts.
+ * @param {object} options.drafts - A draft store from createDraftStore().
+ * @param {object} options.pipeline - The pipeline from createPipeline() (its drafts option set to `drafts`).
+ * @param {object} options.jobQueue - The job queue drafts are published through.
+ * @param {object} options.jobStore - The job store, for the task list.
+ * @param {object} options.publisher - The publisher, for what is published now.
+ * @param {string} options.taskNameMode - TASK_NAME_MODE.
+ * @returns {object} - An Express router.
+ */
+export function createDashboardRouter({ adminToken, sessionTtlMs, drafts, pipeline, jobQueue, jobStore, publisher, taskNameMode }) {
+    const router = express.Router();
+
+    /**
+     * Builds a draft in the background; the dashboard polls it.
+     */
+    function startBuild(draft) {
+        const { job } = draft;
+        const update = async (state, patch) => applyJobUpdate(job, state, patch);
+        const context = { task: job.task, round: job.round, nonce: job.request.nonce, draft_id: draft.id };
+        withLogContext(context, () => pipeline.buildFiles(job, update, { attachments: draft.attachments })).then(
+            build => drafts.update(draft.id, { state: DRAFT_STATES.READY, ...build }),
+            error => {
+                console.error(`Draft ${draft.id} for ${job.task} failed:`, error);
+                drafts.update(draft.id, { state: DRAFT_STATES.FAILED, error: error.message });
+            },
+        );
+    }
+
+    function findDraft(req, res) {
+        const draft = drafts.get(req.params.id);
+        if (!draft) res.status(404).json({ error: `No draft ${req.params.id}; drafts are kept in memory and may have expired` });
+        return draft;
+    }
+
+    // --- Page and session ---
+    router.use(express.static(UI_DIR));
+
+    router.post('/login', (req, res) => {
+        if (!adminToken) return res.status(503).json({ error: 'The dashboard is disabled; set ADMIN_TOKEN to enable it.' });
+        if (!safeEqual(req.body?.token, adminToken)) {
+            console.warn(`Rejected dashboard sign-in from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid admin token' });
+        }
+        res.set('Set-Cookie', createSessionCookie(adminToken, sessionTtlMs, { secure: req.secure }));
+        res.status(204).end();
+    });
+
+    router.post('/logout', (req, res) => {
+        res.set('Set-Cookie', clearSessionCookie());
+        res.status(204).end();
+    });
+
+    // --- Previews: the unguessable draft id is what grants access, so iframes need no cookie ---
+    // Relative links in the app resolve against the draft's directory only with the trailing slash
+    router.get('/preview/:id', (req, res, next) => {
+        if (req.path.endsWith('/')) return next();
+        res.redirect(`/dashboard/preview/${req.params.id}/`);
+    });
+
+    router.get('/preview/:id/*', (req, res) => {
+        const draft = drafts.get(req.params.id);
+        if (!draft?.files) return res.status(404).type('text/plain').send('No such preview');
+        let filePath = req.params[0] || 'index.html';
+        if (filePath.endsWith('/')) filePath += 'index.html';
+        const file = draft.files.find(f => f.path === filePath);
+        if (!file) return res.status(404).type('text/plain').send(`${filePath} is not part of this draft`);
+        res.set({
+            'Content-Security-Policy': PREVIEW_SANDBOX,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'no-store',
+        });
+        res.type(path.extname(filePath) || 'text/plain').send(file.content);
+    });
+
+    // --- API ---
+    router.use('/api', requireDashboardSession(adminToken));
+    // Changes must come as JSON: a form posted by a previewed app (or any other page) can't set that
+    // content type without a CORS preflight, which this API never answers
+    router.use('/api', (req, res, next) => {
+        // The header itself is checked: req.is() ignores it on requests without a body
+        if (req.method === 'GET' || /^application\/json\b/i.test(req.get('content-type') || '')) return next();
+        res.status(415).json({ error: 'Send changes as application/json' });
+    });
+
+    router.get('/api/tasks', (req, res) => {
+        const latest = new Map();
+        for (const job of jobStore.all()) {
+            const seen = latest.get(job.task);
+            if (!seen || Number(job.round) > Number(seen.job.round)) latest.set(job.task, { job, rounds: (seen?.rounds ?? 0) + 1 });
+            else seen.rounds++;
+        }
+        const tasks = [...latest.values()]
+            .map(({ job, rounds }) => ({ ...describeJob(job), rounds }))
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        res.json({ tasks });
+    });
+
+    router.get('/api/tasks/:task', (req, res) => {
+        const jobs = jobStore.listByTask(req.params.task);
+        if (!jobs.length) return res.status(404).json({ error: `No task named ${req.params.task}` });
+        res.json({ ...describeJob(jobs[0]), rounds: jobs.map(describeJob) });
+    });
+
+    // What is published now, read back through the publisher
+    async function publishedFiles(req, res) {
+        try {
+            return await publisher.fetchFiles(req.params.task);
+        } catch (error) {
+            console.error(`Could not read the published files of ${req.params.task}:`, error);
+            res.status(502).json({ error: `Could not read the published files: ${error.message}` });
+            return null;
+        }
+    }
+
+    router.get('/api/tasks/:task/files', async (req, res) => {
+        const files = await publishedFiles(req, res);
+        if (files) res.json({ files: describeFiles(files) });
+    });
+
+    router.get('/api/tasks/:task/files/*', async (req, res) => {
+        const files = await publishedFiles(req, res);
+        if (!files) return;
+        const file = files.find(f => f.path === req.params[0]);
+        if (!file) return res.status(404).json({ error: `${req.params[0]} is not published for ${req.params.task}` });
+        res.json(describeFile(file));
+    });
+
+    router.get('/api/drafts', (req, res) => {
+        res.json({ drafts: drafts.list().map(describeDraft) });
+    });
+
+    router.post('/api/drafts', (req, res) => {
+        const { value: request, errors } = validateTaskRequest(req.body, { taskNameMode });
+        if (errors.length) return res.status(400).json({ error: 'Invalid request', errors });
+        // Decoded once for every build of the draft; already validated, so this doesn't throw
+        const attachments = parseAttachments(request.attachments);
+        const draft = drafts.create({ ...request, attachments: summarizeAttachments(attachments), nonce: draftNonce(), caller: DASHBOARD_CALLER }, attachments);
+        console.log(`Building draft ${draft.id} for task: ${request.task}, round: ${request.round}`);
+        startBuild(draft);
+        res.status(202).json(describeDraft(draft));
+    });
+
+    router.get('/api/drafts/:id', (req, res) => {
+        const draft = findDraft(req, res);
+        if (draft) res.json(describeDraft(draft));
+    });
+
+    router.get('/api/drafts/:id/files/*', (req, res) => {
+        const draft = findDraft(req, res);
+        if (!draft) return;
+        const file = draft.files?.find(f => f.path === req.params[0]);
+        if (!file) return res.status(404).json({ error: `${req.params[0]} is not part of this draft` });
+        res.json(describeFile(file));
+    });
+
+    // What the draft changes compared with the round published before it
+    router.get('/api/drafts/:id/diff', (req, res) => {
+        const draft = findDraft(req, res);
+        if (!draft) return;
+        if (!draft.files) return res.status(409).json({ error: `Draft ${draft.id} is ${draft.state}; there is nothing to compare yet` });
+        res.json({ base: draft.existingFiles.length ? 'published' : null, changes: diffFileSets(draft.existingFiles, draft.files) });
+    });
+
+    router.post('/api/drafts/:id/regenerate', (req, res) => {
+        const draft = findDraft(req, res);
+        if (!draft) return;
+        if (draft.state === DRAFT_STATES.BUILDING) return res.status(409).json({ error: `Draft ${draft.id} is still building` });
+        const request = { ...draft.job.request, nonce: draftNonce() };
+        drafts.update(draft.id, { state: DRAFT_STATES.BUILDING, job: createJob(request), files: null, existingFiles: null, revised: false, error: null, published_job: null });
+        console.log(`Rebuilding draft ${draft.id} for task: ${request.task}, round: ${request.round}`);
+        startBuild(draft);
+        res.status(202).json(describeDraft(draft));
+    });
+
+    router.post('/api/drafts/:id/publish', async (req, res) => {
+        const draft = findDraft(req, res);
+        if (!draft) return;
+        if (draft.state !== DRAFT_STATES.READY) return res.status(409).json({ error: `Draft ${draft.id} is ${draft.state}; only a ready draft can be published` });
+        const { task, round } = draft.job.request;
+        let submission;
+        try {
+            submission = await jobQueue.submit({ ...draft.job.request, draft_id: draft.id });
+        } catch (error) {
+            console.error(`Could not enqueue draft ${draft.id}:`, error);
+            return res.status(500).json({ error: 'Could not queue the draft for publishing.' });
+        }
+        const { job, outcome } = submission;
+        const statusUrl = `/api/tasks/${encodeURIComponent(task)}`;
+        if (outcome === 'conflict') {
+            return res.status(409).json({ error: `Round ${round} of ${task} is already being processed for a different nonce; publish once it has finished.`, status_url: statusUrl });
+        }
+        drafts.update(draft.id, { published_job: job.id });
+        if (outcome !== 'queued') return res.json({ message: `This draft is already ${outcome === 'completed' ? 'published' : 'being published'}.`, job_id: job.id, status_url: statusUrl });
+        res.status(202).json({ message: 'Publishing', job_id: job.id, status_url: statusUrl });
+    });
+
+    router.delete('/api/drafts/:id', (req, res) => {
+        if (!drafts.discard(req.params.id)) return res.status(404).json({ error: `No draft ${req.params.id}` });
+        res.status(204).end();
+    });
+
+    return router;
+}
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+/**
+ * Checks that a publish is actually being served before the evaluator is told about it:
+ * 1. when the publisher has a build API (GitHub Pages), poll it until the build for our commit
+ *    is `built` or `errored`
+ * 2. poll the live URL until it answers 200 with the index.html that was committed
+ * The outcome is a deploy_status object:
+ *   { state: 'live' | 'build_errored' | 'build_timeout' | 'live_timeout' | 'skipped',
+ *     build: { status, commit, error } | null, url, http_status, attempts, duration_ms, message }
+ * A failed verification does not fail the task; the status travels with the notification.
+ */
+
+/**
+ * Fingerprint of an HTML document that ignores line-ending and trailing-whitespace differences.
+ * @param {string|Buffer} content - The document.
+ * @returns {string} - Hex SHA-256.
+ */
+export function fingerprintHtml(content) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+    return crypto.createHash('sha256').update(text.replace(/\r\n/g, '\n').trim()).digest('hex');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a verifier. `fetchImpl` can be swapped for a stand-in in tests.
+ * @param {object} options
+ * @param {number} options.buildTimeoutMs - How long to wait for the build of our commit.
+ * @param {number} options.liveTimeoutMs - How long to wait for the live URL to serve our index.html.
+ * @param {number} options.intervalMs - Time between polls.
+ * @param {number} [options.requestTimeoutMs=15000] - Timeout of a single request to the live URL.
+ * @param {Function} [options.fetchImpl=fetch]
+ * @returns {object} - { verify(options) }
+ */
+export function createDeployVerifier({ buildTimeoutMs, liveTimeoutMs, intervalMs, requestTimeoutMs = 15000, fetchImpl = fetch }) {
+    /**
+     * Polls the publisher's build status until the build for `commitSha` finishes.
+     * @returns {Promise<object>} - { done, build, url, attempts }
+     */
+    async function waitForBuild(pagesStatus, commitSha) {
+        const deadline = Date.now() + buildTimeoutMs;
+        let build = null;
+        let url = null;
+        let attempts = 0;
+        for (;;) {
+            attempts++;
+            try {
+                const status = await pagesStatus();
+                build = status?.build ?? null;
+                url = status?.url ?? url;
+                if (build && build.commit === commitSha && ['built', 'errored'].includes(build.status)) {
+                    return { done: true, build, url, attempts };
+                }
+            } catch (err) {
+                // The Pages site may not exist yet right after it was enabled
+                console.warn(`Pages build status unavailable (attempt ${attempts}): ${err.message}`);
+            }
+            if (Date.now() + intervalMs > deadline) return { done: false, build, url, attempts };
+            await sleep(intervalMs);
+        }
+    }
+
+    /**
+     * Polls the live URL until it serves the expected index.html.
+     * @returns {Promise<object>} - { live, http_status, attempts, message }
+     */
+    async function waitForLive(url, expectedFingerprint, commitSha) {
+        const deadline = Date.now() + liveTimeoutMs;
+        let attempts = 0;
+        let httpStatus = null;
+        let message = null;
+        for (;;) {
+            attempts++;
+            try {
+                // A query string gets past CDN caches holding the previous version
+                const probe = new URL(url);
+                if (commitSha) probe.searchParams.set('v', commitSha.slice(0, 12));
+                const response = await fetchImpl(probe, { redirect: 'follow', cache: 'no-store', signal: AbortSignal.timeout(requestTimeoutMs) });
+                httpStatus = response.status;
+                const body = await response.text();
+                if (response.status === 200 && (!expectedFingerprint || fingerprintHtml(body) === expectedFingerprint)) {
+                    return { live: true, http_status: httpStatus, attempts, message: null };
+                }
+                message = response.status === 200 ? 'served content does not match the committed index.html yet' : `HTTP ${response.status}`;
+            } catch (err) {
+                httpStatus = null;
+                message = err.message;
+            }
+            if (Date.now() + intervalMs > deadline) return { live: false, http_status: httpStatus, attempts, message };
+            await sleep(intervalMs);
+        }
+    }
+
+    return {
+        /**
+         * Verifies one deployment.
+         * @param {object} options
+         * @param {string|null} options.pagesUrl - The URL the app should be live at (null: nothing to check).
+         * @param {string} options.commitSha - The published commit.
+         * @param {string} [options.indexFingerprint] - fingerprintHtml() of the committed index.html.
+         * @param {Function} [options.pagesStatus] - Async () => { build: { status, commit, error } | null, url }
+         *   for publishers with a build API; `url` replaces pagesUrl when given (e.g. a custom domain).
+         * @returns {Promise<object>} - The deploy_status.
+         */
+        async verify({ pagesUrl, commitSha, indexFingerprint, pagesStatus }) {
+            const started = Date.now();
+            const finish = (status) => ({ ...status, duration_ms: Date.now() - started });
+            let url = pagesUrl;
+            let build = null;
+            let attempts = 0;
+
+            if (pagesStatus) {
+                const wait = await waitForBuild(pagesStatus, commitSha);
+                build = wait.build;
+                url = wait.url || url;
+                attempts += wait.attempts;
+                if (!wait.done) {
+                    return finish({ state: 'build_timeout', build, url, http_status: null, attempts, message: `no finished Pages build for ${commitSha} within ${buildTimeoutMs / 1000}s` });
+                }
+                if (build.status === 'errored') {
+                    return finish({ state: 'build_errored', build, url, http_status: null, attempts, message: build.error || 'the Pages build failed' });
+                }
+            }
+            if (!url) {
+                return finish({ state: 'skipped', build, url: null, http_status: null, attempts, message: 'the publisher has no pages URL' });
+            }
+
+            const live = await waitForLive(url, indexFingerprint, commitSha);
+            attempts += live.attempts;
+            return finish({
+                state: live.live ? 'live' : 'live_timeout',
+                build,
+                url,
+                http_status: live.http_status,
+                attempts,
+                message: live.live ? null : `${url} did not serve the committed index.html within ${liveTimeoutMs / 1000}s (${live.message})`,
+            });
+        },
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Minimal unified diff support for LLM-written patches.
+ *
+ * Only the hunks matter: `---`/`+++` headers and `diff --git` lines are ignored, and a
+ * hunk is placed by its context and removed lines rather than trusting the line numbers
+ * in its header (models routinely get those wrong). Anything that doesn't match the
+ * original text exactly is rejected.
+ *
+ * createUnifiedDiff() goes the other way, for showing what changed between two rounds.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+
+/**
+ * Splits a unified diff into hunks.
+ * @param {string} diffText - The diff.
+ * @returns {object[]} - Hunks { start, before: string[], after: string[] }.
+ */
+function parseHunks(diffText) {
+    const hunks = [];
+    let current = null;
+    for (const line of diffText.replace(/\r\n/g, '\n').split('\n')) {
+        const header = HUNK_HEADER.exec(line);
+        if (header) {
+            current = { start: Number(header[1]), before: [], after: [] };
+            hunks.push(current);
+            continue;
+        }
+        if (!current) continue; // file headers and anything else before the first hunk
+        if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+        const marker = line[0];
+        const text = line.slice(1);
+        if (marker === ' ' || line === '') {
+            current.before.push(text);
+            current.after.push(text);
+        } else if (marker === '-') {
+            current.before.push(text);
+        } else if (marker === '+') {
+            current.after.push(text);
+        } else {
+            throw new Error(`Unexpected line in hunk: ${JSON.stringify(line)}`);
+        }
+    }
+    // A trailing empty line from the final newline is not context
+    for (const hunk of hunks) {
+        while (hunk.before.length && hunk.before.at(-1) === '' && hunk.after.at(-1) === '') {
+            hunk.before.pop();
+            hunk.after.pop();
+        }
+    }
+    return hunks;
+}
+
+/**
+ * Finds where `needle` occurs in `lines`, searching outwards from `hint`.
+ * @returns {number} - The index, or -1.
+ */
+function locate(lines, needle, from, hint) {
+    const matchesAt = (i) => needle.every((l, k) => lines[i + k] === l);
+    const last = lines.length - needle.length;
+    for (let offset = 0; hint - offset >= from || hint + offset <= last; offset++) {
+        if (hint + offset <= last && hint + offset >= from && matchesAt(hint + offset)) return hint + offset;
+        if (offset && hint - offset >= from && hint - offset <= last && matchesAt(hint - offset)) return hint - offset;
+    }
+    return -1;
+}
+
+/**
+ * Applies a unified diff to a text.
+ * @param {string} original - The current file contents.
+ * @param {string} diffText - The unified diff for that file.
+ * @returns {string} - The patched contents.
+ * @throws {Error} - When the diff has no hunks or a hunk does not match.
+ */
+export function applyUnifiedDiff(original, diffText) {
+    const hunks = parseHunks(diffText);
+    if (!hunks.length) throw new Error('Patch contains no hunks');
+
+    const endsWithNewline = original.endsWith('\n');
+    const lines = original.replace(/\r\n/g, '\n').split('\n');
+    if (endsWithNewline) lines.pop();
+
+    const output = [];
+    let cursor = 0;
+    hunks.forEach((hunk, n) => {
+        const at = hunk.before.length
+            ? locate(lines, hunk.before, cursor, Math.max(cursor, hunk.start - 1))
+            : Math.min(Math.max(cursor, hunk.start), lines.length);
+        if (at < 0) {
+            throw new Error(`Hunk ${n + 1} (near line ${hunk.start}) does not match the current file`);
+        }
+        output.push(...lines.slice(cursor, at), ...hunk.after);
+        cursor = at + hunk.before.length;
+    });
+    output.push(...lines.slice(cursor));
+
+    return output.join('\n') + (endsWithNewline ? '\n' : '');
+}
+
+// Beyond this many changed lines a file is shown as replaced instead of diffed line by line
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines.at(-1) === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Shortest edit script between two line arrays (Myers' algorithm).
+ * @returns {object[]|null} - { op: ' ' | '-' | '+', line } in order, or null past MAX_EDIT_DISTANCE.
+ */
+function editScript(a, b) {
+    const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // v[k] after each round d, kept for the walk back; only diagonals -d..d matter
+    const trace = [];
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                trace.push(v.slice(offset - d, offset + d + 1));
+                return walkBack(trace, a, b);
+            }
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+    return null;
+}
+
+function walkBack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d - 1];
+        const at = (k) => previous[k + d - 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) ops.push({ op: ' ', line: a[--x], y: --y });
+        if (prevK === k + 1) ops.push({ op: '+', line: b[--y] });
+        else ops.push({ op: '-', line: a[--x] });
+    }
+    while (x > 0 && y > 0) ops.push({ op: ' ', line: a[--x], y: --y });
+    return ops.reverse().map(({ op, line }) => ({ op, line }));
+}
+
+/**
+ * Creates a unified diff between two versions of a text file.
+ * @param {string} before - The old contents ('' for a new file).
+ * @param {string} after - The new contents ('' for a deleted file).
+ * @param {object} [options]
+ * @param {string} [options.path='file'] - Path shown in the headers.
+ * @param {number} [options.context=3] - Unchanged lines shown around each change.
+ * @returns {string} - The diff ('' when the texts are equal).
+ */
+export function createUnifiedDiff(before, after, { path = 'file', context = 3 } = {}) {
+    if (before === after) return '';
+    const a = splitLines(before);
+    const b = splitLines(after);
+    const ops = editScript(a, b) ?? [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+
+    const lines = [`--- a/${path}`, `+++ b/${path}`];
+    const changes = ops.map((o, i) => (o.op === ' ' ? -1 : i)).filter(i => i >= 0);
+    let i = 0;
+    while (i < changes.length) {
+        // A hunk runs from the first change to the last one less than 2 * context lines from the next
+        let last = i;
+        while (last + 1 < changes.length && changes[last + 1] - changes[last] <= 2 * context) last++;
+        const start = Math.max(0, changes[i] - context);
+        const end = Math.min(ops.length, changes[last] + context + 1);
+        const oldStart = ops.slice(0, start).filter(o => o.op !== '+').length;
+        const newStart = ops.slice(0, start).filter(o => o.op !== '-').length;
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(o => o.op !== '+').length;
+        const newCount = hunk.filter(o => o.op !== '-').length;
+        lines.push(`@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`);
+        for (const o of hunk) lines.push(`${o.op}${o.line}`);
+        i = last + 1;
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function sameContent(a, b) {
+    if (a === undefined || b === undefined) return a === b;
+    return typeof a === 'string' && typeof b === 'string' ? a === b : Buffer.from(a).equals(Buffer.from(b));
+}
+
+/**
+ * Compares two file sets, e.g. the previous round and a new build.
+ * @param {object[]} before - Array of file objects { path, content }.
+ * @param {object[]} after - Array of file objects { path, content }.
+ * @returns {object[]} - { path, status: 'added' | 'removed' | 'modified', binary, diff } per changed
+ *   file, sorted by path; `diff` is null for binary files.
+ */
+export function diffFileSets(before, after) {
+    const oldFiles = new Map(before.map(f => [f.path, f.content]));
+    const newFiles = new Map(after.map(f => [f.path, f.content]));
+    const paths = [...new Set([...oldFiles.keys(), ...newFiles.keys()])].sort();
+    const changes = [];
+    for (const filePath of paths) {
+        const oldContent = oldFiles.get(filePath);
+        const newContent = newFiles.get(filePath);
+        const binary = [oldContent, newContent].some(c => c !== undefined && typeof c !== 'string');
+        if (sameContent(oldContent, newContent)) continue;
+        changes.push({
+            path: filePath,
+            status: oldContent === undefined ? 'added' : newContent === undefined ? 'removed' : 'modified',
+            binary,
+            diff: binary ? null : createUnifiedDiff(oldContent ?? '', newContent ?? '', { path: filePath }),
+        });
+    }
+    return changes;
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { createJob } from './jobQueue.js';
+
+/**
+ * Drafts: builds made from the dashboard that are kept in memory, previewed and published
+ * (or discarded) later. Nothing about a draft is written to disk; a restart forgets them.
+ *
+ * A draft carries a job record (see lib/jobQueue.js) so the pipeline can build it exactly as it
+ * builds a queued job, and its reports read the same as a job's. Its attachments are decoded once
+ * and kept beside the job; the request only names them.
+ */
+
+export const DRAFT_STATES = Object.freeze({
+    BUILDING: 'building',
+    READY: 'ready',
+    FAILED: 'failed',
+    PUBLISHED: 'published',
+});
+
+/**
+ * Creates the in-memory draft store.
+ * @param {object} [options]
+ * @param {number} [options.maxDrafts=20] - Oldest drafts are dropped beyond this (builds in progress are kept).
+ * @param {number} [options.ttlMs=86400000] - Drafts untouched for longer are dropped.
+ * @returns {object} - { create, get, list, update, discard, take }
+ */
+export function createDraftStore({ maxDrafts = 20, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    const drafts = new Map();
+
+    function prune() {
+        const now = Date.now();
+        for (const [id, draft] of drafts) {
+            if (draft.state !== DRAFT_STATES.BUILDING && now - Date.parse(draft.updated_at) > ttlMs) drafts.delete(id);
+        }
+        // Map order is insertion order, so the first finished drafts are the oldest
+        for (const [id, draft] of drafts) {
+            if (drafts.size <= maxDrafts) break;
+            if (draft.state !== DRAFT_STATES.BUILDING) drafts.delete(id);
+        }
+    }
+
+    return {
+        /**
+         * Creates a draft in the `building` state.
+         * @param {object} request - The validated task request, its attachments summarized.
+         * @param {object[]} [attachments] - The decoded attachments (see parseAttachments()).
+         * @returns {object} - The draft.
+         */
+        create(request, attachments = []) {
+            const now = new Date().toISOString();
+            const draft = {
+                // The id is also what lets the preview be fetched without a session, so it is unguessable
+                id: crypto.randomBytes(16).toString('hex'),
+                state: DRAFT_STATES.BUILDING,
+                job: createJob(request),
+                attachments,
+                files: null,
+                existingFiles: null,
+                revised: false,
+                error: null,
+                created_at: now,
+                updated_at: now,
+            };
+            drafts.set(draft.id, draft);
+            prune();
+            return draft;
+        },
+
+        /**
+         * @param {string} id
+         * @returns {object|null} - The draft, or null when it doesn't exist (any more).
+         */
+        get(id) {
+            prune();
+            return drafts.get(id) ?? null;
+        },
+
+        /**
+         * @returns {object[]} - Every draft, newest first.
+         */
+        list() {
+            prune();
+            return [...drafts.values()].reverse();
+        },
+
+        /**
+         * Records the outcome of a draft's build.
+         * @param {string} id
+         * @param {object} patch - { state, files?, existingFiles?, revised?, error? }
+         * @returns {object|null} - The draft, or null when it was discarded meanwhile.
+         */
+        update(id, patch) {
+            const draft = drafts.get(id);
+            if (!draft) return null;
+            Object.assign(draft, patch, { updated_at: new Date().toISOString() });
+            return draft;
+        },
+
+        /**
+         * Drops a draft.
+         * @param {string} id
+         * @returns {boolean} - False when there was no such draft.
+         */
+        discard(id) {
+            return drafts.delete(id);
+        },
+
+        /**
+         * Hands a ready draft's build to the publishing job and marks the draft published, so it is
+         * published once.
+         * @param {string} id
+         * @returns {object|null} - { files, existingFiles, revised, reports, attachments }, or null when
+         *   the draft is gone or not ready.
+         */
+        take(id) {
+            const draft = drafts.get(id);
+            if (draft?.state !== DRAFT_STATES.READY) return null;
+            draft.state = DRAFT_STATES.PUBLISHED;
+            draft.updated_at = new Date().toISOString();
+            return { files: draft.files, existingFiles: draft.existingFiles, revised: draft.revised, reports: draft.job.reports, attachments: draft.attachments };
+        },
+    };
+}
@@ -0,0 +1,127 @@
+import path from 'path';
+import { Buffer } from 'buffer';
+
+/**
+ * Rules for the files the model writes, applied before anything is validated or published:
+ * - paths are normalized (`./a//b.js` becomes `a/b.js`, backslashes become slashes)
+ * - `..` segments, absolute paths, `.git/` and `.github/` (workflows) are rejected
+ * - the extension must be on the allowlist (a few names such as LICENSE are always allowed)
+ * - per-file size, total size and file-count limits
+ * - a path repeated after normalization keeps the later file; a path that differs from an
+ *   earlier one only by case is dropped (the two would collide on case-insensitive systems)
+ */
+
+// Names allowed whatever the extension allowlist says
+const ALLOWED_NAMES = new Set(['LICENSE', '.nojekyll']);
+// Directories that must never be written: they would change the repo or run workflows
+const FORBIDDEN_DIRECTORIES = new Set(['.git', '.github']);
+const MAX_PATH_LENGTH = 200;
+
+/**
+ * Normalizes a path emitted by the model.
+ * @param {string} raw - The path from the file marker.
+ * @returns {string} - The normalized relative path.
+ * @throws {Error} - With the reason the path is not acceptable.
+ */
+export function normalizeFilePath(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) throw new Error('empty path');
+    const slashed = raw.trim().replace(/\\/g, '/');
+    if (slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed)) throw new Error('absolute paths are not allowed');
+    if (/[\u0000-\u001f<>:"|?*]/.test(slashed)) throw new Error('contains characters that are not allowed in file names');
+    const segments = slashed.split('/').filter(s => s && s !== '.');
+    if (segments.includes('..')) throw new Error("'..' segments are not allowed");
+    if (!segments.length) throw new Error('empty path');
+    const forbidden = segments.find(s => FORBIDDEN_DIRECTORIES.has(s.toLowerCase()));
+    if (forbidden) throw new Error(`writing under ${forbidden}/ is not allowed`);
+    const normalized = segments.join('/');
+    if (normalized.length > MAX_PATH_LENGTH) throw new Error(`path is longer than ${MAX_PATH_LENGTH} characters`);
+    return normalized;
+}
+
+/**
+ * Describes a policy for reports and prompts.
+ * @param {object} policy - { mode, extensions, maxFileBytes, maxTotalBytes, maxFiles }
+ * @returns {object}
+ */
+export function describeFilePolicy(policy) {
+    return {
+        mode: policy.mode,
+        extensions: policy.extensions,
+        max_file_bytes: policy.maxFileBytes,
+        max_total_bytes: policy.maxTotalBytes,
+        max_files: policy.maxFiles,
+    };
+}
+
+/**
+ * Applies the policy to a file set.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @param {object} policy - { extensions: string[], maxFileBytes, maxTotalBytes, maxFiles }
+ * @param {object} [options]
+ * @param {Set<string>} [options.trusted] - Paths the service itself vouches for (attachments, files
+ *   published in an earlier round and left unchanged). They are kept as-is and not counted.
+ * @returns {object} - { files, violations: {path, reason}[] }: the accepted files, in order.
+ */
+export function applyFilePolicy(files, policy, { trusted = new Set() } = {}) {
+    const violations = [];
+    const extensions = new Set(policy.extensions.map(e => e.toLowerCase()));
+
+    // Normalize and collapse duplicates first
+    const byKey = new Map();
+    for (const file of files) {
+        if (trusted.has(file.path)) {
+            byKey.set(file.path.toLowerCase(), { ...file, trusted: true });
+            continue;
+        }
+        let normalized;
+        try {
+            normalized = normalizeFilePath(file.path);
+        } catch (err) {
+            violations.push({ path: file.path, reason: err.message });
+            continue;
+        }
+        const key = normalized.toLowerCase();
+        const previous = byKey.get(key);
+        if (previous && previous.path !== normalized) {
+            violations.push({ path: file.path, reason: `differs from ${previous.path} only by case` });
+            continue;
+        }
+        if (previous) console.warn(`File policy: ${file.path} repeats ${normalized}; keeping the later copy.`);
+        byKey.set(key, { path: normalized, content: file.content });
+    }
+
+    // index.html is checked first so the limits never squeeze it out
+    const candidates = [...byKey.values()].sort((a, b) => (b.path === 'index.html') - (a.path === 'index.html'));
+    const accepted = [];
+    let total = 0;
+    let count = 0;
+    for (const file of candidates) {
+        if (file.trusted) {
+            accepted.push({ path: file.path, content: file.content });
+            continue;
+        }
+        const ext = path.posix.extname(file.path).toLowerCase();
+        const name = path.posix.basename(file.path);
+        if (!ALLOWED_NAMES.has(name) && !extensions.has(ext)) {
+            violations.push({ path: file.path, reason: `extension ${ext || '(none)'} is not allowed` });
+            continue;
+        }
+        const size = typeof file.content === 'string' ? Buffer.byteLength(file.content) : file.content.length;
+        if (size > policy.maxFileBytes) {
+            violations.push({ path: file.path, reason: `${size} bytes exceeds the per-file limit of ${policy.maxFileBytes}` });
+            continue;
+        }
+        if (count >= policy.maxFiles) {
+            violations.push({ path: file.path, reason: `more than ${policy.maxFiles} files` });
+            continue;
+        }
+        if (total + size > policy.maxTotalBytes) {
+            violations.push({ path: file.path, reason: `would take the total size past ${policy.maxTotalBytes} bytes` });
+            continue;
+        }
+        count++;
+        total += size;
+        accepted.push({ path: file.path, content: file.content });
+    }
+    return { files: accepted, violations };
+}
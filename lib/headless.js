@@ -0,0 +1,330 @@
+import { fork } from 'child_process';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Loads a generated app in jsdom with no network access and reports what happened.
+ *
+ * Generated scripts are untrusted, and jsdom is no sandbox: its built-ins (setTimeout,
+ * document.createElement, ...) are functions of Node's realm, so a page that can evaluate code
+ * through them reaches `process`. Pages therefore run in a child process that:
+ *   - has an empty environment, so none of the service's secrets are in it
+ *   - has no `constructor` on the prototypes of its own functions (lockDownRealm), which closes the
+ *     `someBuiltin.constructor('return process')()` route
+ *   - runs under Node's permission model where available: it reads only jsdom and this file, and
+ *     can't write files, start processes or load addons
+ *   - is killed when it overruns, so a script that never returns can't block the server
+ * Files from the file set are served to the page; every other request is blocked and recorded.
+ * What the page itself can call (fetch) and what the renderer calls in it (load tracking, checks)
+ * is defined by a script evaluated in the page's realm (pageShim), and only strings, numbers and
+ * booleans cross between the realms.
+ */
+
+// Origin the app is served from inside jsdom
+const APP_ORIGIN = 'http://app.local';
+// After the load event, give timers and promise callbacks a moment to settle
+const SETTLE_MS = 250;
+// How often the renderer looks whether the page loaded or an expression settled
+const POLL_MS = 20;
+// Argument that makes this module render a page instead of being imported
+const CHILD_FLAG = '--headless-render';
+const HEADLESS_FILE = fileURLToPath(import.meta.url);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function failedResult(message) {
+    return { loaded: false, console_errors: [], blocked_requests: [], text: '', title: '', check_results: [], error: message };
+}
+
+/**
+ * Node options for the renderer process.
+ */
+function childExecArgv() {
+    const args = ['--max-old-space-size=256'];
+    if (!process.allowedNodeEnvironmentFlags.has('--experimental-permission')) return args;
+    // jsdom and its dependencies live in the node_modules directory jsdom resolves to
+    const jsdomEntry = createRequire(import.meta.url).resolve('jsdom');
+    const marker = `${path.sep}node_modules${path.sep}`;
+    const modulesDir = jsdomEntry.slice(0, jsdomEntry.lastIndexOf(marker) + marker.length);
+    return [...args, '--experimental-permission', `--allow-fs-read=${modulesDir}*`, `--allow-fs-read=${HEADLESS_FILE}`, '--no-warnings'];
+}
+
+/**
+ * Renderer process side, before any page loads: makes Node's realm harder to reach from one.
+ * Code can't be generated from strings outside the page: `constructor` is removed from the
+ * prototypes of Node's functions, which is how a page holding one of jsdom's built-ins gets at
+ * Node's Function (the `Function` global, which jsdom's selector engine compiles with, is
+ * unreachable without it). Stack traces can't be reshaped to hand out Node's call sites either.
+ */
+function lockDownRealm() {
+    for (const fn of [function () {}, async function () {}, function* () {}, async function* () {}]) {
+        Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: undefined });
+    }
+    Object.defineProperty(Error, 'prepareStackTrace', { value: undefined, writable: false, configurable: false });
+}
+
+/**
+ * Renders `index.html` from a file set and runs the given checks against the page.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @param {object} [options]
+ * @param {object[]} [options.checks=[]] - Checks (see lib/checks.js) to evaluate after load.
+ * @param {number} [options.timeoutMs=10000] - Upper bound for loading and checking.
+ * @returns {Promise<object>} - { loaded, console_errors, blocked_requests, text, title, check_results, error }
+ */
+export function renderApp(files, { checks = [], timeoutMs = 10000 } = {}) {
+    return new Promise((resolve) => {
+        const child = fork(HEADLESS_FILE, [CHILD_FLAG], {
+            env: {},
+            execArgv: childExecArgv(),
+            // Buffers (binary attachments) survive the trip
+            serialization: 'advanced',
+            stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+        });
+        let stderr = '';
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (child.exitCode === null) child.kill('SIGKILL');
+            resolve(result);
+        };
+        // The renderer enforces its own timeout; this one catches a page that blocks the event loop
+        const timer = setTimeout(() => finish(failedResult(`Page did not finish within ${timeoutMs}ms (blocking script?)`)), timeoutMs + 2000);
+        child.once('message', finish);
+        child.once('error', (err) => finish(failedResult(err.message)));
+        child.once('exit', (code, signal) => {
+            const reason = stderr.trim().split('\n').pop();
+            finish(failedResult(`Headless renderer exited with ${signal ?? `code ${code}`}${reason ? `: ${reason}` : ''}`));
+        });
+        child.send({ files: files.map(f => ({ path: f.path, content: f.content })), checks, timeoutMs });
+    });
+}
+
+/**
+ * Evaluated inside the page, so it must not refer to anything outside itself: it is turned into
+ * source text (see runPage). It defines `fetch` for the file set and returns the functions the
+ * renderer calls, all of which take and return only primitives. `window`, `document`, `atob` and
+ * `Blob` are the page's.
+ * @param {string} origin - APP_ORIGIN.
+ * @param {object} files - path => content, base64.
+ */
+function pageShim(origin, files) {
+    'use strict';
+    // Captured before any page script runs, so the page can't swap them out from under the renderer
+    const globalEval = eval;
+    const { stringify } = JSON;
+    const blocked = [];
+    let loaded = document.readyState === 'complete';
+    window.addEventListener('load', () => {
+        loaded = true;
+    });
+
+    const toText = (binary) => {
+        try {
+            return decodeURIComponent(escape(binary));
+        } catch {
+            return binary;
+        }
+    };
+    const toBytes = (binary) => Uint8Array.from(binary, c => c.charCodeAt(0));
+
+    class FileResponse {
+        #binary;
+        constructor(binary, status, url) {
+            this.#binary = binary;
+            this.status = status;
+            this.ok = status >= 200 && status < 300;
+            this.statusText = status === 200 ? 'OK' : 'Not Found';
+            this.url = url;
+            this.headers = { get: () => null, has: () => false };
+        }
+        async text() { return toText(this.#binary); }
+        async json() { return JSON.parse(toText(this.#binary)); }
+        async arrayBuffer() { return toBytes(this.#binary).buffer; }
+        async blob() { return new Blob([toBytes(this.#binary)]); }
+        clone() { return new FileResponse(this.#binary, this.status, this.url); }
+    }
+
+    // Scripts may fetch files from the file set (e.g. attachments); anything else is blocked
+    window.fetch = async function fetch(input) {
+        const url = new URL(String(input?.url ?? input), location.href);
+        if (url.origin === origin) {
+            const encoded = files[decodeURIComponent(url.pathname.slice(1))];
+            return encoded === undefined ? new FileResponse('Not found', 404, url.href) : new FileResponse(atob(encoded), 200, url.href);
+        }
+        blocked.push(url.href);
+        throw new TypeError('Network access is disabled during checks');
+    };
+
+    return {
+        loaded: () => loaded,
+        blocked: () => blocked.join('\n'),
+        count: (selector) => document.querySelectorAll(selector).length,
+        // null when nothing matches
+        text: (selector) => {
+            const element = document.querySelector(selector);
+            return element ? String(element.textContent) : null;
+        },
+        title: () => String(document.title),
+        /**
+         * Starts evaluating a check expression; the returned function reports '' until it settles,
+         * then 'pass', 'fail' or 'thrown' followed by a newline and the message.
+         */
+        evaluate: (expression) => {
+            let outcome = '';
+            try {
+                Promise.resolve(globalEval(expression)).then(
+                    (value) => {
+                        let shown;
+                        try {
+                            shown = stringify(value);
+                        } catch {
+                            // e.g. a circular object
+                        }
+                        outcome = `${value ? 'pass' : 'fail'}\nevaluated to ${shown ?? String(value)}`;
+                    },
+                    (err) => {
+                        outcome = `thrown\n${String(err?.message ?? err)}`;
+                    },
+                );
+            } catch (err) {
+                outcome = `thrown\n${String(err?.message ?? err)}`;
+            }
+            return () => outcome;
+        },
+    };
+}
+
+/**
+ * Evaluates one check through the page shim.
+ * @returns {Promise<object>} - { passed, message }
+ */
+async function evaluateCheck(shim, check, timeoutMs) {
+    switch (check.type) {
+        case 'selector': {
+            const count = Number(shim.count(check.selector));
+            return count > 0
+                ? { passed: true, message: `${count} element(s) match ${check.selector}` }
+                : { passed: false, message: `no element matches ${check.selector}` };
+        }
+        case 'text': {
+            const selector = check.selector || 'body';
+            const content = shim.text(selector);
+            if (content === null) return { passed: false, message: `no element matches ${selector}` };
+            const text = String(content).replace(/\s+/g, ' ').trim();
+            let passed;
+            if (check.equals !== undefined) passed = text === check.equals;
+            else if (check.contains !== undefined) passed = text.toLowerCase().includes(check.contains.toLowerCase());
+            else passed = new RegExp(check.pattern, check.flags || '').test(text);
+            const preview = text.length > 120 ? `${text.slice(0, 120)}...` : text;
+            return { passed, message: `text of ${selector} is "${preview}"` };
+        }
+        case 'js': {
+            const outcome = shim.evaluate(check.expression);
+            const deadline = Date.now() + timeoutMs;
+            let settled = String(outcome());
+            while (!settled && Date.now() < deadline) {
+                await sleep(POLL_MS);
+                settled = String(outcome());
+            }
+            if (!settled) throw new Error('expression did not settle');
+            const [kind, message] = [settled.slice(0, settled.indexOf('\n')), settled.slice(settled.indexOf('\n') + 1)];
+            if (kind === 'thrown') throw new Error(message);
+            return { passed: kind === 'pass', message };
+        }
+        default:
+            return { passed: false, message: `unknown check type ${check.type}` };
+    }
+}
+
+/**
+ * Renderer process side: builds the jsdom page, waits for it to load and evaluates the checks.
+ */
+async function runPage({ files, checks, timeoutMs }) {
+    const { JSDOM, ResourceLoader, VirtualConsole } = await import('jsdom');
+    const byPath = new Map(files.map(f => [f.path, typeof f.content === 'string' ? f.content : Buffer.from(f.content)]));
+    const consoleErrors = [];
+    const blockedRequests = [];
+
+    class FileSetLoader extends ResourceLoader {
+        fetch(url, options) {
+            const parsed = new URL(url);
+            if (parsed.origin === APP_ORIGIN) {
+                const content = byPath.get(decodeURIComponent(parsed.pathname.slice(1)));
+                if (content !== undefined) return Promise.resolve(Buffer.from(content));
+            }
+            blockedRequests.push(url);
+            return null;
+        }
+    }
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (err) => {
+        // Blocked resources are reported separately
+        const message = String(err.message);
+        if (!/Could not load/.test(message)) consoleErrors.push(message);
+    });
+    virtualConsole.on('error', (...args) => consoleErrors.push(args.map(String).join(' ')));
+
+    const html = byPath.get('index.html');
+    if (typeof html !== 'string') throw new Error('index.html is missing');
+
+    const encoded = Object.fromEntries([...byPath].map(([filePath, content]) => [filePath, Buffer.from(content).toString('base64')]));
+    const shimSource = `(${pageShim})(${JSON.stringify(APP_ORIGIN)}, ${JSON.stringify(encoded)})`;
+    let shim;
+    new JSDOM(html, {
+        url: `${APP_ORIGIN}/index.html`,
+        runScripts: 'dangerously',
+        resources: new FileSetLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        // Before any page script runs
+        beforeParse: (window) => {
+            shim = window.eval(shimSource);
+        },
+    });
+
+    const deadline = Date.now() + timeoutMs;
+    let loaded = shim.loaded() === true;
+    while (!loaded && Date.now() < deadline) {
+        await sleep(POLL_MS);
+        loaded = shim.loaded() === true;
+    }
+    await sleep(SETTLE_MS);
+
+    const checkResults = [];
+    for (const check of checks) {
+        try {
+            checkResults.push({ check, ...(await evaluateCheck(shim, check, timeoutMs)) });
+        } catch (err) {
+            checkResults.push({ check, passed: false, message: `threw ${err.message}` });
+        }
+    }
+
+    const pageBlocked = String(shim.blocked());
+    const result = {
+        loaded,
+        console_errors: consoleErrors,
+        blocked_requests: [...new Set([...blockedRequests, ...(pageBlocked ? pageBlocked.split('\n') : [])])],
+        text: String(shim.text('body') ?? '').replace(/\s+/g, ' ').trim(),
+        title: String(shim.title()),
+        check_results: checkResults,
+        error: loaded ? null : `The load event did not fire within ${timeoutMs}ms`,
+    };
+    // The process exits once the result is sent, which disposes of the page
+    return result;
+}
+
+if (process.argv.includes(CHILD_FLAG) && process.send) {
+    lockDownRealm();
+    process.once('message', (job) => {
+        runPage(job)
+            .catch(err => failedResult(err.message))
+            .then(result => process.send(result, () => process.exit(0)));
+    });
+}
@@ -0,0 +1,62 @@
+/**
+ * GET /healthz: which settings are present and whether the service's dependencies answer.
+ * Results are cached briefly so a busy health checker doesn't turn into load on GitHub or the LLM API.
+ *
+ * The overall status is
+ *   ok        every check passed
+ *   degraded  a non-critical dependency failed (the service runs, but tasks may fail)
+ *   down      a critical check failed (the service can't accept tasks)
+ */
+
+// How long a check may take before it counts as failed
+const CHECK_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates the health check.
+ * @param {object} options
+ * @param {Function} options.config - () => { [setting]: boolean|string }, presence of settings (never their values).
+ * @param {object} options.checks - { [name]: { run: async () => details, critical?: boolean } }; `run`
+ *   returning undefined marks the dependency as not checked.
+ * @param {number} [options.cacheMs=10000] - How long a result is reused.
+ * @returns {object} - { run(): Promise<{ status, config, checks }> }
+ */
+export function createHealthCheck({ config, checks, cacheMs = 10000 }) {
+    let cached = null;
+
+    async function runChecks() {
+        const results = {};
+        await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+            const started = Date.now();
+            try {
+                const details = await withTimeout(Promise.resolve().then(check.run), CHECK_TIMEOUT_MS);
+                results[name] = details === undefined
+                    ? { ok: null, message: 'not checked' }
+                    : { ok: true, duration_ms: Date.now() - started, ...details };
+            } catch (err) {
+                results[name] = { ok: false, duration_ms: Date.now() - started, error: err.message };
+            }
+        }));
+        const failed = Object.keys(results).filter(name => results[name].ok === false);
+        let status = 'ok';
+        if (failed.some(name => checks[name].critical)) status = 'down';
+        else if (failed.length) status = 'degraded';
+        return { status, checked_at: new Date().toISOString(), config: config(), checks: results };
+    }
+
+    return {
+        run() {
+            if (!cached || Date.now() - cached.at > cacheMs) {
+                cached = { at: Date.now(), result: runChecks() };
+            }
+            return cached.result;
+        },
+    };
+}
@@ -0,0 +1,386 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger, withLogContext } from './logger.js';
+import { metrics } from './metrics.js';
+
+/**
+ * Lifecycle states a task job moves through. `done` and `failed` are terminal; a `deferred` job
+ * hit a rate limit and runs again once it has reset.
+ */
+export const JOB_STATES = Object.freeze({
+    QUEUED: 'queued',
+    GENERATING: 'generating',
+    PUSHING: 'pushing',
+    DEPLOYING: 'deploying',
+    NOTIFYING: 'notifying',
+    DEFERRED: 'deferred',
+    DONE: 'done',
+    FAILED: 'failed',
+});
+
+const TERMINAL_STATES = new Set([JOB_STATES.DONE, JOB_STATES.FAILED]);
+
+/**
+ * Builds the id used to store a job. One job exists per (task, round) pair.
+ * @param {string} task - The task name.
+ * @param {number|string} round - The round number.
+ * @returns {string} - The job id.
+ */
+export function jobId(task, round) {
+    return `${task}#${round ?? 1}`;
+}
+
+/**
+ * Identifies one run of a job. A re-submitted round is a new job with a new created_at, so it never
+ * shares a key with the job it replaced.
+ * @param {object} job - A job record.
+ * @returns {string} - The key.
+ */
+export function runKey(job) {
+    return `${job.id}@${job.created_at}`;
+}
+
+/**
+ * Creates a new job record in the `queued` state.
+ * @param {object} request - The validated task request.
+ * @returns {object} - The job.
+ */
+export function createJob(request) {
+    const now = new Date().toISOString();
+    return {
+        id: jobId(request.task, request.round),
+        task: request.task,
+        round: request.round,
+        state: JOB_STATES.QUEUED,
+        request,
+        attempts: 0,
+        created_at: now,
+        updated_at: now,
+        timestamps: { [JOB_STATES.QUEUED]: now },
+        last_error: null,
+        reports: {},
+        result: null,
+    };
+}
+
+/**
+ * Applies a worker's `update(state, patch)` to a job record in memory: merges the patch and, for a
+ * new state, records its timestamp and the duration of the stage being left.
+ * @param {object} job - The job record.
+ * @param {string|null} state - The new state, or null to only record `patch`.
+ * @param {object} [patch] - Fields to merge into the job.
+ * @returns {object} - The job.
+ */
+export function applyJobUpdate(job, state, patch = {}) {
+    const now = new Date().toISOString();
+    Object.assign(job, patch);
+    if (state) {
+        // The time spent in the state being left is that stage's duration
+        const since = job.timestamps?.[job.state];
+        if (since && state !== job.state) {
+            const durationMs = Date.parse(now) - Date.parse(since);
+            metrics.stageDuration.observe({ stage: job.state }, durationMs / 1000);
+            logger.info(`Stage ${job.state} finished`, { stage: job.state, next: state, duration_ms: durationMs });
+        }
+        job.state = state;
+        job.timestamps = { ...job.timestamps, [state]: now };
+    }
+    job.updated_at = now;
+    return job;
+}
+
+/**
+ * Creates a JSON-file-backed job store. Every state change is flushed to disk
+ * (write to a temp file, then rename) so a crash never leaves a torn file; progress-only
+ * updates (`put(job, { lazy: true })`) are gathered into one write every `flushIntervalMs`.
+ * Finished and failed jobs are dropped `retentionDays` after their last update.
+ * @param {string} filePath - Location of the JSON file.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays=30] - How long terminal jobs are kept (0 keeps them forever).
+ * @param {number} [options.flushIntervalMs=5000] - Longest delay of a lazy write.
+ * @returns {object} - The store API.
+ */
+export function createJobStore(filePath, { retentionDays = 30, flushIntervalMs = 5000 } = {}) {
+    const jobs = new Map();
+    let writeChain = Promise.resolve();
+    // The write waiting behind the one in progress; flushes requested meanwhile share it
+    let queuedWrite = null;
+    let lazyTimer = null;
+
+    /**
+     * Drops terminal jobs past the retention period.
+     * @returns {number} - How many were dropped.
+     */
+    function prune() {
+        if (!(retentionDays > 0)) return 0;
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        let pruned = 0;
+        for (const [id, job] of jobs) {
+            if (TERMINAL_STATES.has(job.state) && Date.parse(job.updated_at) < cutoff) {
+                jobs.delete(id);
+                pruned++;
+            }
+        }
+        return pruned;
+    }
+
+    async function load() {
+        try {
+            const raw = await fs.readFile(filePath, 'utf8');
+            const parsed = JSON.parse(raw);
+            for (const job of parsed.jobs || []) jobs.set(job.id, job);
+            const pruned = prune();
+            console.log(`Loaded ${jobs.size} job(s) from ${filePath}${pruned ? ` (dropped ${pruned} older than ${retentionDays} days)` : ''}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`Could not read job store ${filePath}: ${err.message}. Starting empty.`);
+            }
+        }
+    }
+
+    function flush() {
+        clearTimeout(lazyTimer);
+        lazyTimer = null;
+        // The queued write hasn't taken its snapshot yet, so it covers this flush too
+        if (queuedWrite) return queuedWrite;
+        // Serialize writes so concurrent updates can't interleave on disk
+        queuedWrite = writeChain.then(async () => {
+            queuedWrite = null;
+            prune();
+            const data = JSON.stringify({ jobs: [...jobs.values()] });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(tmpPath, data);
+            await fs.rename(tmpPath, filePath);
+        }).catch(err => {
+            console.error(`Failed to persist job store ${filePath}:`, err);
+        });
+        writeChain = queuedWrite;
+        return writeChain;
+    }
+
+    return {
+        load,
+        flush,
+        get: (id) => jobs.get(id),
+        all: () => [...jobs.values()],
+        /**
+         * Stores a job and writes the store.
+         * @param {object} job - The job record.
+         * @param {object} [options]
+         * @param {boolean} [options.lazy=false] - Write within `flushIntervalMs` instead of now (progress
+         *   updates, which a crash can afford to lose).
+         * @returns {Promise<object>} - The job.
+         */
+        async put(job, { lazy = false } = {}) {
+            jobs.set(job.id, job);
+            if (!lazy) {
+                await flush();
+            } else if (!lazyTimer) {
+                lazyTimer = setTimeout(flush, flushIntervalMs);
+                lazyTimer.unref();
+            }
+            return job;
+        },
+        /**
+         * Returns every job for a task, newest round first.
+         */
+        listByTask(task) {
+            return [...jobs.values()]
+                .filter(j => j.task === task)
+                .sort((a, b) => (Number(b.round) || 0) - (Number(a.round) || 0) || b.created_at.localeCompare(a.created_at));
+        },
+    };
+}
+
+/**
+ * Creates a job queue that runs `worker` for each job with bounded concurrency.
+ * The worker receives the job and an `update(state, patch, options)` function it must use
+ * to move the job between states (a null state only records `patch`; `{ lazy: true }` lets the
+ * store write it later, for progress reports); its resolved value is stored as `job.result`.
+ * @param {object} options
+ * @param {object} options.store - A store from createJobStore().
+ * @param {Function} options.worker - async (job, update) => result
+ * @param {number} [options.concurrency=2] - Maximum jobs running at once.
+ * @param {number} [options.maxDeferrals=5] - How many times a job is deferred before it fails instead.
+ * @returns {object} - The queue API.
+ *
+ * A worker error carrying `retryAt` (an ISO timestamp; GitHub rate limits, see
+ * lib/publishers/githubClient.js) doesn't fail the job: it is `deferred` and queued again at that time.
+ */
+export function createJobQueue({ store, worker, concurrency = 2, maxDeferrals = 5 }) {
+    const pending = [];
+    let running = 0;
+    // Tasks with a job running: rounds of one task never run side by side
+    const runningTasks = new Set();
+    // Deferred jobs waiting for their retry time, by job id: { job, timer }
+    const deferred = new Map();
+
+    async function update(job, state, patch = {}, { lazy = false } = {}) {
+        applyJobUpdate(job, state, patch);
+        await store.put(job, { lazy: lazy && !state });
+        return job;
+    }
+
+    async function run(job) {
+        running++;
+        runningTasks.add(job.task);
+        job.attempts = (job.attempts || 0) + 1;
+        const started = Date.now();
+        let outcome = JOB_STATES.DONE;
+        console.log(`Starting job ${job.id} (attempt ${job.attempts})`);
+        try {
+            const result = await worker(job, (state, patch, options) => update(job, state, patch, options));
+            await update(job, JOB_STATES.DONE, { result: { ...job.result, ...result }, last_error: null });
+            logger.info(`Job ${job.id} finished.`, { duration_ms: Date.now() - started });
+        } catch (err) {
+            const lastError = { message: err.message, state: job.state, at: new Date().toISOString() };
+            if (err.retryAt && (job.deferrals ?? 0) < maxDeferrals) {
+                outcome = JOB_STATES.DEFERRED;
+                logger.warn(`Job ${job.id} deferred until ${err.retryAt}: ${err.message}`, { retry_at: err.retryAt });
+                await update(job, JOB_STATES.DEFERRED, {
+                    deferrals: (job.deferrals ?? 0) + 1,
+                    last_error: { ...lastError, message: `deferred: ${err.message}`, retry_at: err.retryAt },
+                });
+                defer(job);
+            } else {
+                outcome = JOB_STATES.FAILED;
+                console.error(`[FATAL] Job ${job.id} failed:`, err);
+                await update(job, JOB_STATES.FAILED, { last_error: lastError });
+            }
+        } finally {
+            metrics.jobs.inc({ outcome });
+            metrics.jobDuration.observe({ outcome }, (Date.now() - started) / 1000);
+            running--;
+            runningTasks.delete(job.task);
+            drain();
+        }
+    }
+
+    /**
+     * Queues a deferred job again at its retry time, ahead of the jobs queued meanwhile.
+     */
+    function defer(job) {
+        const delayMs = Math.max(0, Date.parse(job.last_error?.retry_at) - Date.now() || 0);
+        const timer = setTimeout(async () => {
+            deferred.delete(job.id);
+            // Re-submitted in the meantime: the new job has replaced this one
+            if (store.get(job.id) !== job) return drain();
+            console.log(`Retrying deferred job ${job.id}`);
+            await update(job, JOB_STATES.QUEUED);
+            pending.unshift(job);
+            drain();
+        }, delayMs);
+        timer.unref();
+        deferred.set(job.id, { job, timer });
+    }
+
+    function isBusy(task) {
+        if (runningTasks.has(task)) return true;
+        // A later round must not overtake a deferred one
+        for (const { job } of deferred.values()) {
+            if (job.task === task) return true;
+        }
+        return false;
+    }
+
+    function drain() {
+        // Oldest first, skipping jobs whose task is busy; they wait for the running or deferred round
+        for (let i = 0; running < concurrency && i < pending.length;) {
+            if (isBusy(pending[i].task)) {
+                i++;
+                continue;
+            }
+            const job = pending.splice(i, 1)[0];
+            // Every line logged while the job runs carries its task, round and nonce
+            withLogContext({ task: job.task, round: job.round, nonce: job.request.nonce ?? null, job_id: job.id }, () => run(job));
+        }
+    }
+
+    return {
+        /**
+         * Persists a new queued job for the request and schedules it.
+         * Re-submitting the same (task, round) replaces the previous record.
+         * @param {object} request - The validated task request (no secret).
+         * @returns {Promise<object>} - The stored job.
+         */
+        async enqueue(request) {
+            const job = createJob(request);
+            await store.put(job);
+            pending.push(job);
+            drain();
+            return job;
+        },
+
+        /**
+         * Submits a request, deduplicated on (task, round, nonce):
+         * - `attached`: the same request is queued or running; nothing new is started
+         * - `completed`: the same request already finished; nothing new is started
+         * - `conflict`: this round is running for a different nonce
+         * - `queued`: a new job (first submission, a failed job retried, or a new nonce for a finished round)
+         * The lookup and the store write happen in the same tick, so simultaneous duplicates can't both get through.
+         * @param {object} request - The validated task request (no secret).
+         * @returns {Promise<object>} - { job, outcome }
+         */
+        async submit(request) {
+            const existing = store.get(jobId(request.task, request.round));
+            if (existing && existing.state !== JOB_STATES.FAILED) {
+                const sameNonce = (existing.request.nonce ?? null) === (request.nonce ?? null);
+                const finished = TERMINAL_STATES.has(existing.state);
+                if (sameNonce) return { job: existing, outcome: finished ? 'completed' : 'attached' };
+                if (!finished) return { job: existing, outcome: 'conflict' };
+            }
+            return { job: await this.enqueue(request), outcome: 'queued' };
+        },
+
+        /**
+         * Re-queues every job that was interrupted by a restart. Jobs are restarted
+         * from the beginning, except that a job with a stored result skips straight
+         * to notification (the worker checks `job.result`). Deferred jobs keep waiting
+         * for their retry time.
+         * @returns {Promise<number>} - Number of jobs resumed.
+         */
+        async resume() {
+            const interrupted = store.all()
+                .filter(j => !TERMINAL_STATES.has(j.state))
+                .sort((a, b) => a.created_at.localeCompare(b.created_at));
+            for (const job of interrupted) {
+                if (job.state === JOB_STATES.DEFERRED) {
+                    console.log(`Job ${job.id} stays deferred until ${job.last_error?.retry_at}`);
+                    defer(job);
+                    continue;
+                }
+                console.log(`Resuming job ${job.id} (was ${job.state})`);
+                await update(job, JOB_STATES.QUEUED);
+                pending.push(job);
+            }
+            drain();
+            return interrupted.length;
+        },
+
+        stats: () => ({ running, queued: pending.length, deferred: deferred.size, concurrency }),
+    };
+}
+
+/**
+ * Shapes a stored job for the public status endpoint (drops the request body).
+ * @param {object} job - A stored job.
+ * @returns {object} - The public view.
+ */
+export function describeJob(job) {
+    return {
+        task: job.task,
+        round: job.round,
+        state: job.state,
+        attempts: job.attempts,
+        created_at: job.created_at,
+        updated_at: job.updated_at,
+        timestamps: job.timestamps,
+        last_error: job.last_error,
+        reports: job.reports || {},
+        repo_url: job.result?.repo_url ?? null,
+        commit_sha: job.result?.commit_sha ?? null,
+        pages_url: job.result?.pages_url ?? null,
+        deploy_status: job.result?.deploy_status ?? null,
+    };
+}
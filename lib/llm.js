@@ -0,0 +1,504 @@
+import {
+    OPENAI_API_KEY, OPENAI_BASE_URL, LLM_PROVIDER, AI_MODEL, LLM_MAX_OUTPUT_TOKENS, LLM_MAX_CONTINUATIONS,
+    LLM_FIXTURES_DIR, LLM_RECORD_DIR, LLM_STREAM, LLM_TASK_TOKEN_BUDGET, TEMPLATES_DIR, LLM_TEMPLATE_HINTS,
+} from './config.js';
+import { applyUnifiedDiff } from './diff.js';
+import { createProvider } from './providers/index.js';
+import { loadTemplates, matchTemplate, fillTemplate } from './templates.js';
+import { isGeneratedReadme } from './readme.js';
+import { isVendored } from './assets.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const SYSTEM_PROMPT = `You are an expert web developer. You can produce either a single self-contained HTML application or multiple files when needed.
+    Preferred behavior:
+    - If the task is a single-page app, you MAY return only the HTML content starting with <!DOCTYPE html> (a single-file app using Tailwind CDN).
+    - If the app requires multiple files (for example assets, separate JS/CSS, or a README), emit each file using the exact marker format below. Do NOT include any other text outside the file markers.
+
+    Marker format (exact):
+    <<<FILE: path/to/filename.ext>>>
+    <file contents (raw, verbatim)>
+    <<<END_FILE>>>
+
+    Example with two files:
+    <<<FILE: index.html>>>
+    <!DOCTYPE html>...HTML content...
+    <<<END_FILE>>>
+    <<<FILE: README.md>>>
+    # Title\nThis repository contains...\n
+    <<<END_FILE>>>
+
+    Requirements:
+    - Filenames must be valid relative paths (no absolute paths).
+    - If you return a single-file HTML, it must start with <!DOCTYPE html> and contain all CSS/JS inline or via CDN.
+    - If you include a README.md file, make it helpful and include a short usage note.
+    - The output MUST be either pure HTML (single-file) or only the file marker blocks above. No explanation or extra text.
+`;
+const REVISION_PROMPT = `You are an expert web developer revising an existing web application.
+    You are given the current files of the app and a request describing what must change.
+    Return ONLY the changes, using the exact marker formats below. Do NOT include any other text outside the markers.
+
+    To add a file, or replace a file completely:
+    <<<FILE: path/to/filename.ext>>>
+    <full new file contents (raw, verbatim)>
+    <<<END_FILE>>>
+
+    To edit part of an existing file, give a unified diff against its current contents:
+    <<<PATCH: path/to/filename.ext>>>
+    @@ -12,3 +12,4 @@
+     unchanged context line
+    -removed line
+    +added line
+     unchanged context line
+    <<<END_PATCH>>>
+
+    To delete a file:
+    <<<DELETE: path/to/filename.ext>>>
+
+    Requirements:
+    - Keep everything the request does not ask to change working.
+    - Context and removed lines in a PATCH must match the current file exactly, including indentation.
+    - Prefer PATCH for small edits and FILE for large rewrites. Files you do not mention are kept unchanged.
+    - If the change affects usage, update README.md too.
+`;
+
+const EXPLAIN_PROMPT = `You write the "How the code works" section of a README for a small web app.
+    - Explain how the app is structured and how its main parts work together, for a developer reading the code for the first time.
+    - Refer to files, functions and elements by name. Do not repeat the file list or usage instructions.
+    - Plain Markdown paragraphs or bullet lists, at most 250 words. No headings, no code blocks, no other text.
+`;
+
+// Sent when a response was cut off by the token limit
+const CONTINUE_PROMPT = 'Your previous response was cut off by the output limit. Continue exactly where it stopped: do not repeat anything, do not add any other text.';
+// Minimum time between progress reports while a response streams in
+const PROGRESS_INTERVAL_MS = 2000;
+// Lines that open and close FILE/PATCH blocks
+const BLOCK_START_REGEX = /^\s*<<<(FILE|PATCH):\s*([^>\s]+)>>>/;
+const BLOCK_END_REGEX = /<<<END_(FILE|PATCH)>>>\s*$/;
+
+// Files the model never sees or edits during a revision; the service maintains them
+const SERVICE_MANAGED_FILES = new Set(['LICENSE', 'REVISIONS.md']);
+// Files larger than this are not sent back to the model
+const MAX_PROMPT_FILE_CHARS = 60000;
+// How many times a revision whose changes don't apply is sent back to the model
+const REVISION_REPAIR_ATTEMPTS = 1;
+
+const provider = createProvider(LLM_PROVIDER, {
+    apiKey: OPENAI_API_KEY,
+    baseUrl: OPENAI_BASE_URL,
+    model: AI_MODEL,
+    fixturesDir: LLM_FIXTURES_DIR,
+    recordDir: LLM_RECORD_DIR,
+});
+
+/**
+ * Checks that the configured provider is reachable, for GET /healthz.
+ * @returns {Promise<object>} - { provider, model, checked }; `checked` is false for providers without a ping.
+ * @throws {Error} - When the provider can't be reached.
+ */
+export async function checkLLM() {
+    if (provider.ping) await provider.ping();
+    return { provider: provider.name, model: provider.model, checked: Boolean(provider.ping) };
+}
+
+/**
+ * Creates an empty tally of LLM usage. Pass it as `{ usage }` to the generate, revise
+ * and repair functions to collect what a task consumed; once `budget` tokens (input plus
+ * output) are used up, further requests fail.
+ * @param {number} [budget=LLM_TASK_TOKEN_BUDGET] - Token budget, 0 for unlimited.
+ * @returns {object}
+ */
+export function createUsage(budget = LLM_TASK_TOKEN_BUDGET) {
+    return {
+        provider: provider.name, model: provider.model, budget: budget || null,
+        requests: 0, continuations: 0, input_tokens: 0, output_tokens: 0, finish_reasons: [],
+    };
+}
+
+/**
+ * Follows streamed model output line by line and tracks which FILE/PATCH block is open,
+ * so a response that stops inside a block can be recognized and continued.
+ * @returns {object} - { feed(text) => boolean (a block opened or closed), openBlock(), completed }
+ */
+export function createBlockTracker() {
+    let pending = '';
+    let open = null;
+    const completed = [];
+
+    return {
+        completed,
+        feed(text) {
+            const lines = (pending + text).split('\n');
+            pending = lines.pop();
+            let changed = false;
+            for (const line of lines) {
+                const end = BLOCK_END_REGEX.exec(line);
+                if (open && end && end[1] === open.kind) {
+                    completed.push(open.path);
+                    open = null;
+                    changed = true;
+                    continue;
+                }
+                const start = BLOCK_START_REGEX.exec(line);
+                if (start) {
+                    // A marker for a block that is already open means the model started that file over
+                    open = { kind: start[1], path: start[2] };
+                    changed = true;
+                }
+            }
+            return changed;
+        },
+        /**
+         * The block still open at the end of the text so far, or null. The last, unfinished
+         * line counts: an end marker there closes the block, a start marker opens one.
+         */
+        openBlock() {
+            if (open) return BLOCK_END_REGEX.exec(pending)?.[1] === open.kind ? null : open;
+            const start = BLOCK_START_REGEX.exec(pending);
+            return start ? { kind: start[1], path: start[2] } : null;
+        },
+    };
+}
+
+/**
+ * Appends a continuation to the output so far. When the model restarts the open block
+ * instead of continuing it, the partial copy is dropped.
+ */
+function joinContinuation(text, addition, openBlock) {
+    if (!openBlock) return text + addition;
+    const marker = `<<<${openBlock.kind}: ${openBlock.path}>>>`;
+    if (!addition.replace(/^\s*(```\w*\s*)?/, '').startsWith(marker)) return text + addition;
+    console.warn(`The continuation restarted ${openBlock.path}; dropping the partial copy.`);
+    return text.slice(0, text.lastIndexOf(marker)) + addition;
+}
+
+/**
+ * Sends a conversation to the configured provider and returns the generated text.
+ * Responses are streamed (unless LLM_STREAM is off) while the FILE/PATCH blocks are
+ * tracked. A response that is cut off by the token limit, or that ends inside a block, is
+ * continued with follow-up requests until every block is closed, up to LLM_MAX_CONTINUATIONS.
+ * @param {string} system - The system instructions.
+ * @param {object[]} messages - The conversation { role, content }.
+ * @param {object} [options]
+ * @param {object} [options.usage] - A tally from createUsage() to add to and check the budget against.
+ * @param {Function} [options.onProgress] - Called with { requests, continuations, received_chars,
+ *   open_block, completed_blocks } as output arrives (throttled).
+ * @param {number} [options.temperature] - Sampling temperature; the provider's default when unset.
+ * @returns {Promise<string>} - The generated text.
+ * @throws {Error} - When the provider fails, returns nothing, the token budget is used up, or the
+ *   output is still incomplete after the continuations.
+ */
+async function callLLM(system, messages, { usage, onProgress, temperature } = {}) {
+    const tracker = createBlockTracker();
+    const progress = { requests: 0, continuations: 0, received_chars: 0, open_block: null, completed_blocks: tracker.completed };
+    let lastReport = 0;
+    const report = (force) => {
+        if (!onProgress || (!force && Date.now() - lastReport < PROGRESS_INTERVAL_MS)) return;
+        lastReport = Date.now();
+        progress.open_block = tracker.openBlock()?.path ?? null;
+        onProgress({ ...progress, completed_blocks: [...tracker.completed] });
+    };
+    const onText = (delta) => {
+        progress.received_chars += delta.length;
+        const changed = tracker.feed(delta);
+        if (changed && tracker.openBlock()) console.log(`LLM is writing ${tracker.openBlock().path} (${progress.received_chars} characters so far)`);
+        report(changed);
+    };
+
+    let text = '';
+    for (let continuation = 0; ; continuation++) {
+        if (usage?.budget && usage.input_tokens + usage.output_tokens >= usage.budget) {
+            throw new Error(`The task's LLM token budget of ${usage.budget} is used up (${usage.input_tokens + usage.output_tokens} tokens)`);
+        }
+        const openBefore = tracker.openBlock();
+        const conversation = continuation
+            ? [...messages, { role: 'assistant', content: text }, { role: 'user', content: openBefore ? continueBlockPrompt(openBefore) : CONTINUE_PROMPT }]
+            : messages;
+        const started = Date.now();
+        let result;
+        try {
+            result = await provider.complete({
+                system,
+                messages: conversation,
+                maxOutputTokens: LLM_MAX_OUTPUT_TOKENS,
+                temperature,
+                onText: LLM_STREAM ? onText : undefined,
+            });
+        } catch (error) {
+            metrics.llmRequests.inc({ provider: provider.name, outcome: 'error' });
+            throw error;
+        }
+        const durationMs = Date.now() - started;
+        metrics.llmRequests.inc({ provider: provider.name, outcome: 'ok' });
+        metrics.llmDuration.observe({ provider: provider.name }, durationMs / 1000);
+        metrics.llmTokens.inc({ provider: provider.name, direction: 'input' }, result.usage.input_tokens);
+        metrics.llmTokens.inc({ provider: provider.name, direction: 'output' }, result.usage.output_tokens);
+        if (!LLM_STREAM) onText(result.text);
+        text = joinContinuation(text, result.text, openBefore);
+
+        progress.requests++;
+        progress.continuations += continuation ? 1 : 0;
+        if (usage) {
+            usage.requests++;
+            usage.continuations += continuation ? 1 : 0;
+            usage.input_tokens += result.usage.input_tokens;
+            usage.output_tokens += result.usage.output_tokens;
+            usage.finish_reasons.push(result.finish_reason);
+        }
+        report(true);
+        logger.info('LLM response', {
+            provider: provider.name,
+            model: provider.model,
+            finish_reason: result.finish_reason,
+            input_tokens: result.usage.input_tokens,
+            output_tokens: result.usage.output_tokens,
+            continuation,
+            duration_ms: durationMs,
+        });
+
+        const open = tracker.openBlock();
+        if (result.finish_reason !== 'length' && !open) break;
+        const why = open ? `stopped inside ${open.path}` : 'hit the token limit';
+        if (continuation >= LLM_MAX_CONTINUATIONS) {
+            throw new Error(`LLM output ${why} after ${LLM_MAX_CONTINUATIONS} continuation request(s)`);
+        }
+        console.warn(`LLM output ${why}; requesting continuation ${continuation + 1}/${LLM_MAX_CONTINUATIONS}...`);
+        metrics.retries.inc({ kind: 'llm_continuation' });
+    }
+
+    if (!text.trim()) {
+        throw new Error('No content generated by the LLM.');
+    }
+    // Count a closing marker on the last line too
+    tracker.feed('\n');
+    console.log(`LLM content generated successfully (${text.length} characters, ${tracker.completed.length} block(s)).`);
+    // Clean up potential markdown formatting from the LLM response
+    return text.replace(/```html/g, '').replace(/```/g, '').trim();
+}
+
+/**
+ * The continuation request for a response that stopped inside a block.
+ */
+function continueBlockPrompt(openBlock) {
+    return `Your previous response was cut off inside the <<<${openBlock.kind}: ${openBlock.path}>>> block. Continue exactly where it stopped: do not repeat anything and do not start the block again. Close it with <<<END_${openBlock.kind}>>> and then write any remaining blocks.`;
+}
+
+/**
+ * Extracts `<<<FILE: path>>> ... <<<END_FILE>>>` blocks from generated text.
+ * @param {string} text - The cleaned LLM output.
+ * @returns {object[]} - Array of file objects { path, content }.
+ */
+export function parseFileMarkers(text) {
+    const fileMarkerRegex = /<<<FILE:\s*([^>\s]+)>>>\n([\s\S]*?)<<<END_FILE>>>/g;
+    const files = [];
+    let m;
+    while ((m = fileMarkerRegex.exec(text)) !== null) {
+        const filePath = m[1].trim();
+        const content = m[2].replace(/\r\n/g, '\n');
+        files.push({ path: filePath, content: content });
+    }
+    return files;
+}
+
+/**
+ * Extracts the changes of a revision response: full files, patches and deletions.
+ * @param {string} text - The cleaned LLM output.
+ * @returns {object} - { files: {path, content}[], patches: {path, diff}[], deletions: string[] }
+ */
+export function parseRevisionOutput(text) {
+    const patches = [];
+    const patchRegex = /<<<PATCH:\s*([^>\s]+)>>>\n([\s\S]*?)<<<END_PATCH>>>/g;
+    let m;
+    while ((m = patchRegex.exec(text)) !== null) {
+        patches.push({ path: m[1].trim(), diff: m[2] });
+    }
+    const deletions = [...text.matchAll(/<<<DELETE:\s*([^>\s]+)>>>/g)].map(d => d[1].trim());
+    return { files: parseFileMarkers(text), patches, deletions };
+}
+
+/**
+ * Generates a single-file HTML application using an LLM. When a template fits the brief, its
+ * filled-in index.html is offered as a starting point; when the LLM fails, the best-matching
+ * template is returned instead.
+ * @param {string} brief - The description of the app to build.
+ * @param {object} [options]
+ * @param {string[]} [options.attachmentPaths] - Paths of attached files, for the template's DATA_FILE.
+ * @param {number} [options.temperature] - Sampling temperature (see callLLM).
+ * @param {string} [options.hint] - An extra instruction for the approach to take (see lib/candidates.js).
+ * @param {boolean} [options.fallback=true] - Fall back to a template when the LLM fails, rather than throw.
+ * @returns {Promise<string|object>} - The generated HTML content, { files } when the model emitted file
+ *   markers, or { files, template } with the template name when the fallback was used.
+ */
+export async function generateAppWithLLM(brief, { usage, onProgress, attachmentPaths, temperature, hint, fallback = true } = {}) {
+    console.log("Generating app content with LLM...");
+    const match = matchTemplate(brief, await loadTemplates(TEMPLATES_DIR));
+    let userQuery = `Create an application based on this brief: "${brief}"`;
+    if (LLM_TEMPLATE_HINTS && match?.score > 0) {
+        const starting = fillTemplate(match.template, brief, { attachmentPaths }).files.find(f => f.path === 'index.html');
+        userQuery += `\n\nThis ${match.template.title.toLowerCase()} scaffold may be a useful starting point (${match.template.description}). Adapt, extend or ignore it as the brief requires:\n<<<FILE: index.html>>>\n${starting.content}\n<<<END_FILE>>>`;
+    }
+    if (hint) userQuery += `\n\n${hint}`;
+
+    try {
+        const cleaned = await callLLM(SYSTEM_PROMPT, [{ role: 'user', content: userQuery }], { usage, onProgress, temperature });
+
+        // If the response contains file markers (<<<FILE: ...>>>), parse into files
+        const files = parseFileMarkers(cleaned);
+        if (files.length > 0) {
+            // Return a special object to signal multiple files
+            return { files };
+        }
+
+        // Otherwise return the single HTML string
+        return cleaned;
+    } catch (error) {
+        console.error(`Error calling the ${provider.name} LLM provider:`, error);
+        // Fallback: the template closest to the brief, filled in from it
+        if (!fallback || !match) throw error;
+        console.warn(`Falling back to the ${match.template.name} template (keyword score ${match.score}).`);
+        metrics.fallbacks.inc({ kind: 'template' });
+        return { files: fillTemplate(match.template, brief, { attachmentPaths }).files, template: match.template.name };
+    }
+}
+
+/**
+ * Applies a parsed revision to the current file set.
+ * @param {object[]} existingFiles - Current files { path, content }.
+ * @param {object} changes - Output of parseRevisionOutput().
+ * @returns {object} - { files, changed, deleted, errors }
+ */
+function applyRevision(existingFiles, changes) {
+    const byPath = new Map(existingFiles.map(f => [f.path, f.content]));
+    const errors = [];
+    const changed = new Set();
+    const deleted = [];
+
+    for (const file of changes.files) {
+        if (SERVICE_MANAGED_FILES.has(file.path)) continue;
+        byPath.set(file.path, file.content);
+        changed.add(file.path);
+    }
+    for (const patch of changes.patches) {
+        const current = byPath.get(patch.path);
+        if (typeof current !== 'string') {
+            errors.push(`PATCH ${patch.path}: no such text file; use a FILE block to create it`);
+            continue;
+        }
+        try {
+            byPath.set(patch.path, applyUnifiedDiff(current, patch.diff));
+            changed.add(patch.path);
+        } catch (err) {
+            errors.push(`PATCH ${patch.path}: ${err.message}`);
+        }
+    }
+    for (const filePath of changes.deletions) {
+        if (SERVICE_MANAGED_FILES.has(filePath)) continue;
+        if (!byPath.delete(filePath)) {
+            errors.push(`DELETE ${filePath}: no such file`);
+            continue;
+        }
+        deleted.push(filePath);
+    }
+
+    if (!changed.size && !deleted.length) errors.push('The response contained no FILE, PATCH or DELETE blocks');
+    const index = byPath.get('index.html');
+    if (typeof index !== 'string' || !index.trim()) errors.push('index.html is missing or empty after applying the changes');
+
+    const files = [...byPath].map(([path, content]) => ({ path, content }));
+    return { files, changed: [...changed], deleted, errors };
+}
+
+/**
+ * Sends the current files and an edit request to the model and applies the returned
+ * full files, unified diffs and deletions to the file set. Changes that don't apply are
+ * sent back to the model for a bounded number of corrections.
+ * @param {object[]} existingFiles - The current files { path, content }; binary contents are Buffers.
+ * @param {string} request - What the model should change.
+ * @param {object} [options]
+ * @param {object} [options.usage] - A tally from createUsage() to add to.
+ * @param {Function} [options.onProgress] - Passed to callLLM() for progress reports.
+ * @returns {Promise<object>} - { files, changed, deleted }: the complete new file set and what changed.
+ * @throws {Error} - When the model fails or its changes still don't apply after the repair attempts.
+ */
+async function editFilesWithLLM(existingFiles, request, { usage, onProgress } = {}) {
+    const promptFiles = existingFiles
+        // A README the service wrote is rewritten from the files after every round anyway
+        .filter(f => typeof f.content === 'string' && !SERVICE_MANAGED_FILES.has(f.path) && !isGeneratedReadme(f.content) && !isVendored(f.path))
+        .map(f => f.content.length > MAX_PROMPT_FILE_CHARS
+            ? `<<<FILE: ${f.path}>>>\n(omitted: ${f.content.length} characters)\n<<<END_FILE>>>`
+            : `<<<FILE: ${f.path}>>>\n${f.content}${f.content.endsWith('\n') ? '' : '\n'}<<<END_FILE>>>`);
+    const binaryFiles = existingFiles.filter(f => typeof f.content !== 'string' && !isVendored(f.path)).map(f => f.path);
+    // Library copies from the asset stage (lib/assets.js): large, and never the model's to change
+    const vendoredFiles = existingFiles.filter(f => isVendored(f.path)).map(f => f.path);
+
+    const messages = [{
+        role: 'user',
+        content: `Current files:
+${promptFiles.join('\n')}
+${binaryFiles.length ? `\nBinary files (kept as-is, reference them by path): ${binaryFiles.join(', ')}\n` : ''}${vendoredFiles.length ? `\nVendored libraries (kept as-is, reference them by path): ${vendoredFiles.join(', ')}\n` : ''}
+${request}`,
+    }];
+
+    for (let attempt = 0; ; attempt++) {
+        const output = await callLLM(REVISION_PROMPT, messages, { usage, onProgress });
+        const result = applyRevision(existingFiles, parseRevisionOutput(output));
+        if (!result.errors.length) {
+            console.log(`Edits applied. Changed: ${result.changed.join(', ') || 'none'}. Deleted: ${result.deleted.join(', ') || 'none'}.`);
+            return { files: result.files, changed: result.changed, deleted: result.deleted };
+        }
+        console.warn(`LLM edits could not be applied: ${result.errors.join('; ')}`);
+        if (attempt >= REVISION_REPAIR_ATTEMPTS) {
+            throw new Error(`Edits could not be applied: ${result.errors.join('; ')}`);
+        }
+        metrics.retries.inc({ kind: 'revision_repair' });
+        messages.push(
+            { role: 'assistant', content: output },
+            { role: 'user', content: `Your previous response could not be applied:\n${result.errors.map(e => `- ${e}`).join('\n')}\nReturn the complete set of changes again, corrected.` },
+        );
+    }
+}
+
+/**
+ * Revises an existing app: the current files and the new brief are sent to the model as
+ * an edit request (see editFilesWithLLM).
+ * @param {string} brief - The brief for this round.
+ * @param {object[]} existingFiles - The currently published files { path, content }.
+ * @param {number} round - The round number.
+ * @param {object} [options] - Passed to editFilesWithLLM ({ usage }).
+ * @returns {Promise<object>} - { files, changed, deleted }
+ */
+export async function reviseAppWithLLM(brief, existingFiles, round, options = {}) {
+    console.log(`Revising app with LLM for round ${round} (${existingFiles.length} existing file(s))...`);
+    return editFilesWithLLM(existingFiles, `New brief (round ${round}): "${brief}"`, options);
+}
+
+/**
+ * Asks the model to fix specific problems in a generated app without changing anything else.
+ * @param {object[]} files - The generated files { path, content }.
+ * @param {string[]} problems - What is wrong, one finding per entry.
+ * @param {string} brief - The brief the app was built from, for context.
+ * @param {object} [options] - Passed to editFilesWithLLM ({ usage }).
+ * @returns {Promise<object>} - { files, changed, deleted }
+ */
+export async function repairAppWithLLM(files, problems, brief, options = {}) {
+    console.log(`Asking the LLM to repair ${problems.length} problem(s)...`);
+    return editFilesWithLLM(files, `The app was built from this brief: "${brief}"
+
+It has the following problems. Fix all of them and change nothing else:
+${problems.map(p => `- ${p}`).join('\n')}`, options);
+}
+
+/**
+ * Asks the model to explain the code of a finished app, for the generated README.
+ * @param {object[]} files - The files being published { path, content }.
+ * @param {string} brief - The brief the app was built from.
+ * @param {object} [options] - { usage, onProgress }, passed to callLLM().
+ * @returns {Promise<string>} - Markdown for the README section.
+ */
+export async function explainCodeWithLLM(files, brief, { usage, onProgress } = {}) {
+    console.log('Asking the LLM to explain the code for the README...');
+    const promptFiles = files
+        .filter(f => typeof f.content === 'string' && /\.(html?|css|m?js)$/i.test(f.path) && !isVendored(f.path))
+        .map(f => `<<<FILE: ${f.path}>>>\n${f.content.slice(0, MAX_PROMPT_FILE_CHARS)}\n<<<END_FILE>>>`);
+    return callLLM(EXPLAIN_PROMPT, [{ role: 'user', content: `The app was built from this brief: "${brief}"\n\n${promptFiles.join('\n')}` }], { usage, onProgress });
+}
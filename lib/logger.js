@@ -0,0 +1,106 @@
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { LOG_FORMAT, LOG_LEVEL } from './config.js';
+
+/**
+ * Structured logging. Every line is a JSON object { time, level, msg, ...context, ...fields }
+ * (or a text line with LOG_FORMAT=text). The context comes from withLogContext(): the job
+ * queue runs each job inside { task, round, nonce, job_id }, so every line a job writes,
+ * from any module, can be told apart from the lines of jobs running alongside it.
+ *
+ * installConsoleLogger() routes console.log/info/warn/error/debug through the logger, so
+ * modules keep logging with console.* and still get levels and context.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+const settings = { format: LOG_FORMAT, level: LOG_LEVEL, stream: null };
+// The console as it was before installConsoleLogger(), used when no stream is set
+const originalConsole = { log: console.log, error: console.error };
+
+/**
+ * Runs `fn` with fields added to every log line written during it (including async work it starts).
+ * @param {object} fields - e.g. { task, round, nonce }
+ * @param {Function} fn
+ * @returns {any} - What `fn` returns.
+ */
+export function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Shapes an Error for a log field.
+ */
+function describeError(err) {
+    return { message: err.message, ...(err.status ? { status: err.status } : {}), stack: err.stack };
+}
+
+function formatText(entry) {
+    const { time, level, msg, error, ...fields } = entry;
+    // Only an Error (shaped by describeError) has a stack to print; a string or any other value
+    // is an ordinary field
+    const stack = typeof error?.stack === 'string' ? error.stack : null;
+    if (!stack && error !== undefined) fields.error = error;
+    const tag = fields.task ? ` [${fields.task}#${fields.round ?? 1}]` : '';
+    delete fields.task;
+    delete fields.round;
+    const extra = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return `${time} ${level.toUpperCase()}${tag} ${msg}${extra.length ? ` ${extra.join(' ')}` : ''}${stack ? `\n${stack}` : ''}`;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[settings.level]) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...contextStorage.getStore(), ...fields };
+    if (entry.error instanceof Error) entry.error = describeError(entry.error);
+    const line = settings.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+    if (settings.stream) {
+        settings.stream.write(`${line}\n`);
+    } else {
+        (LEVELS[level] >= LEVELS.warn ? originalConsole.error : originalConsole.log)(line);
+    }
+}
+
+/**
+ * The logger: logger.info('Committed files', { files: 3, duration_ms: 812 }).
+ */
+export const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Turns console arguments into a message and fields: the first Error becomes the `error`
+ * field, everything else is formatted on one line as console.log would.
+ */
+function fromConsoleArgs(args) {
+    const error = args.find(a => a instanceof Error);
+    const rest = error ? args.filter(a => a !== error) : args;
+    const msg = util.formatWithOptions({ breakLength: Infinity, depth: 4 }, ...rest).replace(/:\s*$/, '');
+    return { msg: msg || error?.message || '', fields: error ? { error } : {} };
+}
+
+/**
+ * Routes the console through the logger.
+ * @param {object} [options]
+ * @param {NodeJS.WritableStream} [options.stream] - Where every line goes; by default info and
+ *   below go to stdout and warnings and errors to stderr.
+ * @param {string} [options.format] - 'json' or 'text'; defaults to LOG_FORMAT.
+ */
+export function installConsoleLogger({ stream, format } = {}) {
+    settings.stream = stream ?? null;
+    if (format) settings.format = format;
+    const route = (level) => (...args) => {
+        const { msg, fields } = fromConsoleArgs(args);
+        write(level, msg, fields);
+    };
+    console.debug = route('debug');
+    console.log = route('info');
+    console.info = route('info');
+    console.warn = route('warn');
+    console.error = route('error');
+}
@@ -0,0 +1,122 @@
+/**
+ * In-process metrics in the Prometheus text exposition format, served on GET /metrics.
+ * Labels never carry task names, so the number of series stays fixed however many tasks run.
+ */
+
+// Seconds; wide enough for a single blob upload and for a whole LLM generation
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labelNames, labels = {}) {
+    return labelNames.map(name => labels[name] ?? '').join('\u0000');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+    const values = key.split('\u0000');
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Creates a metrics registry.
+ * @returns {object} - { counter, histogram, gauge, render }
+ */
+export function createRegistry() {
+    const metrics = [];
+
+    function header(name, help, type) {
+        return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    }
+
+    return {
+        /**
+         * A counter: only goes up.
+         * @returns {object} - { inc(labels?, value = 1) }
+         */
+        counter(name, help, labelNames = []) {
+            const values = new Map();
+            metrics.push(() => [
+                ...header(name, help, 'counter'),
+                ...[...values].map(([key, value]) => `${name}${formatLabels(labelNames, key)} ${value}`),
+            ]);
+            return {
+                inc(labels, value = 1) {
+                    const key = labelKey(labelNames, labels);
+                    values.set(key, (values.get(key) ?? 0) + value);
+                },
+            };
+        },
+
+        /**
+         * A histogram of observed values (seconds, by convention).
+         * @returns {object} - { observe(labels, value) }
+         */
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const series = new Map();
+            metrics.push(() => [
+                ...header(name, help, 'histogram'),
+                ...[...series].flatMap(([key, s]) => [
+                    ...buckets.map((le, i) => `${name}_bucket${formatLabels(labelNames, key, `le="${le}"`)} ${s.counts[i]}`),
+                    `${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${s.count}`,
+                    `${name}_sum${formatLabels(labelNames, key)} ${s.sum}`,
+                    `${name}_count${formatLabels(labelNames, key)} ${s.count}`,
+                ]),
+            ]);
+            return {
+                observe(labels, value) {
+                    const key = labelKey(labelNames, labels);
+                    let s = series.get(key);
+                    if (!s) series.set(key, s = { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                    buckets.forEach((le, i) => {
+                        if (value <= le) s.counts[i]++;
+                    });
+                    s.sum += value;
+                    s.count++;
+                },
+            };
+        },
+
+        /**
+         * A gauge read when the metrics are rendered.
+         * @param {Function} collect - () => { labels, value }[]
+         */
+        gauge(name, help, labelNames, collect) {
+            metrics.push(() => [
+                ...header(name, help, 'gauge'),
+                ...collect().map(({ labels, value }) => `${name}${formatLabels(labelNames, labelKey(labelNames, labels))} ${value}`),
+            ]);
+        },
+
+        /**
+         * @returns {string} - Every metric in the text exposition format.
+         */
+        render() {
+            return `${metrics.flatMap(render => render()).join('\n')}\n`;
+        },
+    };
+}
+
+export const registry = createRegistry();
+
+/**
+ * The service's metrics. Durations are in seconds.
+ */
+export const metrics = {
+    jobs: registry.counter('app_builder_jobs_total', 'Job runs, by outcome (done, failed, or deferred until a rate limit resets).', ['outcome']),
+    jobDuration: registry.histogram('app_builder_job_duration_seconds', 'Time from starting a job to its outcome.', ['outcome']),
+    stageDuration: registry.histogram('app_builder_stage_duration_seconds', 'Time a job spent in each state.', ['stage']),
+    llmRequests: registry.counter('app_builder_llm_requests_total', 'LLM requests, by provider and outcome (ok or error).', ['provider', 'outcome']),
+    llmDuration: registry.histogram('app_builder_llm_request_duration_seconds', 'Latency of single LLM requests.', ['provider']),
+    llmTokens: registry.counter('app_builder_llm_tokens_total', 'LLM tokens used, by direction (input or output).', ['provider', 'direction']),
+    retries: registry.counter('app_builder_retries_total', 'Retries, by kind (llm_continuation, revision_repair, validation_repair, check_repair, file_policy_repair, ref_conflict, rate_limit).', ['kind']),
+    fallbacks: registry.counter('app_builder_fallbacks_total', 'Fallbacks used, by kind (template: the LLM failed; regenerate: a revision failed).', ['kind']),
+    githubRateLimited: registry.counter('app_builder_github_rate_limited_total', 'GitHub API responses refused by a rate limit, by resource (core, search, graphql).', ['resource']),
+    publishFileDuration: registry.histogram('app_builder_publish_file_duration_seconds', 'Time to upload one file when publishing.', ['publisher']),
+    deployWait: registry.histogram('app_builder_deploy_wait_seconds', 'Time spent waiting for the Pages build and the live URL, by outcome.', ['state']),
+    notifyAttempts: registry.histogram('app_builder_notify_attempt_duration_seconds', 'Evaluator notification attempts, by trigger and outcome.', ['trigger', 'outcome']),
+    notifications: registry.counter('app_builder_notifications_total', 'Evaluator notifications, by outcome (delivered, dead_lettered, or redelivered from the dead letters).', ['outcome']),
+};
@@ -0,0 +1,311 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { logger, withLogContext } from './logger.js';
+import { metrics } from './metrics.js';
+
+/**
+ * Delivery of results to the evaluator. A delivery is tried a few times right away; a payload
+ * that still can't be delivered goes to a dead-letter file (DATA_DIR/dead-letters.json) with
+ * the URL, payload, every attempt and the last error. A background retrier tries it again on
+ * a longer schedule, and the admin API can replay, list and delete entries.
+ *
+ * Every delivery carries an `Idempotency-Key` header derived from task, round and nonce, so a
+ * receiver can ignore a result it already recorded when a retry reaches it twice.
+ */
+
+// Entry states: waiting for the retrier, or out of scheduled retries (manual replay only)
+export const DEAD_LETTER_STATES = Object.freeze({
+    PENDING: 'pending',
+    EXHAUSTED: 'exhausted',
+});
+// Attempts kept per entry; older ones are dropped
+const MAX_RECORDED_ATTEMPTS = 50;
+// Timeout of a single POST to the evaluator
+const DELIVERY_TIMEOUT_MS = 30000;
+
+/**
+ * Builds the idempotency key of a notification.
+ * @param {string} task
+ * @param {number|string} round
+ * @param {string} [nonce]
+ * @returns {string} - Hex SHA-256 of the three values.
+ */
+export function idempotencyKey(task, round, nonce) {
+    return crypto.createHash('sha256').update(JSON.stringify([task, String(round ?? 1), nonce ?? null])).digest('hex');
+}
+
+/**
+ * Id of a dead letter: one per idempotency key and target, so the same result owed to two
+ * receivers is kept twice.
+ */
+function deadLetterId(key, url) {
+    return crypto.createHash('sha256').update(`${key} ${url}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Cleans up an evaluation URL as graders send it: a Markdown link `[url](url)`, angle brackets
+ * or surrounding whitespace are stripped.
+ * @param {string} url - The evaluation_url from the request.
+ * @returns {string} - The URL to POST to.
+ * @throws {Error} - When no http(s) URL can be made of it.
+ */
+export function normalizeEvaluationUrl(url) {
+    // If the URL looks like a markdown link [url](url), extract the inner URL
+    const mdLinkMatch = /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/i.exec(url);
+    const targetUrl = (mdLinkMatch ? mdLinkMatch[2] : String(url)).trim().replace(/^<|>$/g, '');
+    let parsed;
+    try {
+        parsed = new URL(targetUrl);
+    } catch {
+        throw new Error(`Failed to parse URL from ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Unsupported evaluation URL protocol in ${url}`);
+    return targetUrl;
+}
+
+/**
+ * POSTs a payload once, recording the attempt's duration and outcome.
+ * @param {string} trigger - What made the attempt: 'immediate', 'retrier' or 'replay'.
+ * @returns {Promise<object>} - { ok, status, error } for the attempt record.
+ */
+async function post(url, payload, key, trigger) {
+    const started = Date.now();
+    let result;
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        });
+        result = { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (err) {
+        result = { ok: false, status: null, error: err.message };
+    }
+    const durationMs = Date.now() - started;
+    metrics.notifyAttempts.observe({ trigger, outcome: result.ok ? 'delivered' : 'failed' }, durationMs / 1000);
+    logger.info('Notification attempt', { url, trigger, http_status: result.status, error: result.error ?? undefined, duration_ms: durationMs });
+    return result;
+}
+
+/**
+ * Creates the notifier.
+ * @param {object} options
+ * @param {string} options.filePath - Location of the dead-letter JSON file.
+ * @param {number[]} options.immediateDelaysMs - Waits between the attempts made right away
+ *   (one more attempt than there are delays).
+ * @param {number[]} options.retryScheduleMs - Waits before each background retry of a dead letter.
+ * @param {number} [options.pollIntervalMs=60000] - How often the retrier looks for due entries.
+ * @returns {object} - { load, deliver, list, get, remove, replay, start, stop }
+ */
+export function createNotifier({ filePath, immediateDelaysMs, retryScheduleMs, pollIntervalMs = 60000 }) {
+    const entries = new Map();
+    let writeChain = Promise.resolve();
+    let timer = null;
+    let retrying = false;
+
+    async function load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            for (const entry of parsed.dead_letters || []) entries.set(entry.id, entry);
+            if (entries.size) console.log(`Loaded ${entries.size} undelivered notification(s) from ${filePath}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn(`Could not read dead-letter store ${filePath}: ${err.message}. Starting empty.`);
+        }
+    }
+
+    function flush() {
+        // Same write discipline as the job store: serialized, temp file then rename
+        writeChain = writeChain.then(async () => {
+            const tmpPath = `${filePath}.tmp`;
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify({ dead_letters: [...entries.values()] }, null, 2));
+            await fs.rename(tmpPath, filePath);
+        }).catch(err => {
+            console.error(`Failed to persist dead-letter store ${filePath}:`, err);
+        });
+        return writeChain;
+    }
+
+    /**
+     * Records an attempt on an entry and schedules the next background retry.
+     */
+    function recordAttempt(entry, attempt, { scheduled }) {
+        entry.attempts = [...entry.attempts, attempt].slice(-MAX_RECORDED_ATTEMPTS);
+        entry.last_error = attempt.error;
+        entry.updated_at = attempt.at;
+        if (scheduled) entry.retries = (entry.retries || 0) + 1;
+        const wait = retryScheduleMs[entry.retries || 0];
+        if (wait === undefined) {
+            entry.state = DEAD_LETTER_STATES.EXHAUSTED;
+            entry.next_attempt_at = null;
+        } else {
+            entry.state = DEAD_LETTER_STATES.PENDING;
+            entry.next_attempt_at = new Date(Date.now() + wait).toISOString();
+        }
+    }
+
+    /**
+     * Attempts a stored entry once; a delivered entry is removed.
+     * @returns {Promise<object>} - The attempt { at, status, error }, plus `delivered`.
+     */
+    async function attemptEntry(entry, { scheduled }) {
+        const at = new Date().toISOString();
+        const result = await post(entry.url, entry.payload, entry.idempotency_key, scheduled ? 'retrier' : 'replay');
+        if (result.ok) {
+            console.log(`Delivered dead-lettered notification ${entry.id} (task ${entry.task}, round ${entry.round}) with status ${result.status}.`);
+            metrics.notifications.inc({ outcome: 'redelivered' });
+            entries.delete(entry.id);
+            await flush();
+            return { at, status: result.status, error: null, delivered: true };
+        }
+        recordAttempt(entry, { at, status: result.status, error: result.error, trigger: scheduled ? 'retrier' : 'replay' }, { scheduled });
+        await flush();
+        return { at, status: result.status, error: result.error, delivered: false };
+    }
+
+    async function retryDue() {
+        if (retrying) return;
+        retrying = true;
+        try {
+            const now = new Date().toISOString();
+            const due = [...entries.values()].filter(e => e.state === DEAD_LETTER_STATES.PENDING && e.next_attempt_at <= now);
+            for (const entry of due) {
+                await withLogContext({ task: entry.task, round: entry.round, nonce: entry.nonce }, async () => {
+                    const attempt = await attemptEntry(entry, { scheduled: true });
+                    if (!attempt.delivered) {
+                        console.warn(`Retry of notification ${entry.id} failed (${attempt.error}); ${entry.state === DEAD_LETTER_STATES.EXHAUSTED ? 'no retries left' : `next at ${entry.next_attempt_at}`}.`);
+                    }
+                });
+            }
+        } finally {
+            retrying = false;
+        }
+    }
+
+    return {
+        load,
+
+        /**
+         * Delivers a payload, retrying right away a few times; dead-letters it when that fails.
+         * @param {string} url - The evaluation URL as given in the request.
+         * @param {object} payload - The JSON payload.
+         * @param {object} meta - { task, round, nonce } for the idempotency key and the admin listing.
+         * @returns {Promise<object>} - { delivered: true, status } or { delivered: false, dead_letter_id, error }
+         */
+        async deliver(url, payload, { task, round, nonce }) {
+            const key = idempotencyKey(task, round, nonce);
+            const id = deadLetterId(key, url);
+            const attempts = [];
+            let targetUrl = null;
+            try {
+                targetUrl = normalizeEvaluationUrl(url);
+            } catch (err) {
+                attempts.push({ at: new Date().toISOString(), status: null, error: err.message, trigger: 'immediate' });
+            }
+
+            for (let i = 0; targetUrl && i <= immediateDelaysMs.length; i++) {
+                const at = new Date().toISOString();
+                const result = await post(targetUrl, payload, key, 'immediate');
+                if (result.ok) {
+                    console.log(`Evaluation POST successful with status: ${result.status}`);
+                    metrics.notifications.inc({ outcome: 'delivered' });
+                    // A delivery that finally went through replaces any older dead letter for the same round
+                    if (entries.delete(id)) await flush();
+                    return { delivered: true, status: result.status };
+                }
+                attempts.push({ at, status: result.status, error: result.error, trigger: 'immediate' });
+                if (i < immediateDelaysMs.length) {
+                    console.warn(`Evaluation POST failed with error: ${result.error}. Retrying in ${immediateDelaysMs[i] / 1000}s...`);
+                    await new Promise(resolve => setTimeout(resolve, immediateDelaysMs[i]));
+                }
+            }
+
+            const now = new Date().toISOString();
+            const previous = entries.get(id);
+            const entry = {
+                id,
+                idempotency_key: key,
+                task,
+                round,
+                nonce: nonce ?? null,
+                url: targetUrl ?? String(url),
+                payload,
+                created_at: previous?.created_at ?? now,
+                updated_at: now,
+                state: DEAD_LETTER_STATES.PENDING,
+                retries: 0,
+                attempts: [...(previous?.attempts ?? []), ...attempts].slice(-MAX_RECORDED_ATTEMPTS),
+                last_error: attempts.at(-1).error,
+                next_attempt_at: null,
+            };
+            // An unusable URL won't work later either; it waits for an admin instead
+            if (targetUrl && retryScheduleMs.length) {
+                entry.next_attempt_at = new Date(Date.now() + retryScheduleMs[0]).toISOString();
+            } else {
+                entry.state = DEAD_LETTER_STATES.EXHAUSTED;
+            }
+            entries.set(id, entry);
+            await flush();
+            metrics.notifications.inc({ outcome: 'dead_lettered' });
+            console.error(`Failed to notify evaluator after ${attempts.length} attempt(s); stored as dead letter ${id}${entry.next_attempt_at ? `, next retry at ${entry.next_attempt_at}` : ''}.`);
+            return { delivered: false, dead_letter_id: id, error: entry.last_error };
+        },
+
+        /**
+         * Lists the dead letters, oldest first, without their payloads.
+         * @returns {object[]}
+         */
+        list() {
+            return [...entries.values()]
+                .sort((a, b) => a.created_at.localeCompare(b.created_at))
+                .map(({ payload, attempts, ...summary }) => ({ ...summary, attempt_count: attempts.length }));
+        },
+
+        get: (id) => entries.get(id) ?? null,
+
+        /**
+         * Deletes a dead letter.
+         * @param {string} id
+         * @returns {Promise<boolean>} - Whether it existed.
+         */
+        async remove(id) {
+            if (!entries.delete(id)) return false;
+            await flush();
+            return true;
+        },
+
+        /**
+         * Tries a dead letter once, now, whatever its state or schedule.
+         * @param {string} id
+         * @returns {Promise<object|null>} - The attempt { at, status, error, delivered }, or null for an unknown id.
+         */
+        async replay(id) {
+            const entry = entries.get(id);
+            if (!entry) return null;
+            // A URL that could not be parsed may have been fixed by hand in the store; check again
+            try {
+                entry.url = normalizeEvaluationUrl(entry.url);
+            } catch (err) {
+                return { at: new Date().toISOString(), status: null, error: err.message, delivered: false };
+            }
+            return attemptEntry(entry, { scheduled: false });
+        },
+
+        /**
+         * Starts the background retrier.
+         */
+        start() {
+            if (timer) return;
+            timer = setInterval(() => retryDue().catch(err => console.error('Notification retrier failed:', err)), pollIntervalMs);
+            // Don't keep the process alive for the retrier alone
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+    };
+}
@@ -0,0 +1,656 @@
+import {
+    PRUNE_REMOVED_FILES, VALIDATION_REPAIR_ATTEMPTS, CHECK_REPAIR_ATTEMPTS,
+    FILE_POLICY_MODE, FILE_POLICY_EXTENSIONS, FILE_POLICY_MAX_FILE_BYTES, FILE_POLICY_MAX_TOTAL_BYTES, FILE_POLICY_MAX_FILES,
+    SECRET_SCAN_MODE, SECRET_SCAN_ENFORCE_ENTROPY, SENSITIVE_ENV_VALUES, DEFAULT_LICENSE, COPYRIGHT_HOLDER, README_CODE_EXPLANATION,
+    DEPLOY_VERIFY, DEPLOY_BUILD_TIMEOUT_SECONDS, DEPLOY_LIVE_TIMEOUT_SECONDS, DEPLOY_POLL_INTERVAL_SECONDS,
+    ASSET_VENDORING, ASSET_CACHE_DIR, TAILWIND_CLI, LLM_CANDIDATES, LLM_CANDIDATE_TEMPERATURES,
+} from './config.js';
+import { JOB_STATES, runKey } from './jobQueue.js';
+import { generateAppWithLLM, reviseAppWithLLM, repairAppWithLLM, explainCodeWithLLM, createUsage } from './llm.js';
+import { validateFiles } from './validate.js';
+import { describeCheck, runChecks } from './checks.js';
+import { parseAttachments, describeAttachments, summarizeAttachments } from './attachments.js';
+import { applyFilePolicy, describeFilePolicy } from './filePolicy.js';
+import { createAssetVendor } from './assets.js';
+import { CANDIDATE_VARIANTS, scoreCandidate } from './candidates.js';
+import { scanFiles } from './secretScan.js';
+import { normalizeLicense, getLicenseText, detectLicense } from './licenses.js';
+import { createReadme, isGeneratedReadme } from './readme.js';
+import { createDeployVerifier, fingerprintHtml } from './deploy.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+/**
+ * The build pipeline behind both the HTTP server (index.js) and the CLI (bin/app-builder.js):
+ * generate (the best of several candidates, if asked) or revise the app, enforce the file policy,
+ * vendor CDN assets, validate, run the acceptance checks, add the project files, scan for secrets,
+ * publish, verify the deployment and notify.
+ */
+
+const FILE_POLICY = {
+    mode: FILE_POLICY_MODE,
+    extensions: FILE_POLICY_EXTENSIONS,
+    maxFileBytes: FILE_POLICY_MAX_FILE_BYTES,
+    maxTotalBytes: FILE_POLICY_MAX_TOTAL_BYTES,
+    maxFiles: FILE_POLICY_MAX_FILES,
+};
+const assetVendor = createAssetVendor({ cacheDir: ASSET_CACHE_DIR, tailwindCli: TAILWIND_CLI });
+// Fails at startup rather than on the first task when DEFAULT_LICENSE is not a known identifier
+const DEFAULT_LICENSE_ID = normalizeLicense(DEFAULT_LICENSE).id;
+
+/**
+ * Turns the LLM result into the file set to publish. README.md and LICENSE are added at the end
+ * of processing, once the files are final.
+ * @param {string|object} llmResult - A single HTML string, or { files } from the file markers.
+ * @returns {object[]} - Array of file objects { path, content }.
+ */
+function assembleFiles(llmResult) {
+    // LLM may return a single HTML string or an object { files: [...] }
+    if (llmResult && typeof llmResult === 'object' && Array.isArray(llmResult.files)) {
+        return llmResult.files.map(f => ({ path: f.path, content: f.content }));
+    }
+    return [{ path: 'index.html', content: llmResult }];
+}
+
+/**
+ * Adds LICENSE and, unless the model wrote its own, a README.md describing the final files.
+ * The license is the one the request names, else the one already published, else DEFAULT_LICENSE.
+ * @param {object[]} files - The files to publish.
+ * @param {object[]} existingFiles - The files published by earlier rounds.
+ * @param {object} options
+ * @param {string} options.repoName - The name of the repository.
+ * @param {string} options.brief - The app description.
+ * @param {object|null} options.license - { id, holder? } from the request.
+ * @param {string|null} options.pagesUrl - Where the app is served, for the README.
+ * @param {object} [options.llmOptions] - Passed to the LLM for the code explanation.
+ * @returns {Promise<object>} - { files, report: { license, readme: 'generated'|'model' } }
+ */
+async function addProjectFiles(files, existingFiles, { repoName, brief, license, pagesUrl, llmOptions }) {
+    const publishedLicense = existingFiles.find(f => f.path === 'LICENSE')?.content;
+    let licenseFile;
+    let licenseId;
+    if (license || !detectLicense(publishedLicense)) {
+        licenseId = license?.id ?? DEFAULT_LICENSE_ID;
+        licenseFile = getLicenseText(licenseId, { holder: license?.holder ?? COPYRIGHT_HOLDER });
+    } else {
+        licenseId = detectLicense(publishedLicense);
+        licenseFile = publishedLicense;
+    }
+    const result = files.filter(f => f.path !== 'LICENSE').concat({ path: 'LICENSE', content: licenseFile });
+
+    const readme = result.find(f => f.path === 'README.md');
+    if (readme && !isGeneratedReadme(readme.content)) {
+        return { files: result, report: { license: licenseId, readme: 'model' } };
+    }
+    let explanation;
+    if (README_CODE_EXPLANATION) {
+        try {
+            explanation = await explainCodeWithLLM(result, brief, llmOptions);
+        } catch (error) {
+            console.error('Could not get a code explanation for the README; leaving it out:', error.message);
+        }
+    }
+    const content = createReadme({ repoName, brief, pagesUrl, files: result, license: licenseId, explanation });
+    return {
+        files: result.filter(f => f.path !== 'README.md').concat({ path: 'README.md', content }),
+        report: { license: licenseId, readme: 'generated' },
+    };
+}
+
+/**
+ * Gets a candidate ready to be scored: the file policy drops what would never be published, and
+ * the secret scan redacts, or finds what would block publishing. Only then is the candidate's
+ * (untrusted) code run in the headless renderer.
+ * @param {object[]} files - The candidate's files.
+ * @returns {object} - { files, violations, blocked }: the files to score, what the policy dropped,
+ *   and the number of findings that block publishing (the candidate is then not scored).
+ */
+function screenCandidate(files) {
+    const policy = applyFilePolicy(files, FILE_POLICY);
+    const scan = scanFiles(policy.files, { mode: SECRET_SCAN_MODE, enforceHighEntropy: SECRET_SCAN_ENFORCE_ENTROPY, envValues: SENSITIVE_ENV_VALUES });
+    return {
+        files: scan.files,
+        violations: policy.violations,
+        blocked: scan.blocking ? scan.findings.filter(f => f.action === 'blocked').length : 0,
+    };
+}
+
+/**
+ * Best-of-N generation: generates `count` apps, each with its own variant (see lib/candidates.js),
+ * scores them and returns the best. A failed candidate only loses its turn; the template fallback
+ * applies when every candidate has failed. A candidate the secret scan would block scores 0 and
+ * isn't rendered.
+ * @param {string} promptBrief - The brief as sent to the model.
+ * @param {string} brief - The brief as requested, for the keyword score.
+ * @param {number} count - How many candidates to generate.
+ * @param {object} options - { attachmentPaths, ...llmOptions }, passed to generateAppWithLLM().
+ * @returns {Promise<object>} - { generated, report: { count, selected, candidates } }: the winner as
+ *   generateAppWithLLM() returns it, and every candidate's variant, score and findings (or error).
+ * @throws {Error} - When every candidate failed and no template fits.
+ */
+async function generateCandidates(promptBrief, brief, count, options) {
+    const candidates = [];
+    let best = null;
+    for (let index = 0; index < count; index++) {
+        const variant = CANDIDATE_VARIANTS[index % CANDIDATE_VARIANTS.length];
+        const temperature = LLM_CANDIDATE_TEMPERATURES ? variant.temperature : undefined;
+        const candidate = { index, variant: variant.name, temperature: temperature ?? null };
+        candidates.push(candidate);
+        console.log(`Generating candidate ${index + 1}/${count} (${variant.name})...`);
+        let generated;
+        try {
+            generated = await generateAppWithLLM(promptBrief, {
+                ...options,
+                temperature,
+                hint: variant.hint,
+                fallback: !best && index === count - 1,
+            });
+        } catch (error) {
+            console.warn(`Candidate ${index + 1}/${count} failed: ${error.message}`);
+            candidate.error = error.message;
+            if (index === count - 1 && !best) throw error;
+            continue;
+        }
+        if (generated.template) candidate.template = generated.template;
+        const screened = screenCandidate(assembleFiles(generated));
+        if (screened.violations.length) candidate.file_policy_violations = screened.violations;
+        if (screened.blocked) {
+            console.warn(`Candidate ${index + 1}/${count} has ${screened.blocked} possible secret(s); not scoring it.`);
+            Object.assign(candidate, { score: 0, error: `Publishing would be blocked: ${screened.blocked} possible secret(s)` });
+        } else {
+            Object.assign(candidate, await scoreCandidate(screened.files, brief));
+            console.log(`Candidate ${index + 1}/${count} scored ${candidate.score}/100.`);
+        }
+        if (!best || candidate.score > best.candidate.score) best = { candidate, generated };
+    }
+    console.log(`Publishing candidate ${best.candidate.index + 1} (${best.candidate.variant}, ${best.candidate.score}/100).`);
+    return { generated: best.generated, report: { count, selected: best.candidate.index, candidates } };
+}
+
+/**
+ * Validates the generated files and, while problems remain, sends them back to the model
+ * for up to VALIDATION_REPAIR_ATTEMPTS repairs. The last file set is returned even if it
+ * still fails; the findings travel with the task instead.
+ * @param {object[]} files - The generated files.
+ * @param {string} brief - The app description.
+ * @param {object} [llmOptions] - Passed to the LLM repair calls ({ usage }).
+ * @returns {Promise<object>} - { files, report: { passed, errors, checked_files, repair_attempts } }
+ */
+async function validateWithRepairs(files, brief, llmOptions = {}) {
+    let validation = await validateFiles(files);
+    let attempts = 0;
+    while (!validation.passed && attempts < VALIDATION_REPAIR_ATTEMPTS) {
+        attempts++;
+        metrics.retries.inc({ kind: 'validation_repair' });
+        console.warn(`Validation found ${validation.errors.length} problem(s) (repair ${attempts}/${VALIDATION_REPAIR_ATTEMPTS}):\n - ${validation.errors.join('\n - ')}`);
+        try {
+            ({ files } = await repairAppWithLLM(files, validation.errors, brief, llmOptions));
+        } catch (error) {
+            console.error('Repair attempt failed:', error.message);
+            break;
+        }
+        validation = await validateFiles(files);
+    }
+    if (validation.passed) {
+        console.log(`Validation passed${attempts ? ` after ${attempts} repair(s)` : ''}.`);
+    } else {
+        console.warn(`Publishing with ${validation.errors.length} unresolved validation problem(s).`);
+    }
+    return { files, report: { ...validation, repair_attempts: attempts } };
+}
+
+/**
+ * Runs the request's acceptance checks against the generated app and, while any fail,
+ * sends the failures back to the model for up to CHECK_REPAIR_ATTEMPTS repairs.
+ * @param {object[]} files - The generated files.
+ * @param {object[]} checks - Normalized checks (see lib/checks.js).
+ * @param {string} brief - The app description.
+ * @param {object} [llmOptions] - Passed to the LLM repair calls ({ usage }).
+ * @returns {Promise<object>} - { files, report: { passed, results, console_errors, repair_attempts } }
+ */
+async function checkWithRepairs(files, checks, brief, llmOptions = {}) {
+    let run = await runChecks(files, checks);
+    let attempts = 0;
+    while (!run.passed && attempts < CHECK_REPAIR_ATTEMPTS) {
+        attempts++;
+        metrics.retries.inc({ kind: 'check_repair' });
+        const failures = run.results.filter(r => !r.passed).map(r => `Failed check: ${r.description} (${r.message})`);
+        console.warn(`${failures.length} acceptance check(s) failed (repair ${attempts}/${CHECK_REPAIR_ATTEMPTS}):\n - ${failures.join('\n - ')}`);
+        try {
+            ({ files } = await repairAppWithLLM(files, failures, brief, llmOptions));
+        } catch (error) {
+            console.error('Repair attempt failed:', error.message);
+            break;
+        }
+        run = await runChecks(files, checks);
+    }
+    const passedCount = run.results.filter(r => r.passed).length;
+    console.log(`Acceptance checks: ${passedCount}/${run.results.length} passed${attempts ? ` after ${attempts} repair(s)` : ''}.`);
+    return { files, report: { ...run, repair_attempts: attempts } };
+}
+
+/**
+ * Replaces the CDN scripts and stylesheets of the pages with vendored copies (see lib/assets.js).
+ * References that can't be vendored stay as they are and are reported.
+ * @param {object[]} files - The generated files.
+ * @returns {Promise<object>} - { files, paths, report: { vendored, tailwind, unresolved, warnings } }
+ */
+async function vendorAssets(files) {
+    const run = await assetVendor.vendorAssets(files);
+    const { vendored, tailwind, unresolved, warnings } = run.report;
+    if (vendored.length) console.log(`Vendored ${vendored.length} CDN reference(s) under vendor/.`);
+    if (tailwind) console.log(`Tailwind: ${tailwind.state}${tailwind.reason ? ` (${tailwind.reason})` : ''}.`);
+    for (const u of unresolved) console.warn(`Assets: ${u.url} in ${u.file} left as is: ${u.reason}`);
+    for (const w of warnings) console.warn(`Assets: ${w}`);
+    return run;
+}
+
+/**
+ * Returns the paths whose content is identical to what is already published. The file
+ * policy trusts them: they were accepted in an earlier round.
+ * @param {object[]} files - The new file set.
+ * @param {object[]} existingFiles - The published files.
+ * @returns {Set<string>}
+ */
+function unchangedPaths(files, existingFiles) {
+    const existing = new Map(existingFiles.map(f => [f.path, f.content]));
+    return new Set(files.filter(f => {
+        const old = existing.get(f.path);
+        if (Buffer.isBuffer(old)) return Buffer.isBuffer(f.content) && old.equals(f.content);
+        return old !== undefined && old === f.content;
+    }).map(f => f.path));
+}
+
+/**
+ * Applies the file policy to the model's output. Rejected files are dropped; in 'repair'
+ * mode the model is first told what was rejected and why, once, and may write the content
+ * again under acceptable paths.
+ * @param {object[]} files - The generated files.
+ * @param {Set<string>} trusted - Paths exempt from the policy (see unchangedPaths).
+ * @param {string} brief - The app description.
+ * @param {object} [llmOptions] - Passed to the LLM repair call ({ usage }).
+ * @returns {Promise<object>} - { files, report: { policy, violations, repaired } }
+ */
+async function enforceFilePolicy(files, trusted, brief, llmOptions = {}) {
+    let result = applyFilePolicy(files, FILE_POLICY, { trusted });
+    const violations = [...result.violations];
+    let repaired = false;
+    if (violations.length && FILE_POLICY.mode === 'repair') {
+        const problems = violations.map(v => `The file "${v.path}" was rejected and removed: ${v.reason}`);
+        metrics.retries.inc({ kind: 'file_policy_repair' });
+        problems.push(`Files must use relative paths, one of these extensions: ${FILE_POLICY.extensions.join(' ')}, at most ${FILE_POLICY.maxFileBytes} bytes each. Write any content that is still needed under acceptable paths and update references to it.`);
+        try {
+            result = applyFilePolicy((await repairAppWithLLM(result.files, problems, brief, llmOptions)).files, FILE_POLICY, { trusted });
+            violations.push(...result.violations);
+            repaired = true;
+        } catch (error) {
+            console.error('File policy repair failed:', error.message);
+        }
+    }
+    for (const v of violations) console.warn(`File policy: dropped ${v.path}: ${v.reason}`);
+    return { files: result.files, report: { policy: describeFilePolicy(FILE_POLICY), violations, repaired } };
+}
+
+/**
+ * Adds (or replaces) this round's entry in the REVISIONS.md history.
+ * @param {string|undefined} existing - The current REVISIONS.md content, if any.
+ * @param {number} round - The round number.
+ * @param {string} brief - The brief for this round.
+ * @returns {string} - The new REVISIONS.md content, rounds in ascending order.
+ */
+function updateRevisionHistory(existing, round, brief) {
+    // Split the existing file into its per-round sections
+    const sections = new Map();
+    let current = null;
+    for (const line of (existing || '').split('\n')) {
+        const heading = /^## Round (\d+)/.exec(line);
+        if (heading) {
+            current = [];
+            sections.set(Number(heading[1]), current);
+        }
+        if (current) current.push(line);
+    }
+    sections.set(Number(round), [`## Round ${round} (${new Date().toISOString().slice(0, 10)})`, '', brief.trim(), '']);
+
+    const body = [...sections.keys()].sort((a, b) => a - b)
+        .map(r => sections.get(r).join('\n').trimEnd())
+        .join('\n\n');
+    return `# Revision history\n\nEach round of this app was generated from the brief below.\n\n${body}\n`;
+}
+
+/**
+ * Returns the latest round recorded in a published REVISIONS.md.
+ * @param {object[]} files - The published files.
+ * @returns {number} - The round number, 0 when there is no history.
+ */
+export function latestPublishedRound(files) {
+    const history = files.find(f => f.path === 'REVISIONS.md')?.content;
+    const rounds = [...String(history ?? '').matchAll(/^## Round (\d+)/gm)].map(m => Number(m[1]));
+    return rounds.length ? Math.max(...rounds) : 0;
+}
+
+/**
+ * Builds the payload POSTed to the evaluation URL.
+ * @param {object} request - The stored task request.
+ * @param {object} result - The publish result (repo_url, commit_sha, pages_url, deploy_status).
+ * @param {object} [reports] - The job's reports.
+ * @returns {object}
+ */
+export function buildEvaluationPayload(request, result, reports) {
+    const { email, task, round, nonce } = request;
+    return {
+        email,
+        task,
+        round,
+        nonce,
+        repo_url: result.repo_url,
+        commit_sha: result.commit_sha,
+        pages_url: result.pages_url,
+        deploy_status: result.deploy_status,
+        validation: reports?.validation && {
+            passed: reports.validation.passed,
+            errors: reports.validation.errors,
+        },
+    };
+}
+
+/**
+ * Creates the pipeline for a publisher and a notifier.
+ * @param {object} options
+ * @param {object} options.publisher - A publisher (see lib/publishers/index.js).
+ * @param {object} options.notifier - A notifier from createNotifier().
+ * @param {object} [options.drafts] - A draft store (lib/drafts.js); a job whose request names a
+ *   `draft_id` publishes that draft's files instead of building again.
+ * @param {object} [options.attachmentStore] - Where jobs' decoded attachments are kept (see
+ *   createAttachmentStore() in lib/attachments.js); without one they stay in the request.
+ * @param {string|null} [options.skipDeployVerify] - Why deployments are not verified, or null to verify
+ *   them; by default verification follows DEPLOY_VERIFY.
+ * @returns {object} - { buildFiles, processTask }
+ */
+export function createPipeline({
+    publisher,
+    notifier,
+    drafts = null,
+    attachmentStore = null,
+    skipDeployVerify = DEPLOY_VERIFY ? null : 'deployment verification is turned off (DEPLOY_VERIFY=0)',
+}) {
+    const deployVerifier = createDeployVerifier({
+        buildTimeoutMs: DEPLOY_BUILD_TIMEOUT_SECONDS * 1000,
+        liveTimeoutMs: DEPLOY_LIVE_TIMEOUT_SECONDS * 1000,
+        intervalMs: DEPLOY_POLL_INTERVAL_SECONDS * 1000,
+    });
+    // Files of jobs deferred while publishing, published as they are when the job runs again
+    // (kept in memory only: after a restart they are built again)
+    const deferredBuilds = new Map();
+
+    /**
+     * The decoded attachments of a job. The data: URIs of a request are decoded into the attachment
+     * store and dropped from the request, so the job store keeps only their names and sizes; a job
+     * built again (after a restart or a deferral) reads them back from the store.
+     * @param {object} job - The job record.
+     * @param {Function} update - async (state, patch, options) => job
+     * @returns {Promise<object[]>} - As parseAttachments() returns.
+     */
+    async function jobAttachments(job, update) {
+        const raw = job.request.attachments ?? [];
+        if (raw.some(a => typeof a?.url === 'string')) {
+            const attachments = parseAttachments(raw);
+            if (attachmentStore) {
+                await attachmentStore.save(runKey(job), attachments);
+                await update(null, { request: { ...job.request, attachments: summarizeAttachments(attachments) } });
+            }
+            return attachments;
+        }
+        if (!raw.length) return [];
+        const stored = await attachmentStore?.load(runKey(job));
+        if (!stored) throw new Error(`The attachments of ${job.id} are no longer stored; submit the request again.`);
+        return stored;
+    }
+
+    /**
+     * Produces the file set of a round, up to but not including publishing: generate or revise,
+     * file policy, validation, acceptance checks, project files and the secret scan.
+     * @param {object} job - The job record (see lib/jobQueue.js).
+     * @param {Function} update - async (state, patch, options) => job
+     * @param {object} [options]
+     * @param {object[]} [options.attachments] - Attachments decoded beforehand (a draft's), used
+     *   instead of the request's.
+     * @returns {Promise<object>} - { files, existingFiles, revised }
+     */
+    async function buildFiles(job, update, { attachments: decodedAttachments } = {}) {
+        const { brief, task, round, checks = [], license = null } = job.request;
+        console.log(`Processing request for task: ${task}, round: ${round}`);
+        const repoName = task; // Use the unique task as the repo name
+        const attachments = decodedAttachments ?? await jobAttachments(job, update);
+        // The model sees the attachments and acceptance checks as part of the brief
+        let promptBrief = brief;
+        if (attachments.length) promptBrief += `\n\n${describeAttachments(attachments)}`;
+        if (checks.length) promptBrief += `\n\nThe app must pass these automated checks:\n${checks.map(c => `- ${describeCheck(c)}`).join('\n')}`;
+
+        // Any round after the first revises what is already published
+        const isRevision = Number(round) > 1;
+        // Token usage across every LLM request of this run, reported with the job; progress
+        // is recorded while output streams in so the status endpoint shows it
+        const llmOptions = {
+            usage: createUsage(),
+            onProgress: (progress) => update(null, { reports: { ...job.reports, llm: { ...llmOptions.usage, progress } } }, { lazy: true }),
+        };
+
+        // 1. Generate app content with LLM
+        await update(JOB_STATES.GENERATING);
+        const existingFiles = isRevision ? await publisher.fetchFiles(repoName) : [];
+        if (isRevision && !existingFiles.length) {
+            console.warn(`Round ${round} for ${repoName}, but nothing is published yet; generating from scratch.`);
+        }
+
+        // 2. Create file payloads: edit the existing files, or build a fresh app
+        let filesToCommit = null;
+        let revised = false;
+        if (existingFiles.length) {
+            try {
+                ({ files: filesToCommit } = await reviseAppWithLLM(promptBrief, existingFiles, round, llmOptions));
+                revised = true;
+            } catch (error) {
+                console.error(`Revision failed for ${repoName}; regenerating from the brief instead:`, error);
+                metrics.fallbacks.inc({ kind: 'regenerate' });
+            }
+        }
+        if (!filesToCommit) {
+            const candidateCount = job.request.candidates ?? LLM_CANDIDATES;
+            const generateOptions = { ...llmOptions, attachmentPaths: attachments.map(a => a.path) };
+            let generated;
+            if (candidateCount > 1) {
+                const best = await generateCandidates(promptBrief, brief, candidateCount, generateOptions);
+                generated = best.generated;
+                await update(null, { reports: { ...job.reports, candidates: best.report } });
+            } else {
+                generated = await generateAppWithLLM(promptBrief, generateOptions);
+            }
+            if (generated.template) {
+                await update(null, { reports: { ...job.reports, template: { name: generated.template, reason: 'llm_failed' } } });
+            }
+            filesToCommit = assembleFiles(generated);
+        }
+        // Keep the model's paths, types and sizes within the file policy
+        const policyRun = await enforceFilePolicy(filesToCommit, unchangedPaths(filesToCommit, existingFiles), promptBrief, llmOptions);
+        filesToCommit = policyRun.files;
+        await update(null, { reports: { ...job.reports, file_policy: policyRun.report } });
+        // Attachments are committed as sent, replacing anything generated under the same name
+        if (attachments.length) {
+            const attachmentPaths = new Set(attachments.map(a => a.path));
+            filesToCommit = filesToCommit.filter(f => !attachmentPaths.has(f.path))
+                .concat(attachments.map(a => ({ path: a.path, content: a.content })));
+            await update(null, {
+                reports: { ...job.reports, attachments: summarizeAttachments(attachments) },
+            });
+        }
+        // CDN references become vendored copies, so the app doesn't depend on the CDN staying up
+        let vendoredPaths = new Set();
+        if (ASSET_VENDORING) {
+            const assetRun = await vendorAssets(filesToCommit);
+            ({ files: filesToCommit, paths: vendoredPaths } = assetRun);
+            await update(null, { reports: { ...job.reports, assets: assetRun.report } });
+        }
+        // 3. Validate before publishing, repairing what the model can fix
+        const validation = await validateWithRepairs(filesToCommit, promptBrief, llmOptions);
+        filesToCommit = validation.files;
+        await update(null, { reports: { ...job.reports, validation: validation.report } });
+
+        // 4. Run the request's acceptance checks in a headless DOM
+        if (checks.length) {
+            const checkRun = await checkWithRepairs(filesToCommit, checks, promptBrief, llmOptions);
+            if (checkRun.report.repair_attempts) {
+                // Repairs may have touched anything; refresh the validation findings without another repair round
+                filesToCommit = checkRun.files;
+                const revalidation = await validateFiles(filesToCommit);
+                await update(null, { reports: { ...job.reports, validation: { ...job.reports.validation, ...revalidation } } });
+            }
+            await update(null, { reports: { ...job.reports, checks: checkRun.report } });
+        }
+
+        // Repairs may have added CDN references or changed the Tailwind classes
+        if (ASSET_VENDORING && (validation.report.repair_attempts || job.reports.checks?.repair_attempts)) {
+            const assetRun = await vendorAssets(filesToCommit);
+            ({ files: filesToCommit } = assetRun);
+            vendoredPaths = new Set([...vendoredPaths, ...assetRun.paths]);
+            const vendored = [...job.reports.assets.vendored, ...assetRun.report.vendored];
+            await update(null, { reports: { ...job.reports, assets: { ...assetRun.report, vendored } } });
+        }
+
+        // Repairs may have written new files; they get the same policy, without another repair round.
+        // Vendored copies are exempt: they come from the asset cache, not the model
+        const trusted = unchangedPaths(filesToCommit, existingFiles);
+        for (const a of attachments) trusted.add(a.path);
+        for (const p of vendoredPaths) trusted.add(p);
+        const finalPolicy = applyFilePolicy(filesToCommit, FILE_POLICY, { trusted });
+        if (finalPolicy.violations.length) {
+            for (const v of finalPolicy.violations) console.warn(`File policy: dropped ${v.path}: ${v.reason}`);
+            filesToCommit = finalPolicy.files;
+            job.reports.file_policy.violations.push(...finalPolicy.violations);
+        }
+
+        const history = existingFiles.find(f => f.path === 'REVISIONS.md')?.content;
+        filesToCommit = filesToCommit.filter(f => f.path !== 'REVISIONS.md');
+        filesToCommit.push({ path: 'REVISIONS.md', content: updateRevisionHistory(history, round, brief) });
+        const project = await addProjectFiles(filesToCommit, existingFiles, { repoName, brief, license, pagesUrl: publisher.pagesUrl(repoName), llmOptions });
+        filesToCommit = project.files;
+        await update(null, { reports: { ...job.reports, project: project.report } });
+
+        // Nothing that looks like a credential goes to a public repo
+        const scan = scanFiles(filesToCommit, { mode: SECRET_SCAN_MODE, enforceHighEntropy: SECRET_SCAN_ENFORCE_ENTROPY, envValues: SENSITIVE_ENV_VALUES });
+        filesToCommit = scan.files;
+        await update(null, { reports: { ...job.reports, secrets: { mode: SECRET_SCAN_MODE, findings: scan.findings, blocked: scan.blocking } } });
+        for (const f of scan.findings) console.warn(`Secret scan: ${f.type} in ${f.path}:${f.line} (${f.preview}) ${f.action}`);
+        if (scan.blocking) {
+            throw new Error(`Publishing blocked: ${scan.findings.filter(f => f.action === 'blocked').length} possible secret(s) found in the generated files (see reports.secrets)`);
+        }
+
+        await update(null, { reports: { ...job.reports, llm: llmOptions.usage } });
+        return { files: filesToCommit, existingFiles, revised };
+    }
+
+    /**
+     * The build of the draft a job publishes, with the draft's reports copied onto the job.
+     * @returns {Promise<object|null>} - As buildFiles() returns, or null when the job has no draft.
+     */
+    async function takeDraft(job, update) {
+        const draftId = job.request.draft_id;
+        if (!draftId) return null;
+        const build = drafts?.take(draftId);
+        if (!build) {
+            // e.g. a job resumed after a restart, which forgets drafts
+            console.warn(`Draft ${draftId} is no longer available; building ${job.task} round ${job.round} again.`);
+            return null;
+        }
+        console.log(`Publishing draft ${draftId} for task: ${job.task}, round: ${job.round}`);
+        // Kept like a request's attachments, for building again if the job is resumed after a restart
+        if (build.attachments?.length && attachmentStore) await attachmentStore.save(runKey(job), build.attachments);
+        await update(null, { reports: { ...job.reports, ...build.reports, draft: { id: draftId } } });
+        return build;
+    }
+
+    /**
+     * Runs the full build pipeline for a queued job: generate, push, notify.
+     * Progress is reported through `update` so the job store always reflects the current stage.
+     * @param {object} job - The job record (see lib/jobQueue.js).
+     * @param {Function} update - async (state, patch, options) => job
+     * @returns {Promise<object>} - The repo_url, commit_sha and pages_url of the published app.
+     */
+    async function processTask(job, update) {
+        const { task, round, nonce, evaluation_url } = job.request;
+        const repoName = task;
+
+        // A job resumed after a restart may already have been published; only the notification is left
+        let publishResult = job.result;
+        if (!publishResult?.commit_sha) {
+            // A re-submitted round is a new job, and never gets an old build
+            const buildKey = runKey(job);
+            let build = deferredBuilds.get(buildKey);
+            if (build) {
+                deferredBuilds.delete(buildKey);
+                console.log(`Publishing the files built before job ${job.id} was deferred`);
+            } else {
+                build = await takeDraft(job, update) ?? await buildFiles(job, update);
+            }
+            const { files: filesToCommit, existingFiles, revised } = build;
+
+            // 5. Publish through the selected backend (create or update)
+            await update(JOB_STATES.PUSHING);
+            // A revised file set is the complete new state (the model's DELETEs included), so it is always pruned
+            const updatesExisting = existingFiles.length > 0;
+            try {
+                publishResult = await publisher.publish(repoName, filesToCommit, { isRevision: updatesExisting, prune: revised || (updatesExisting && PRUNE_REMOVED_FILES) });
+            } catch (err) {
+                // Rate limited: the job is deferred (lib/jobQueue.js) and publishes these files when it runs again
+                if (err.retryAt) deferredBuilds.set(buildKey, build);
+                throw err;
+            }
+            // Kept with the result so a job resumed after a restart can still verify the deployment
+            const index = filesToCommit.find(f => f.path === 'index.html');
+            publishResult = { ...publishResult, index_fingerprint: index ? fingerprintHtml(index.content) : null };
+            // Stored before verifying so a restart won't republish
+            await update(null, { result: publishResult });
+            // Published, so never built again
+            await attachmentStore?.remove(buildKey);
+        }
+
+        // 6. Wait until the site serves what was just published
+        if (!publishResult.deploy_status) {
+            await update(JOB_STATES.DEPLOYING);
+            const deployStatus = skipDeployVerify
+                ? { state: 'skipped', message: skipDeployVerify }
+                : await deployVerifier.verify({
+                    pagesUrl: publishResult.pages_url,
+                    commitSha: publishResult.commit_sha,
+                    indexFingerprint: publishResult.index_fingerprint,
+                    pagesStatus: publisher.pagesStatus && (() => publisher.pagesStatus(repoName)),
+                });
+            if (deployStatus.duration_ms !== undefined) metrics.deployWait.observe({ state: deployStatus.state }, deployStatus.duration_ms / 1000);
+            const log = deployStatus.state === 'live' || deployStatus.state === 'skipped' ? logger.info : logger.warn;
+            log(`Deployment of ${repoName}: ${deployStatus.state}${deployStatus.message ? ` (${deployStatus.message})` : ''}`, {
+                deploy_state: deployStatus.state,
+                build_status: deployStatus.build?.status,
+                attempts: deployStatus.attempts,
+                duration_ms: deployStatus.duration_ms,
+            });
+            publishResult = { ...publishResult, deploy_status: deployStatus };
+        }
+
+        // 7. POST to the evaluation URL. The result is stored first so a restart won't verify again.
+        await update(JOB_STATES.NOTIFYING, { result: publishResult });
+        const evaluationPayload = buildEvaluationPayload(job.request, publishResult, job.reports);
+        // Duplicates that attached to this run may have asked for the result at another URL
+        const urls = [...new Set([evaluation_url, ...(job.attached ?? []).map(a => a.evaluation_url)].filter(Boolean))];
+        if (!urls.length) {
+            console.log(`No evaluation_url for ${task}; nothing to notify.`);
+            return publishResult;
+        }
+        // Undelivered payloads are dead-lettered and retried in the background; the task itself is done
+        console.log("Notifying evaluator with payload:", evaluationPayload);
+        const notifications = [];
+        for (const url of urls) notifications.push(await notifier.deliver(url, evaluationPayload, { task, round, nonce }));
+        return { ...publishResult, notification: notifications[0] };
+    }
+
+    return { buildFiles, processTask };
+}
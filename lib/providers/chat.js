@@ -0,0 +1,63 @@
+import { postJson, postJsonStream, getJson, endpointUrl } from './http.js';
+
+function usageOf(result) {
+    return {
+        input_tokens: result?.usage?.prompt_tokens ?? 0,
+        output_tokens: result?.usage?.completion_tokens ?? 0,
+    };
+}
+
+/**
+ * Adapter for OpenAI-compatible Chat Completions (`POST {baseUrl}/chat/completions`).
+ * Works with OpenAI and local servers such as llama.cpp or Ollama (which need no API key).
+ * @param {object} config - { apiKey, baseUrl, model }
+ * @returns {object} - A provider (see lib/providers/index.js).
+ */
+export function createChatProvider({ apiKey, baseUrl, model }) {
+    const apiUrl = endpointUrl(baseUrl || 'https://api.openai.com/v1', 'chat/completions');
+
+    return {
+        name: 'chat',
+        model,
+        async ping() {
+            await getJson(endpointUrl(baseUrl || 'https://api.openai.com/v1', 'models'), apiKey, 'Models API');
+        },
+        async complete({ system, messages, maxOutputTokens, temperature, onText }) {
+            console.log(`Using LLM endpoint: ${apiUrl}`);
+
+            const body = {
+                model,
+                messages: [{ role: 'system', content: system }, ...messages],
+                max_tokens: maxOutputTokens,
+            };
+            if (temperature !== undefined) body.temperature = temperature;
+
+            if (onText) {
+                let text = '';
+                let finish = null;
+                let usageChunk = null;
+                const streamBody = { ...body, stream: true, stream_options: { include_usage: true } };
+                for await (const chunk of postJsonStream(apiUrl, streamBody, apiKey, 'Chat Completions API')) {
+                    const choice = chunk.choices?.[0];
+                    const delta = choice?.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        onText(delta);
+                    }
+                    if (choice?.finish_reason) finish = choice.finish_reason;
+                    if (chunk.usage) usageChunk = chunk;
+                }
+                // A stream that ends without a finish reason was cut off; ask for the rest
+                return { text, finish_reason: finish ?? 'length', usage: usageOf(usageChunk) };
+            }
+
+            const result = await postJson(apiUrl, body, apiKey, 'Chat Completions API');
+            const choice = result.choices?.[0];
+            return {
+                text: choice?.message?.content ?? '',
+                finish_reason: choice?.finish_reason ?? 'stop',
+                usage: usageOf(result),
+            };
+        },
+    };
+}
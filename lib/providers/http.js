@@ -0,0 +1,98 @@
+/**
+ * Sends a JSON POST to an LLM endpoint.
+ * @returns {Promise<Response>} - The response, known to have a 2xx status.
+ * @throws {Error} - When the request fails or returns a non-2xx status.
+ */
+async function post(url, body, apiKey, label, accept) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': accept };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const errText = await response.text().catch(() => '');
+        throw new Error(`${label} failed with status: ${response.status} ${errText}`);
+    }
+    return response;
+}
+
+/**
+ * POSTs JSON to an LLM endpoint and returns the parsed response.
+ * @param {string} url - The endpoint.
+ * @param {object} body - The request body.
+ * @param {string} apiKey - Sent as a bearer token when present.
+ * @param {string} label - Name of the API, for error messages.
+ * @returns {Promise<object>} - The JSON response.
+ * @throws {Error} - When the request fails or returns a non-2xx status.
+ */
+export async function postJson(url, body, apiKey, label) {
+    const response = await post(url, body, apiKey, label, 'application/json');
+    return response.json();
+}
+
+/**
+ * POSTs JSON to a streaming LLM endpoint and yields the data of each server-sent event,
+ * parsed as JSON, until the stream ends or sends `[DONE]`.
+ * @param {string} url - The endpoint.
+ * @param {object} body - The request body (with `stream: true`).
+ * @param {string} apiKey - Sent as a bearer token when present.
+ * @param {string} label - Name of the API, for error messages.
+ * @returns {AsyncGenerator<object>}
+ * @throws {Error} - When the request fails or an event is not valid JSON.
+ */
+export async function* postJsonStream(url, body, apiKey, label) {
+    const response = await post(url, body, apiKey, label, 'text/event-stream');
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let boundary;
+        while ((boundary = /\r?\n\r?\n/.exec(buffer)) !== null) {
+            const event = buffer.slice(0, boundary.index);
+            buffer = buffer.slice(boundary.index + boundary[0].length);
+            const data = event.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (!data) continue;
+            if (data === '[DONE]') return;
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch {
+                throw new Error(`${label} sent an unreadable stream event: ${data.slice(0, 200)}`);
+            }
+            yield parsed;
+        }
+    }
+}
+
+/**
+ * GETs a JSON resource from an LLM API, for the health check.
+ * @param {string} url - The endpoint.
+ * @param {string} apiKey - Sent as a bearer token when present.
+ * @param {string} label - Name of the API, for error messages.
+ * @returns {Promise<object>} - The JSON response.
+ * @throws {Error} - When the request fails, times out or returns a non-2xx status.
+ */
+export async function getJson(url, apiKey, label) {
+    const headers = { 'Accept': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(5000) });
+    if (!response.ok) throw new Error(`${label} failed with status: ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Joins an API base URL and a path.
+ * @param {string} baseUrl - e.g. https://api.openai.com/v1
+ * @param {string} endpoint - e.g. responses
+ * @returns {string}
+ */
+export function endpointUrl(baseUrl, endpoint) {
+    return `${baseUrl.replace(/\/$/, '')}/${endpoint}`;
+}
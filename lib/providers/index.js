@@ -0,0 +1,38 @@
+import { createResponsesProvider } from './responses.js';
+import { createChatProvider } from './chat.js';
+import { createMockProvider, createRecordingProvider } from './mock.js';
+
+/**
+ * An LLM provider turns one request into one completion:
+ * {
+ *   name: string,
+ *   model: string,
+ *   complete({ system, messages: { role, content }[], maxOutputTokens, temperature, onText }):
+ *     Promise<{ text, finish_reason, usage: { input_tokens, output_tokens } }>,
+ *   ping?(): Promise<void>,
+ * }
+ * `finish_reason` is normalized to 'stop' for a complete answer and 'length' when the
+ * output was cut off by the token limit (or the stream ended early). When `onText` is
+ * given the response is streamed and `onText(delta)` is called as text arrives.
+ * `ping()` is optional: it resolves when the API is reachable, for GET /healthz.
+ */
+const PROVIDERS = {
+    responses: createResponsesProvider,
+    chat: createChatProvider,
+    mock: createMockProvider,
+};
+
+/**
+ * Creates the provider selected by name (the LLM_PROVIDER env var).
+ * @param {string} name - One of 'responses', 'chat' or 'mock'.
+ * @param {object} config - { apiKey, baseUrl, model, fixturesDir, recordDir }
+ * @returns {object} - The provider, wrapped to record fixtures when `recordDir` is set.
+ */
+export function createProvider(name, config) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const provider = factory(config);
+    return config.recordDir && name !== 'mock' ? createRecordingProvider(provider, config.recordDir) : provider;
+}
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Deterministic provider that replays recorded fixtures instead of calling a model.
+ *
+ * A fixture is a JSON file in the fixtures directory:
+ *   { "text": "...", "finish_reason": "stop", "usage": { "input_tokens": 0, "output_tokens": 0 } }
+ * It is chosen by, in order:
+ *   1. `<requestKey>.json`, where the key is a hash of the exact request (what recording writes)
+ *   2. the first file (by name) whose `match` regular expression matches the prompt text
+ * A request with no fixture fails, like an unreachable provider would.
+ */
+
+// Streamed fixtures are delivered in pieces of this size
+const STREAM_CHUNK_CHARS = 200;
+
+/**
+ * Hashes a request so identical prompts map to the same fixture file.
+ * @param {object} request - { system, messages }
+ * @returns {string} - A short hex key.
+ */
+export function requestKey({ system, messages }) {
+    return crypto.createHash('sha256').update(JSON.stringify({ system, messages })).digest('hex').slice(0, 16);
+}
+
+/**
+ * Rough token count for fixtures that don't record usage.
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * @param {object} config - { fixturesDir }
+ * @returns {object} - A provider (see lib/providers/index.js).
+ */
+export function createMockProvider({ fixturesDir }) {
+    if (!fixturesDir) throw new Error('The mock LLM provider needs LLM_FIXTURES_DIR.');
+
+    async function readFixture(file) {
+        return JSON.parse(await fs.readFile(path.join(fixturesDir, file), 'utf8'));
+    }
+
+    return {
+        name: 'mock',
+        model: 'mock',
+        ping: () => fs.access(fixturesDir),
+        async complete(request) {
+            const key = requestKey(request);
+            const promptText = [request.system, ...request.messages.map(m => m.content)].join('\n\n');
+
+            let fixture = await readFixture(`${key}.json`).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+                return null;
+            });
+            if (!fixture) {
+                const names = (await fs.readdir(fixturesDir)).filter(n => n.endsWith('.json')).sort();
+                for (const name of names) {
+                    const candidate = await readFixture(name);
+                    if (candidate.match && new RegExp(candidate.match).test(promptText)) {
+                        fixture = candidate;
+                        break;
+                    }
+                }
+            }
+            if (!fixture) throw new Error(`No LLM fixture for request ${key} in ${fixturesDir}`);
+
+            console.log(`Replaying LLM fixture for request ${key}`);
+            if (request.onText) {
+                const text = fixture.text ?? '';
+                for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) request.onText(text.slice(i, i + STREAM_CHUNK_CHARS));
+            }
+            return {
+                text: fixture.text ?? '',
+                finish_reason: fixture.finish_reason ?? 'stop',
+                usage: {
+                    input_tokens: fixture.usage?.input_tokens ?? estimateTokens(promptText),
+                    output_tokens: fixture.usage?.output_tokens ?? estimateTokens(fixture.text),
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Wraps a provider so every response is saved as a fixture the mock provider can replay.
+ * @param {object} provider - The real provider.
+ * @param {string} fixturesDir - Where fixtures are written.
+ * @returns {object} - A provider.
+ */
+export function createRecordingProvider(provider, fixturesDir) {
+    return {
+        ...provider,
+        async complete(request) {
+            const result = await provider.complete(request);
+            const key = requestKey(request);
+            await fs.mkdir(fixturesDir, { recursive: true });
+            const lastMessage = request.messages.at(-1)?.content || '';
+            await fs.writeFile(path.join(fixturesDir, `${key}.json`), JSON.stringify({
+                recorded_from: provider.name,
+                model: provider.model,
+                prompt_preview: lastMessage.slice(0, 200),
+                ...result,
+            }, null, 2));
+            console.log(`Recorded LLM fixture ${key}.json`);
+            return result;
+        },
+    };
+}
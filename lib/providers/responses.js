@@ -0,0 +1,78 @@
+import { postJson, postJsonStream, getJson, endpointUrl } from './http.js';
+
+/**
+ * Normalizes the completion state of a Responses API result.
+ */
+function finishReason(result) {
+    if (result.status !== 'incomplete') return 'stop';
+    const reason = result.incomplete_details?.reason;
+    return reason === 'max_output_tokens' ? 'length' : (reason || 'incomplete');
+}
+
+function usageOf(result) {
+    return {
+        input_tokens: result?.usage?.input_tokens ?? 0,
+        output_tokens: result?.usage?.output_tokens ?? 0,
+    };
+}
+
+/**
+ * Adapter for the OpenAI Responses API (`POST {baseUrl}/responses`), also served by AI Pipe.
+ * @param {object} config - { apiKey, baseUrl, model }
+ * @returns {object} - A provider (see lib/providers/index.js).
+ */
+export function createResponsesProvider({ apiKey, baseUrl, model }) {
+    const apiUrl = endpointUrl(baseUrl || 'https://api.openai.com/v1', 'responses');
+
+    return {
+        name: 'responses',
+        model,
+        async ping() {
+            if (!apiKey) throw new Error('Missing OpenAI/AI Pipe API key');
+            await getJson(endpointUrl(baseUrl || 'https://api.openai.com/v1', 'models'), apiKey, 'Models API');
+        },
+        async complete({ system, messages, maxOutputTokens, temperature, onText }) {
+            if (!apiKey) throw new Error('Missing OpenAI/AI Pipe API key. Set OPENAI_API_KEY or AI_PIPE_TOKEN in your environment.');
+            console.log(`Using LLM endpoint: ${apiUrl}`);
+
+            const body = {
+                model,
+                instructions: system,
+                input: messages.map(m => ({ role: m.role, content: m.content })),
+                max_output_tokens: maxOutputTokens,
+            };
+            if (temperature !== undefined) body.temperature = temperature;
+
+            if (onText) {
+                let text = '';
+                let final = null;
+                for await (const event of postJsonStream(apiUrl, { ...body, stream: true }, apiKey, 'OpenAI Responses API')) {
+                    if (event.type === 'response.output_text.delta' && event.delta) {
+                        text += event.delta;
+                        onText(event.delta);
+                    } else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+                        final = event.response;
+                    } else if (event.type === 'response.failed' || event.type === 'error') {
+                        const error = event.response?.error || event.error || event;
+                        throw new Error(`OpenAI Responses API stream failed: ${error.message || JSON.stringify(error)}`);
+                    }
+                }
+                // A stream that ends without a final event was cut off; ask for the rest
+                return { text, finish_reason: final ? finishReason(final) : 'length', usage: usageOf(final) };
+            }
+
+            const result = await postJson(apiUrl, body, apiKey, 'OpenAI Responses API');
+            // `output_text` is a convenience field some servers add; otherwise join the message parts
+            let text = typeof result.output_text === 'string' ? result.output_text : '';
+            if (!text && Array.isArray(result.output)) {
+                text = result.output
+                    .filter(item => item?.type === 'message' && Array.isArray(item.content))
+                    .flatMap(item => item.content)
+                    .filter(part => part?.type === 'output_text' && typeof part.text === 'string')
+                    .map(part => part.text)
+                    .join('');
+            }
+            return { text, finish_reason: finishReason(result), usage: usageOf(result) };
+        },
+    };
+}
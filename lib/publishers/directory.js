@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { writeFiles, hashFiles, readFiles } from './files.js';
+
+/**
+ * Creates a publisher that writes the app straight into one directory, whatever the task is
+ * called. Used by the CLI's `--out`; nothing is served, so there is no pages URL.
+ * @param {string} outDir - The directory to write into.
+ * @returns {object} - A publisher (see lib/publishers/index.js).
+ */
+export function createDirectoryPublisher(outDir) {
+    const dir = path.resolve(outDir);
+
+    return {
+        name: 'directory',
+        repoUrl: () => pathToFileURL(dir).href,
+        pagesUrl: () => null,
+
+        fetchFiles: () => readFiles(dir),
+
+        async publish(repoName, files, { isRevision = false, prune = false } = {}) {
+            console.log(`Writing ${files.length} file(s) to ${dir}. Revision: ${isRevision}`);
+            // Only files of the previous round are removed; the directory itself may hold other things (.git)
+            if (prune) {
+                const keep = new Set(files.map(f => f.path));
+                for (const old of await readFiles(dir)) {
+                    if (!keep.has(old.path)) await fs.rm(path.join(dir, old.path), { force: true });
+                }
+            }
+            await writeFiles(dir, files);
+
+            return {
+                repo_url: this.repoUrl(repoName),
+                commit_sha: hashFiles(files),
+                pages_url: null,
+            };
+        },
+    };
+}
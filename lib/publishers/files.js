@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Resolves a file path from the generated file set inside `rootDir`, refusing
+ * anything that would land outside it (absolute paths, `..` segments).
+ * @param {string} rootDir - The directory files are written into.
+ * @param {string} filePath - The relative path from the file set.
+ * @returns {string} - The absolute path on disk.
+ */
+export function resolveInside(rootDir, filePath) {
+    rootDir = path.resolve(rootDir);
+    const target = path.resolve(rootDir, filePath);
+    if (target !== rootDir && !target.startsWith(rootDir + path.sep)) {
+        throw new Error(`Refusing to write ${filePath}: path escapes ${rootDir}`);
+    }
+    return target;
+}
+
+/**
+ * Writes a file set to disk under `rootDir`, creating directories as needed.
+ * @param {string} rootDir - Destination directory.
+ * @param {object[]} files - Array of file objects { path, content }.
+ */
+export async function writeFiles(rootDir, files) {
+    await fs.mkdir(rootDir, { recursive: true });
+    for (const file of files) {
+        const target = resolveInside(rootDir, file.path);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, file.content);
+    }
+}
+
+/**
+ * Computes a stable SHA-1 over a file set (paths and contents), used as a commit id
+ * by publishers that have no real commits.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @returns {string} - Hex digest.
+ */
+export function hashFiles(files) {
+    const hash = crypto.createHash('sha1');
+    for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+        hash.update(file.path).update('\0').update(file.content).update('\0');
+    }
+    return hash.digest('hex');
+}
+
+// Extensions read back as text; everything else is kept as a Buffer
+const TEXT_EXTENSIONS = new Set([
+    '', '.html', '.htm', '.css', '.js', '.mjs', '.json', '.md', '.txt', '.csv', '.tsv', '.svg', '.xml', '.yml', '.yaml',
+]);
+
+/**
+ * Returns true when a path should be treated as a text file.
+ * @param {string} filePath - A relative path.
+ * @returns {boolean}
+ */
+export function isTextPath(filePath) {
+    return TEXT_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Decodes file contents read from a backend: text files become strings, others stay Buffers.
+ * @param {string} filePath - The relative path.
+ * @param {Buffer} buffer - The raw contents.
+ * @returns {string|Buffer}
+ */
+export function decodeContent(filePath, buffer) {
+    return isTextPath(filePath) ? buffer.toString('utf8') : buffer;
+}
+
+/**
+ * Reads every file under `rootDir` (skipping `.git`) as a file set.
+ * @param {string} rootDir - The directory to read.
+ * @returns {Promise<object[]>} - Array of file objects { path, content }; empty if the directory is missing.
+ */
+export async function readFiles(rootDir) {
+    const files = [];
+    async function walk(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+        for (const entry of entries) {
+            if (entry.name === '.git') continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(fullPath);
+            } else if (entry.isFile()) {
+                const relPath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+                files.push({ path: relPath, content: decodeContent(relPath, await fs.readFile(fullPath)) });
+            }
+        }
+    }
+    await walk(rootDir);
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+}
@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { GIT_PUBLISH_REMOTE, GIT_PAGES_URL, GIT_PUBLISH_BRANCH } from '../config.js';
+import { writeFiles, readFiles } from './files.js';
+
+const execFileAsync = promisify(execFile);
+
+// Commits are authored by the service itself, independent of any global git config
+const GIT_IDENTITY = ['-c', 'user.name=App Builder', '-c', 'user.email=app-builder@localhost'];
+
+/**
+ * Runs a git command and returns trimmed stdout.
+ * @param {string[]} args - Arguments to git.
+ * @param {string} [cwd] - Working directory.
+ * @returns {Promise<string>}
+ */
+async function git(args, cwd) {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+    return stdout.trim();
+}
+
+/**
+ * Returns the local directory for a path or file:// remote, or null for network remotes.
+ * @param {string} remote - The remote URL or path.
+ * @returns {string|null}
+ */
+function localRemotePath(remote) {
+    if (remote.startsWith('file://')) return fileURLToPath(remote);
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(remote) || /^[^/]+@[^:]+:/.test(remote)) return null;
+    return path.resolve(remote);
+}
+
+/**
+ * Creates the plain git publisher. Each task is committed to its own repository at
+ * GIT_PUBLISH_REMOTE (a bare repo directory, a file:// URL or any remote git accepts).
+ * Local bare repositories are created on first publish.
+ * @returns {object} - A publisher (see lib/publishers/index.js).
+ */
+export function createGitPublisher() {
+    if (!GIT_PUBLISH_REMOTE) {
+        throw new Error('The git publisher needs GIT_PUBLISH_REMOTE (a bare repo directory or git remote URL).');
+    }
+
+    const remoteFor = (repoName) => GIT_PUBLISH_REMOTE.includes('{task}')
+        ? GIT_PUBLISH_REMOTE.replaceAll('{task}', repoName)
+        : `${GIT_PUBLISH_REMOTE.replace(/\/$/, '')}/${repoName}.git`;
+
+    async function ensureBareRepo(remote) {
+        const dir = localRemotePath(remote);
+        if (!dir) return;
+        try {
+            await fs.access(path.join(dir, 'HEAD'));
+        } catch {
+            console.log(`Creating bare repository at ${dir}`);
+            await fs.mkdir(dir, { recursive: true });
+            await git(['init', '--bare', '--initial-branch', GIT_PUBLISH_BRANCH], dir);
+        }
+    }
+
+    /**
+     * Initialises `workDir` as a clone of the task branch, or as an empty repo when the
+     * remote has no such branch yet.
+     * @returns {Promise<boolean>} - Whether the branch existed.
+     */
+    async function checkout(remote, workDir) {
+        await git(['init', '--quiet', '--initial-branch', GIT_PUBLISH_BRANCH], workDir);
+        await git(['remote', 'add', 'origin', remote], workDir);
+        const remoteHeads = await git(['ls-remote', '--heads', 'origin', GIT_PUBLISH_BRANCH], workDir);
+        if (!remoteHeads) return false;
+        await git(['fetch', '--quiet', 'origin', GIT_PUBLISH_BRANCH], workDir);
+        await git(['reset', '--quiet', '--hard', 'FETCH_HEAD'], workDir);
+        return true;
+    }
+
+    return {
+        name: 'git',
+        repoUrl: remoteFor,
+        pagesUrl: (repoName) => GIT_PAGES_URL ? GIT_PAGES_URL.replaceAll('{task}', repoName) : null,
+
+        async fetchFiles(repoName) {
+            const remote = remoteFor(repoName);
+            // A local remote that was never created has nothing to read
+            const localPath = localRemotePath(remote);
+            if (localPath && !(await fs.stat(localPath).catch(() => null))) return [];
+
+            const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-'));
+            try {
+                return (await checkout(remote, workDir)) ? await readFiles(workDir) : [];
+            } finally {
+                await fs.rm(workDir, { recursive: true, force: true });
+            }
+        },
+
+        async publish(repoName, files, { isRevision = false, prune = false } = {}) {
+            const remote = remoteFor(repoName);
+            console.log(`Starting git publish for ${repoName} to ${remote}. Revision: ${isRevision}`);
+            await ensureBareRepo(remote);
+
+            const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-'));
+            try {
+                // Build on top of the existing branch when there is one
+                await checkout(remote, workDir);
+
+                if (prune) {
+                    const keep = new Set(files.map(f => f.path));
+                    const removed = (await git(['ls-files', '-z'], workDir)).split('\0')
+                        .filter(p => p && !keep.has(p) && !p.startsWith('.github/'));
+                    if (removed.length) {
+                        console.log(`Removing files no longer generated: ${removed.join(', ')}`);
+                        await git(['rm', '--quiet', '--', ...removed], workDir);
+                    }
+                }
+
+                await writeFiles(workDir, files);
+                await git(['add', '-A'], workDir);
+
+                const changes = await git(['status', '--porcelain'], workDir);
+                if (changes) {
+                    await git([...GIT_IDENTITY, 'commit', '--quiet', '-m', `${isRevision ? 'Revise' : 'Initial'} commit: ${files.map(f => f.path).join(', ')}`], workDir);
+                    await git(['push', '--quiet', 'origin', `HEAD:refs/heads/${GIT_PUBLISH_BRANCH}`], workDir);
+                } else {
+                    console.log('No changes to commit; publishing the existing head.');
+                }
+
+                const commitSha = await git(['rev-parse', 'HEAD'], workDir);
+                console.log(`Pushed ${repoName} at commit ${commitSha}`);
+                return {
+                    repo_url: remote,
+                    commit_sha: commitSha,
+                    pages_url: this.pagesUrl(repoName),
+                };
+            } finally {
+                await fs.rm(workDir, { recursive: true, force: true });
+            }
+        },
+    };
+}
@@ -0,0 +1,439 @@
+import { Buffer } from 'buffer';
+import { createHash } from 'crypto';
+import {
+    GITHUB_PAT, GITHUB_USERNAME, GITHUB_API_URL, GITHUB_REPO_TOPIC, GITHUB_WRITE_INTERVAL_MS, GITHUB_RATE_LIMIT_RESERVE,
+    GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS, GITHUB_RATE_LIMIT_RETRIES, GITHUB_LOOKUP_CACHE_SECONDS,
+} from '../config.js';
+import { decodeContent } from './files.js';
+import { createGitHubClient } from './githubClient.js';
+import { logger } from '../logger.js';
+import { metrics } from '../metrics.js';
+
+// One client for every GitHub call, so concurrent tasks share the rate-limit bookkeeping
+const client = createGitHubClient({
+    auth: GITHUB_PAT,
+    baseUrl: GITHUB_API_URL,
+    writeIntervalMs: GITHUB_WRITE_INTERVAL_MS,
+    reserve: GITHUB_RATE_LIMIT_RESERVE,
+    maxWaitSeconds: GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS,
+    retries: GITHUB_RATE_LIMIT_RETRIES,
+});
+export const octokit = client.octokit;
+
+// Pages serves the 'main' branch, so every commit goes there
+const TARGET_BRANCH = 'main';
+// How many times a commit is rebuilt when someone else moved the branch underneath us
+const MAX_REF_RETRIES = 3;
+// Paths never removed when pruning files the LLM dropped
+const PROTECTED_PATHS = [/^\.github\//, /^\.nojekyll$/];
+
+// Lookups of the task repositories, by `<repo>:<kind>`: the repository (`repo`), the head of 'main'
+// (`head`) and tree listings (`tree:<sha>`). A round reads its repository before generating and
+// commits to it afterwards, and the commit reuses what the read found. fetchRepoFiles() always
+// asks GitHub for the head, so a round starts from what is published, and every commit forgets it.
+const lookups = new Map();
+
+/**
+ * Returns a lookup made less than GITHUB_LOOKUP_CACHE_SECONDS ago, or makes it.
+ * @param {string} key - `<repo>:<kind>`.
+ * @param {Function} load - async () => value; failures are not cached.
+ * @returns {Promise<*>} - The value.
+ */
+async function cachedLookup(key, load) {
+    const hit = lookups.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = await load();
+    remember(key, value);
+    return value;
+}
+
+function remember(key, value) {
+    const now = Date.now();
+    for (const [cachedKey, entry] of lookups) {
+        if (entry.expires <= now) lookups.delete(cachedKey);
+    }
+    lookups.set(key, { value, expires: now + GITHUB_LOOKUP_CACHE_SECONDS * 1000 });
+}
+
+function isCached(key) {
+    return lookups.get(key)?.expires > Date.now();
+}
+
+function forgetRepository(repoName) {
+    for (const key of lookups.keys()) {
+        if (key.startsWith(`${repoName}:`)) lookups.delete(key);
+    }
+}
+
+/**
+ * The SHA git (and so GitHub) gives a blob with this content.
+ * @param {string|Buffer} content - The file content.
+ * @returns {string} - The blob SHA.
+ */
+function gitBlobSha(content) {
+    const bytes = Buffer.from(content);
+    return createHash('sha1').update(`blob ${bytes.length}\0`).update(bytes).digest('hex');
+}
+
+/**
+ * Reads the repository's metadata (cached, see cachedLookup).
+ * @param {string} repoName - The name of the repository.
+ * @returns {Promise<object>} - { default_branch }
+ * @throws {Error} - With `status` 404 when the repo doesn't exist.
+ */
+function getRepository(repoName) {
+    return cachedLookup(`${repoName}:repo`, async () => {
+        const { data } = await octokit.rest.repos.get({ owner: GITHUB_USERNAME, repo: repoName });
+        return { default_branch: data.default_branch };
+    });
+}
+
+/**
+ * Creates the repository, treating "already exists" as success.
+ * The repo is auto-initialised so the Git Data API has a branch to build on, and tagged with
+ * GITHUB_REPO_TOPIC so repository management can tell it from the account's other repos.
+ * @param {string} repoName - The name of the repository.
+ */
+async function ensureRepository(repoName) {
+    // Created or read earlier in this task, e.g. by the attempt before a rate-limit deferral
+    if (isCached(`${repoName}:repo`)) return;
+    console.log("Creating new repository...");
+    try {
+        const { data } = await octokit.rest.repos.createForAuthenticatedUser({
+            name: repoName,
+            private: false,
+            auto_init: true,
+        });
+        console.log("Repository created.");
+        forgetRepository(repoName);
+        remember(`${repoName}:repo`, { default_branch: data.default_branch });
+        try {
+            await octokit.rest.repos.replaceAllTopics({ owner: GITHUB_USERNAME, repo: repoName, names: [GITHUB_REPO_TOPIC] });
+        } catch (topicErr) {
+            console.warn(`Could not add the topic ${GITHUB_REPO_TOPIC} to ${repoName}; repository management won't list it: ${topicErr.message}`);
+        }
+    } catch (err) {
+        // If the repo already exists, continue and treat this as a create-once scenario
+        const isAlreadyExists = err && (err.status === 422) && (
+            err.response?.data?.message?.includes('name already exists') ||
+            Array.isArray(err.response?.data?.errors) && err.response.data.errors.some(e => (e.message || '').includes('already exists') || e.field === 'name')
+        );
+        if (isAlreadyExists) {
+            console.warn(`Repository ${repoName} already exists for user ${GITHUB_USERNAME}; continuing as update.`);
+        } else {
+            throw err;
+        }
+    }
+}
+
+/**
+ * Reads the tip of 'main' (cached, see cachedLookup).
+ * @param {string} repoName - The name of the repository.
+ * @param {object} [options]
+ * @param {boolean} [options.fresh=false] - Ask GitHub even when the head is cached.
+ * @returns {Promise<object>} - { commit, tree }: the SHAs of the head commit and its tree.
+ * @throws {Error} - With `status` 404 when the repo or branch doesn't exist, 409 when the repo is empty.
+ */
+function readHead(repoName, { fresh = false } = {}) {
+    if (fresh) lookups.delete(`${repoName}:head`);
+    return cachedLookup(`${repoName}:head`, async () => {
+        const owner = GITHUB_USERNAME;
+        const { data: ref } = await octokit.rest.git.getRef({ owner, repo: repoName, ref: `heads/${TARGET_BRANCH}` });
+        const { data: commit } = await octokit.rest.git.getCommit({ owner, repo: repoName, commit_sha: ref.object.sha });
+        return { commit: ref.object.sha, tree: commit.tree.sha };
+    });
+}
+
+/**
+ * Lists the blobs of a tree, recursively (cached, see cachedLookup; a tree never changes).
+ * @param {string} repoName - The name of the repository.
+ * @param {string} treeSha - The tree.
+ * @returns {Promise<object>} - { entries: [{ path, sha, mode }], truncated }; a truncated listing misses some files.
+ */
+function readTree(repoName, treeSha) {
+    return cachedLookup(`${repoName}:tree:${treeSha}`, async () => {
+        const { data } = await octokit.rest.git.getTree({ owner: GITHUB_USERNAME, repo: repoName, tree_sha: treeSha, recursive: 'true' });
+        const entries = data.tree.filter(e => e.type === 'blob').map(({ path, sha, mode }) => ({ path, sha, mode }));
+        return { entries, truncated: data.truncated };
+    });
+}
+
+/**
+ * Returns the tip of 'main', creating the branch from the default branch when needed.
+ * An empty repository (no commits at all) is bootstrapped with a placeholder README so
+ * there is a commit to build the tree on.
+ * @param {string} repoName - The name of the repository.
+ * @returns {Promise<object>} - { commit, tree }: the SHAs of the commit 'main' points to and its tree.
+ */
+async function getMainHead(repoName) {
+    const owner = GITHUB_USERNAME;
+    try {
+        return await readHead(repoName);
+    } catch (err) {
+        // 409: the repository has no commits yet
+        if (err?.status === 409) {
+            console.log(`Repository ${repoName} is empty; creating an initial commit on '${TARGET_BRANCH}'.`);
+            const { data } = await octokit.rest.repos.createOrUpdateFileContents({
+                owner,
+                repo: repoName,
+                path: 'README.md',
+                branch: TARGET_BRANCH,
+                message: 'Initial commit',
+                content: Buffer.from(`# ${repoName}\n`).toString('base64'),
+            });
+            return { commit: data.commit.sha, tree: data.commit.tree.sha };
+        }
+        if (err?.status !== 404) throw err;
+    }
+
+    // 'main' does not exist: point it at the default branch tip
+    const { default_branch: defaultBranch } = await getRepository(repoName);
+    const { data: defaultRef } = await octokit.rest.git.getRef({ owner, repo: repoName, ref: `heads/${defaultBranch}` });
+    const sha = defaultRef.object.sha;
+    const { data: commit } = await octokit.rest.git.getCommit({ owner, repo: repoName, commit_sha: sha });
+    await octokit.rest.git.createRef({ owner, repo: repoName, ref: `refs/heads/${TARGET_BRANCH}`, sha });
+    console.log(`Created branch '${TARGET_BRANCH}' pointing to ${defaultBranch} commit ${sha}`);
+    return { commit: sha, tree: commit.tree.sha };
+}
+
+/**
+ * Uploads files as blobs, recording the SHA of each in `uploaded`.
+ * @param {string} repoName - The name of the repository.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @param {Map} uploaded - path => blob SHA; filled in.
+ */
+async function createBlobs(repoName, files, uploaded) {
+    for (const file of files) {
+        const started = Date.now();
+        const content = Buffer.from(file.content);
+        const { data } = await octokit.rest.git.createBlob({
+            owner: GITHUB_USERNAME,
+            repo: repoName,
+            content: content.toString('base64'),
+            encoding: 'base64',
+        });
+        const durationMs = Date.now() - started;
+        metrics.publishFileDuration.observe({ publisher: 'github' }, durationMs / 1000);
+        logger.debug(`Uploaded ${file.path}`, { path: file.path, bytes: content.length, duration_ms: durationMs });
+        uploaded.set(file.path, data.sha);
+    }
+}
+
+/**
+ * Lists blob paths in a tree that are missing from the new file set, i.e. files to delete.
+ * @param {string} repoName - The name of the repository.
+ * @param {object} baseTree - The base tree, from readTree().
+ * @param {object[]} files - The new file set.
+ * @returns {string[]} - Paths to remove.
+ */
+function findRemovedPaths(repoName, baseTree, files) {
+    if (baseTree.truncated) {
+        console.warn(`Tree for ${repoName} is too large to list completely; not pruning removed files.`);
+        return [];
+    }
+    const keep = new Set(files.map(f => f.path));
+    return baseTree.entries
+        .filter(entry => !keep.has(entry.path))
+        .filter(entry => !PROTECTED_PATHS.some(re => re.test(entry.path)))
+        .map(entry => entry.path);
+}
+
+/**
+ * Pushes files to a new or existing GitHub repository as one atomic commit on 'main':
+ * blobs are created for the files whose content changed, a tree is built on the current head's
+ * tree, and the branch is fast-forwarded to the new commit. If the branch moves in the meantime
+ * the commit is rebuilt on the new head (up to MAX_REF_RETRIES times).
+ * @param {string} repoName - The name of the repository.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @param {boolean} isRevision - Whether this is an update to an existing repo.
+ * @param {object} [options]
+ * @param {boolean} [options.prune=false] - Delete files in the repo that are not in `files`.
+ * @returns {Promise<object>} - An object with repo_url, commit_sha, and pages_url.
+ */
+export async function pushToGitHub(repoName, files, isRevision = false, { prune = false } = {}) {
+    console.log(`Starting GitHub process for repo: ${repoName}. Revision: ${isRevision}`);
+    const owner = GITHUB_USERNAME;
+
+    if (!isRevision) {
+        await ensureRepository(repoName);
+    }
+
+    const started = Date.now();
+    // Blobs are content-addressed: a file the base tree already has with the same content isn't
+    // uploaded, and one uploaded before a ref conflict isn't uploaded again
+    const contentShas = new Map(files.map(f => [f.path, gitBlobSha(f.content)]));
+    const uploaded = new Map();
+    let commitSha;
+
+    for (let attempt = 1; ; attempt++) {
+        const head = await getMainHead(repoName);
+        const baseTree = await readTree(repoName, head.tree);
+        const existing = new Map(baseTree.entries.map(entry => [entry.path, entry.sha]));
+        const changed = files.filter(f => existing.get(f.path) !== contentShas.get(f.path));
+        const toUpload = changed.filter(f => !uploaded.has(f.path));
+        if (toUpload.length) {
+            await createBlobs(repoName, toUpload, uploaded);
+            logger.info(`Uploaded ${toUpload.length} changed file(s) of ${files.length} to ${repoName}`, { files: toUpload.length, duration_ms: Date.now() - started });
+        }
+
+        const treeEntries = changed.map(f => ({ path: f.path, mode: '100644', type: 'blob', sha: uploaded.get(f.path) }));
+        if (prune) {
+            const removed = findRemovedPaths(repoName, baseTree, files);
+            if (removed.length) console.log(`Removing files no longer generated: ${removed.join(', ')}`);
+            // A null sha deletes the path from the base tree
+            for (const removedPath of removed) treeEntries.push({ path: removedPath, mode: '100644', type: 'blob', sha: null });
+        }
+        if (!treeEntries.length) {
+            console.log(`No changes to commit; '${TARGET_BRANCH}' already matches the generated files.`);
+            commitSha = head.commit;
+            break;
+        }
+
+        const { data: tree } = await octokit.rest.git.createTree({ owner, repo: repoName, base_tree: head.tree, tree: treeEntries });
+        if (tree.sha === head.tree) {
+            console.log(`No changes to commit; '${TARGET_BRANCH}' already matches the generated files.`);
+            commitSha = head.commit;
+            break;
+        }
+
+        const { data: commit } = await octokit.rest.git.createCommit({
+            owner,
+            repo: repoName,
+            message: `${isRevision ? 'Revise' : 'Initial'} commit: ${files.map(f => f.path).join(', ')}`,
+            tree: tree.sha,
+            parents: [head.commit],
+        });
+
+        try {
+            await octokit.rest.git.updateRef({ owner, repo: repoName, ref: `heads/${TARGET_BRANCH}`, sha: commit.sha, force: false });
+            commitSha = commit.sha;
+            break;
+        } catch (err) {
+            // 422 "Update is not a fast forward": the branch moved since we read it
+            if (err?.status === 422 && attempt < MAX_REF_RETRIES) {
+                console.warn(`'${TARGET_BRANCH}' moved while committing to ${repoName}; retrying (${attempt}/${MAX_REF_RETRIES})...`);
+                metrics.retries.inc({ kind: 'ref_conflict' });
+                lookups.delete(`${repoName}:head`);
+                continue;
+            }
+            throw err;
+        }
+    }
+    logger.info(`Committed ${files.length} file(s) to ${repoName} with commit SHA ${commitSha}`, { commit_sha: commitSha, duration_ms: Date.now() - started });
+    // The next publish reads the head this one left
+    lookups.delete(`${repoName}:head`);
+
+    if (!isRevision) {
+        try {
+            console.log("Enabling GitHub Pages...");
+            await octokit.rest.repos.createPagesSite({
+                owner: GITHUB_USERNAME,
+                repo: repoName,
+                source: { branch: TARGET_BRANCH, path: '/' },
+            });
+            console.log("GitHub Pages enabled.");
+        } catch (pgErr) {
+            console.warn(`Could not enable GitHub Pages automatically: ${pgErr.message}`);
+        }
+    }
+
+    return {
+        repo_url: `https://github.com/${GITHUB_USERNAME}/${repoName}`,
+        commit_sha: commitSha,
+        pages_url: `https://${GITHUB_USERNAME}.github.io/${repoName}/`,
+    };
+}
+
+/**
+ * Reports the Pages site and its latest build, for the deployment verifier (lib/deploy.js).
+ * @param {string} repoName - The name of the repository.
+ * @returns {Promise<object>} - { build: { status, commit, error } | null, url }; build is null before the first build.
+ */
+export async function getPagesStatus(repoName) {
+    const owner = GITHUB_USERNAME;
+    const { data: site } = await octokit.rest.repos.getPages({ owner, repo: repoName });
+    let build = null;
+    try {
+        const { data } = await octokit.rest.repos.getLatestPagesBuild({ owner, repo: repoName });
+        build = { status: data.status, commit: data.commit, error: data.error?.message || null };
+    } catch (err) {
+        if (err?.status !== 404) throw err;
+    }
+    return { build, url: site.html_url || null };
+}
+
+/**
+ * Reads the files currently on 'main' of a task repository.
+ * @param {string} repoName - The name of the repository.
+ * @returns {Promise<object[]>} - Array of file objects { path, content }; empty when the repo or branch doesn't exist.
+ */
+export async function fetchRepoFiles(repoName) {
+    const owner = GITHUB_USERNAME;
+    let head;
+    try {
+        head = await readHead(repoName, { fresh: true });
+    } catch (err) {
+        // 404: no repo or branch, 409: empty repo
+        if (err?.status === 404 || err?.status === 409) return [];
+        throw err;
+    }
+
+    const tree = await readTree(repoName, head.tree);
+    if (tree.truncated) console.warn(`Tree for ${repoName} is too large to list completely; some files are not read.`);
+
+    const files = [];
+    for (const entry of tree.entries) {
+        const { data: blob } = await octokit.rest.git.getBlob({ owner, repo: repoName, file_sha: entry.sha });
+        files.push({ path: entry.path, content: decodeContent(entry.path, Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8')) });
+    }
+    console.log(`Read ${files.length} file(s) from ${repoName}@${head.commit}`);
+    return files;
+}
+
+/**
+ * Manages the task repositories: the repos of GITHUB_USERNAME that carry GITHUB_REPO_TOPIC.
+ * Deleting needs a token with the delete_repo scope.
+ */
+const repositories = {
+    /**
+     * @returns {Promise<object[]>} - { name, url, created_at, pushed_at, archived, pages } per task repository.
+     */
+    async list() {
+        const repos = await octokit.paginate(octokit.rest.repos.listForAuthenticatedUser, { affiliation: 'owner', per_page: 100 });
+        return repos
+            .filter(r => r.owner?.login?.toLowerCase() === GITHUB_USERNAME?.toLowerCase() && r.topics?.includes(GITHUB_REPO_TOPIC))
+            .map(r => ({ name: r.name, url: r.html_url, created_at: r.created_at, pushed_at: r.pushed_at, archived: r.archived, pages: r.has_pages }));
+    },
+    archive: (repoName) => octokit.rest.repos.update({ owner: GITHUB_USERNAME, repo: repoName, archived: true }),
+    disablePages: (repoName) => octokit.rest.repos.deletePagesSite({ owner: GITHUB_USERNAME, repo: repoName }),
+    async remove(repoName) {
+        await octokit.rest.repos.delete({ owner: GITHUB_USERNAME, repo: repoName });
+        forgetRepository(repoName);
+    },
+    async transfer(repoName, newOwner) {
+        await octokit.rest.repos.transfer({ owner: GITHUB_USERNAME, repo: repoName, new_owner: newOwner });
+        forgetRepository(repoName);
+    },
+};
+
+/**
+ * Creates the GitHub publisher: one public repo per task under GITHUB_USERNAME, served by GitHub Pages.
+ * @returns {object} - A publisher (see lib/publishers/index.js).
+ */
+export function createGitHubPublisher() {
+    return {
+        name: 'github',
+        repoUrl: (repoName) => `https://github.com/${GITHUB_USERNAME}/${repoName}`,
+        pagesUrl: (repoName) => `https://${GITHUB_USERNAME}.github.io/${repoName}/`,
+        fetchFiles: fetchRepoFiles,
+        pagesStatus: getPagesStatus,
+        repositories,
+        // /rate_limit does not count against the rate limit
+        async healthCheck() {
+            const { data } = await octokit.request('GET /rate_limit');
+            return { rate_limit_remaining: data.resources.core.remaining, rate_limit_reset: new Date(data.resources.core.reset * 1000).toISOString() };
+        },
+        rateLimit: client.rateLimit,
+        publish: (repoName, files, { isRevision = false, prune = false } = {}) => pushToGitHub(repoName, files, isRevision, { prune }),
+    };
+}
@@ -0,0 +1,205 @@
+import { Octokit } from 'octokit';
+import { logger } from '../logger.js';
+import { metrics } from '../metrics.js';
+
+/**
+ * The GitHub API client every GitHub call goes through, so concurrent tasks share one view of the
+ * token's quota:
+ *   - the x-ratelimit-* headers of every response are recorded per resource (core, search, ...), and
+ *     a request that would dip into the reserve waits for the window to reset
+ *   - rate-limited responses (429, or 403 from the primary or a secondary limit) are retried after
+ *     retry-after or x-ratelimit-reset, and no other request is sent before then
+ *   - requests that create or change content (POST, PATCH, PUT, DELETE) are sent one at a time, at
+ *     least `writeIntervalMs` apart, as GitHub asks of integrators
+ * A wait longer than `maxWaitSeconds` is not waited out: the request fails with a rate-limit error
+ * carrying `retryAt`, which the job queue turns into a deferred job (lib/jobQueue.js).
+ *
+ * Octokit's own throttling is turned off (it retries once and ignores 429), and its retry plugin is
+ * left to retry server errors only.
+ */
+
+const WRITE_METHODS = new Set(['POST', 'PATCH', 'PUT', 'DELETE']);
+// Routes that don't count against the rate limit; they are never held back
+const UNCOUNTED_ROUTES = new Set(['/rate_limit']);
+// Statuses the retry plugin leaves alone: rate limits are handled here, and 409 is how an empty
+// repository answers ref lookups
+const DO_NOT_RETRY = [400, 401, 403, 404, 409, 422, 429, 451];
+// How long to back off after a secondary rate limit that names no time (GitHub asks for at least a minute)
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The quota a route is counted against.
+ */
+function resourceOf(route) {
+    if (route.startsWith('/search/')) return 'search';
+    if (route === '/graphql') return 'graphql';
+    return 'core';
+}
+
+/**
+ * Reads the x-ratelimit-* headers of a response.
+ * @returns {object|null} - { resource, limit, remaining, used, reset (epoch ms) }, or null without them.
+ */
+function readRateLimit(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return null;
+    return {
+        resource: headers['x-ratelimit-resource'] ?? 'core',
+        limit: Number(headers['x-ratelimit-limit']),
+        remaining: Number(headers['x-ratelimit-remaining']),
+        used: Number(headers['x-ratelimit-used']),
+        reset: Number(headers['x-ratelimit-reset']) * 1000,
+    };
+}
+
+/**
+ * How long a failed request asks us to wait, when it failed on a rate limit.
+ * @param {Error} err - The error Octokit threw.
+ * @returns {number|null} - Milliseconds to wait, or null when the error is not a rate limit.
+ */
+function rateLimitDelayMs(err) {
+    if (err?.status !== 429 && err?.status !== 403) return null;
+    const headers = err.response?.headers ?? {};
+    const retryAfter = headers['retry-after'];
+    const exhausted = headers['x-ratelimit-remaining'] === '0';
+    const message = err.response?.data?.message ?? err.message ?? '';
+    // Any other 403 is a permission problem
+    if (err.status === 403 && retryAfter === undefined && !exhausted && !/rate limit|abuse/i.test(message)) return null;
+
+    if (retryAfter !== undefined) {
+        // Seconds, or an HTTP date
+        const seconds = Number(retryAfter);
+        return Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - Date.now());
+    }
+    if (exhausted && headers['x-ratelimit-reset']) {
+        // One second past the reset, so the new window has surely started
+        return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+    }
+    return DEFAULT_RETRY_AFTER_SECONDS * 1000;
+}
+
+/**
+ * The error for a request that can't be sent until later.
+ * @param {string} message - Why.
+ * @param {number} retryAt - When it can be sent (epoch ms).
+ * @param {Error} [cause] - The rate-limited response, if there was one.
+ * @returns {Error} - With `rateLimited` true, `retryAt` (ISO timestamp) and `status` 429.
+ */
+function rateLimitError(message, retryAt, cause) {
+    const retryAtIso = new Date(retryAt).toISOString();
+    const err = new Error(`GitHub API rate limited until ${retryAtIso}: ${message}`, cause ? { cause } : undefined);
+    err.status = 429;
+    err.rateLimited = true;
+    err.retryAt = retryAtIso;
+    return err;
+}
+
+/**
+ * Creates the client.
+ * @param {object} options
+ * @param {string} [options.auth] - The token.
+ * @param {string} [options.baseUrl] - The REST API base URL (GitHub Enterprise, or a local mock when testing).
+ * @param {number} [options.writeIntervalMs=1000] - Minimum time between two content-creating requests.
+ * @param {number} [options.reserve=0] - Requests of each quota left unused (e.g. for other tools sharing the token).
+ * @param {number} [options.maxWaitSeconds=60] - Longest wait for a quota or retry-after before giving up with `retryAt`.
+ * @param {number} [options.retries=3] - How many times a rate-limited request is retried.
+ * @returns {object} - { octokit, rateLimit() }
+ */
+export function createGitHubClient({ auth, baseUrl, writeIntervalMs = 1000, reserve = 0, maxWaitSeconds = 60, retries = 3 } = {}) {
+    const octokit = new Octokit({ auth, baseUrl, throttle: { enabled: false }, retry: { doNotRetry: DO_NOT_RETRY } });
+    // Latest x-ratelimit-* values, per resource
+    const limits = new Map();
+    // After a rate-limited response nothing is sent before this (epoch ms)
+    let blockedUntil = 0;
+    let writeChain = Promise.resolve();
+    let lastWriteAt = 0;
+
+    function record(headers) {
+        const limit = readRateLimit(headers);
+        if (limit) limits.set(limit.resource, limit);
+    }
+
+    async function waitUntil(time, reason) {
+        const waitMs = time - Date.now();
+        if (waitMs <= 0) return;
+        if (waitMs > maxWaitSeconds * 1000) throw rateLimitError(reason, time);
+        logger.warn(`GitHub API ${reason}; waiting ${Math.ceil(waitMs / 1000)}s`, { wait_ms: waitMs });
+        await sleep(waitMs);
+    }
+
+    async function checkBudget(resource) {
+        await waitUntil(blockedUntil, 'asked to back off');
+        const limit = limits.get(resource);
+        if (limit && limit.remaining <= reserve && limit.reset > Date.now()) {
+            await waitUntil(limit.reset + 1000, `${resource} quota down to ${limit.remaining} of ${limit.limit}`);
+        }
+    }
+
+    async function send(request, options, resource) {
+        for (let attempt = 1; ; attempt++) {
+            await checkBudget(resource);
+            try {
+                const response = await request(options);
+                record(response.headers);
+                return response;
+            } catch (err) {
+                if (err?.response) record(err.response.headers);
+                const waitMs = rateLimitDelayMs(err);
+                if (waitMs === null) throw err;
+                metrics.githubRateLimited.inc({ resource });
+                const retryAt = Date.now() + waitMs;
+                blockedUntil = Math.max(blockedUntil, retryAt);
+                if (attempt > retries || waitMs > maxWaitSeconds * 1000) {
+                    throw rateLimitError(`${options.method} ${options.url} answered ${err.status}`, retryAt, err);
+                }
+                logger.warn(`GitHub API rate limited ${options.method} ${options.url}; retrying (${attempt}/${retries})`, { status: err.status, wait_ms: waitMs });
+                metrics.retries.inc({ kind: 'rate_limit' });
+            }
+        }
+    }
+
+    /**
+     * Runs content-creating requests one after another, spaced out.
+     */
+    function serializeWrite(fn) {
+        const turn = writeChain.then(async () => {
+            await sleep(lastWriteAt + writeIntervalMs - Date.now());
+            try {
+                return await fn();
+            } finally {
+                lastWriteAt = Date.now();
+            }
+        });
+        writeChain = turn.catch(() => {});
+        return turn;
+    }
+
+    octokit.hook.wrap('request', async (request, options) => {
+        if (UNCOUNTED_ROUTES.has(options.url)) {
+            const response = await request(options);
+            record(response.headers);
+            return response;
+        }
+        const resource = resourceOf(options.url);
+        return WRITE_METHODS.has(options.method)
+            ? serializeWrite(() => send(request, options, resource))
+            : send(request, options, resource);
+    });
+
+    return {
+        octokit,
+
+        /**
+         * The quota as of the latest response.
+         * @returns {object} - { resources: { [resource]: { limit, remaining, used, reset } }, blocked_until }; times are ISO.
+         */
+        rateLimit() {
+            const resources = {};
+            for (const [resource, { limit, remaining, used, reset }] of limits) {
+                resources[resource] = { limit, remaining, used, reset: new Date(reset).toISOString() };
+            }
+            return { resources, blocked_until: blockedUntil > Date.now() ? new Date(blockedUntil).toISOString() : null };
+        },
+    };
+}
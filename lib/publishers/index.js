@@ -0,0 +1,45 @@
+import { createGitHubPublisher } from './github.js';
+import { createLocalPublisher } from './local.js';
+import { createGitPublisher } from './git.js';
+
+/**
+ * A publisher takes the generated file set out of the service. Every implementation returns:
+ * {
+ *   name: string,
+ *   repoUrl(repoName): string,
+ *   pagesUrl(repoName): string|null,
+ *   fetchFiles(repoName): Promise<{ path, content }[]>,
+ *   publish(repoName, files, { isRevision, prune }): Promise<{ repo_url, commit_sha, pages_url }>,
+ *   pagesStatus?(repoName): Promise<{ build: { status, commit, error } | null, url }>,
+ *   healthCheck?(): Promise<object>,
+ *   rateLimit?(): { resources: { [resource]: { limit, remaining, used, reset } }, blocked_until },
+ *   repositories?: { list(), archive(repoName), disablePages(repoName), remove(repoName), transfer(repoName, newOwner) },
+ * }
+ * `fetchFiles` returns the currently published files ([] if none; binary contents are Buffers).
+ * `prune` asks the publisher to delete previously published files that are not in `files`.
+ * `pagesStatus` is only implemented by publishers whose hosting builds the site (GitHub Pages);
+ * the deployment verifier then waits for the build of the published commit.
+ * `healthCheck` resolves with details when the backend is reachable (GET /healthz); publishers
+ * without it are reported as not checked.
+ * `rateLimit` reports the backend's API quota as of its latest response (GitHub: lib/publishers/githubClient.js).
+ * `repositories` manages the repositories the publisher created (lib/repoLifecycle.js); `list`
+ * resolves with { name, url, created_at, pushed_at, archived, pages } per repository.
+ */
+const PUBLISHERS = {
+    github: createGitHubPublisher,
+    local: createLocalPublisher,
+    git: createGitPublisher,
+};
+
+/**
+ * Creates the publisher selected by name (the PUBLISHER env var).
+ * @param {string} name - One of 'github', 'local' or 'git'.
+ * @returns {object} - The publisher.
+ */
+export function createPublisher(name) {
+    const factory = PUBLISHERS[name];
+    if (!factory) {
+        throw new Error(`Unknown publisher "${name}". Expected one of: ${Object.keys(PUBLISHERS).join(', ')}`);
+    }
+    return factory();
+}
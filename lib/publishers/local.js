@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { PUBLIC_BASE_URL, SITES_DIR } from '../config.js';
+import { writeFiles, hashFiles, readFiles } from './files.js';
+
+/**
+ * Creates the local-directory publisher. Each task is written to SITES_DIR/<task>/ and
+ * served by this Express app under /sites/<task>/ (see index.js), so the whole
+ * pipeline can run offline without a GitHub PAT.
+ * @returns {object} - A publisher (see lib/publishers/index.js).
+ */
+export function createLocalPublisher() {
+    const siteDir = (repoName) => path.join(SITES_DIR, repoName);
+
+    return {
+        name: 'local',
+        sitesDir: SITES_DIR,
+        repoUrl: (repoName) => pathToFileURL(siteDir(repoName)).href,
+        pagesUrl: (repoName) => `${PUBLIC_BASE_URL}/sites/${encodeURIComponent(repoName)}/`,
+
+        fetchFiles: (repoName) => readFiles(siteDir(repoName)),
+
+        async healthCheck() {
+            await fs.mkdir(SITES_DIR, { recursive: true });
+            await fs.access(SITES_DIR, fs.constants.W_OK);
+            return { sites_dir: SITES_DIR };
+        },
+
+        async publish(repoName, files, { isRevision = false, prune = false } = {}) {
+            const dir = siteDir(repoName);
+            console.log(`Writing ${files.length} file(s) to ${dir}. Revision: ${isRevision}`);
+            // A first round (or a pruning revision) starts from an empty directory; other revisions overwrite in place
+            if (!isRevision || prune) await fs.rm(dir, { recursive: true, force: true });
+            await writeFiles(dir, files);
+
+            return {
+                repo_url: this.repoUrl(repoName),
+                commit_sha: hashFiles(files),
+                pages_url: this.pagesUrl(repoName),
+            };
+        },
+    };
+}
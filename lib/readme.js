@@ -0,0 +1,210 @@
+import path from 'path';
+import { licenseName } from './licenses.js';
+import { VENDOR_DIR, isVendored } from './assets.js';
+
+/**
+ * The README.md of a generated repo, written from the files actually published: what each
+ * file is for, the libraries and CDNs the pages load, how to run the app and where it is live.
+ * A README the model wrote itself is kept; the one written here carries README_MARKER so later
+ * rounds know they may rewrite it.
+ */
+
+export const README_MARKER = '<!-- Generated from the published files; rewritten on every round. -->';
+
+// Libraries recognized in script/stylesheet URLs, most specific first
+const KNOWN_LIBRARIES = [
+    { name: 'Tailwind CSS', pattern: /tailwind/i },
+    { name: 'Bootstrap Icons', pattern: /bootstrap-icons/i },
+    { name: 'Bootstrap', pattern: /bootstrap/i },
+    { name: 'jQuery', pattern: /jquery/i },
+    { name: 'Chart.js', pattern: /chart\.js|chart\.umd|\/chart(?:\.min)?\.js/i },
+    { name: 'D3', pattern: /\/d3(?:@|\.v\d|\.min|\/|\.js)/i },
+    { name: 'marked', pattern: /\/marked(?:@|\/|\.min|\.js)/i },
+    { name: 'highlight.js', pattern: /highlight(?:\.js)?/i },
+    { name: 'Prism', pattern: /prism/i },
+    { name: 'DOMPurify', pattern: /dompurify|purify(?:\.min)?\.js/i },
+    { name: 'Alpine.js', pattern: /alpinejs/i },
+    { name: 'Vue', pattern: /\/vue(?:@|\/|\.global|\.min|\.js)/i },
+    { name: 'React DOM', pattern: /react-dom/i },
+    { name: 'React', pattern: /\/react(?:@|\/|\.production|\.development)/i },
+    { name: 'Three.js', pattern: /\/three(?:@|\/|\.min|\.module)/i },
+    { name: 'Lodash', pattern: /lodash/i },
+    { name: 'Papa Parse', pattern: /papaparse/i },
+    { name: 'Day.js', pattern: /dayjs/i },
+    { name: 'Moment.js', pattern: /moment(?:@|\/|\.min|\.js)/i },
+    { name: 'Leaflet', pattern: /leaflet/i },
+    { name: 'KaTeX', pattern: /katex/i },
+    { name: 'MathJax', pattern: /mathjax/i },
+    { name: 'Font Awesome', pattern: /font-?awesome/i },
+    { name: 'Google Fonts', pattern: /fonts\.googleapis\.com|fonts\.gstatic\.com/i },
+];
+
+const ROLES_BY_EXTENSION = {
+    '.html': 'Page', '.htm': 'Page',
+    '.css': 'Stylesheet',
+    '.js': 'Script', '.mjs': 'Script (ES module)',
+    '.json': 'Data (JSON)', '.csv': 'Data (CSV)', '.tsv': 'Data (TSV)', '.xml': 'Data (XML)', '.txt': 'Text',
+    '.md': 'Documentation',
+    '.svg': 'Image (SVG)', '.png': 'Image', '.jpg': 'Image', '.jpeg': 'Image', '.gif': 'Image', '.webp': 'Image', '.ico': 'Icon',
+    '.woff': 'Font', '.woff2': 'Font',
+    '.webmanifest': 'Web app manifest',
+};
+
+const ROLES_BY_NAME = {
+    'index.html': 'Entry page: open it in a browser',
+    'LICENSE': 'License text',
+    'REVISIONS.md': 'The brief of every round, oldest first',
+    '.nojekyll': 'Tells GitHub Pages to serve the files as-is',
+    'vendor/tailwind.css': 'Stylesheet compiled from the Tailwind classes the pages use',
+    'vendor/tailwind.config.js': 'Tailwind config `vendor/tailwind.css` is compiled with',
+    'vendor/tailwind.input.css': 'Tailwind input `vendor/tailwind.css` is compiled from',
+};
+
+/**
+ * Tells whether a README was written by createReadme().
+ * @param {string} content - The README content.
+ * @returns {boolean}
+ */
+export function isGeneratedReadme(content) {
+    return typeof content === 'string' && content.startsWith(README_MARKER);
+}
+
+/**
+ * The library a vendored file belongs to (see lib/assets.js): vendor/<package>@<version>/ for npm
+ * packages, vendor/<host>/ for mirrored URLs, or the compiled Tailwind stylesheet.
+ * @param {string} filePath
+ * @returns {string} - The library's directory (with a trailing slash) or file.
+ */
+function vendoredLibrary(filePath) {
+    const parts = filePath.slice(VENDOR_DIR.length + 1).split('/');
+    if (parts.length === 1) return parts[0].startsWith('tailwind.') ? `${VENDOR_DIR}/tailwind.css` : filePath;
+    const depth = parts[0].startsWith('@') ? 2 : 1;
+    return `${VENDOR_DIR}/${parts.slice(0, depth).join('/')}/`;
+}
+
+/**
+ * Describes what each file is for. Vendored libraries are listed once each, not file by file.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @returns {object[]} - { path, role } per file, in path order.
+ */
+export function describeFiles(files) {
+    const pages = files.filter(f => /\.html?$/i.test(f.path) && typeof f.content === 'string');
+    const libraries = new Map();
+    const inLibrary = (file) => isVendored(file.path) && vendoredLibrary(file.path).endsWith('/');
+    for (const file of files.filter(inLibrary)) {
+        const library = vendoredLibrary(file.path);
+        libraries.set(library, (libraries.get(library) ?? 0) + 1);
+    }
+    return files
+        .filter(file => !inLibrary(file))
+        .map(file => {
+            let role = ROLES_BY_NAME[file.path] || ROLES_BY_EXTENSION[path.posix.extname(file.path).toLowerCase()] || 'File';
+            const loadedBy = pages.filter(p => p.path !== file.path && referencesFile(p, file.path)).map(p => p.path);
+            if (loadedBy.length) role += ` (used by ${loadedBy.join(', ')})`;
+            return { path: file.path, role };
+        })
+        .concat([...libraries].map(([library, count]) => ({ path: library, role: `Vendored library (${count} file${count === 1 ? '' : 's'})` })))
+        .sort((a, b) => (b.path === 'index.html') - (a.path === 'index.html') || a.path.localeCompare(b.path));
+}
+
+/**
+ * Whether a page refers to a file by its path, relative to the page.
+ */
+function referencesFile(page, filePath) {
+    const relative = path.posix.relative(path.posix.dirname(page.path), filePath);
+    const escaped = relative.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`["'(=](?:\\./)?${escaped}["')?#\\s]`).test(page.content);
+}
+
+/**
+ * Finds the external scripts, stylesheets and modules the files load, and the libraries vendored
+ * under vendor/.
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @returns {object[]} - { name, url } per distinct URL or vendored library (whose url is its path);
+ *   the name is the library, or the host when unknown.
+ */
+export function detectLibraries(files) {
+    const urls = new Set();
+    const patterns = [
+        /<script\b[^>]*\bsrc\s*=\s*["'](https?:\/\/[^"']+)["']/gi,
+        /<link\b[^>]*\bhref\s*=\s*["'](https?:\/\/[^"']+)["']/gi,
+        /\bimport\s*(?:[^'"]*?\bfrom\s*)?\(?\s*["'](https?:\/\/[^"']+)["']/g,
+        /@import\s+(?:url\()?\s*["']?(https?:\/\/[^"')\s]+)/g,
+    ];
+    const vendored = new Map();
+    for (const file of files) {
+        if (isVendored(file.path)) {
+            const library = vendoredLibrary(file.path);
+            vendored.set(library, [...(vendored.get(library) ?? []), file.path]);
+            continue;
+        }
+        if (typeof file.content !== 'string') continue;
+        for (const pattern of patterns) {
+            for (const m of file.content.matchAll(pattern)) urls.add(m[1]);
+        }
+    }
+    return [...urls].map(url => {
+        const known = KNOWN_LIBRARIES.find(lib => lib.pattern.test(url));
+        let host = url;
+        try {
+            host = new URL(url).host;
+        } catch {
+            // Keep the raw URL as the name
+        }
+        return { name: known ? known.name : host, url };
+    }).concat([...vendored].map(([library, paths]) => {
+        const known = KNOWN_LIBRARIES.find(lib => paths.some(p => lib.pattern.test(p)));
+        const name = known ? known.name : library.slice(VENDOR_DIR.length + 1).replace(/\/$/, '');
+        return { name: `${name} (vendored)`, url: library };
+    }));
+}
+
+/**
+ * Writes the README for a file set.
+ * @param {object} options
+ * @param {string} options.repoName - The name of the repository.
+ * @param {string} options.brief - The app description.
+ * @param {string} [options.pagesUrl] - Where the app is live.
+ * @param {object[]} options.files - The files being published (the README itself is ignored).
+ * @param {string} options.license - SPDX identifier of the LICENSE.
+ * @param {string} [options.explanation] - Markdown for a "How the code works" section.
+ * @returns {string} - The README content.
+ */
+export function createReadme({ repoName, brief, pagesUrl, files, license, explanation }) {
+    const published = files.filter(f => f.path !== 'README.md');
+    const fileRows = describeFiles(published).map(f => `| \`${f.path}\` | ${f.role} |`);
+    const libraries = detectLibraries(published);
+    const fetchesData = published.some(f => typeof f.content === 'string' && /\bfetch\s*\(|XMLHttpRequest|\bimport\s*\(/.test(f.content))
+        || published.some(f => f.path.endsWith('.mjs') || (typeof f.content === 'string' && /<script\b[^>]*type\s*=\s*["']module["']/i.test(f.content)));
+
+    const usage = [
+        '1. No build step or installation is required.',
+        `2. Open the live app${pagesUrl ? ` at ${pagesUrl}` : ''}, or open \`index.html\` from a clone of this repository in a browser.`,
+    ];
+    if (fetchesData) {
+        usage.push('3. The app loads files at runtime, which browsers block on `file://` pages. When running it locally, serve the folder over HTTP, e.g. `python3 -m http.server`, then open http://localhost:8000/.');
+    }
+
+    return `${README_MARKER}
+# ${repoName}
+
+## Summary
+This repository was auto-generated based on the following brief: "${brief}".
+${pagesUrl ? `\nLive app: ${pagesUrl}\n` : ''}
+## Files
+| File | Role |
+| --- | --- |
+${fileRows.join('\n')}
+
+## Libraries and CDNs
+${libraries.length
+        ? libraries.map(lib => `- ${lib.name}: ${lib.url}`).join('\n')
+        : 'None: the app has no external dependencies.'}
+
+## Setup & Usage
+${usage.join('\n')}
+${explanation ? `\n## How the code works\n${explanation.trim()}\n` : ''}
+## License
+This project is licensed under the ${licenseName(license)} (\`${license}\`). See the \`LICENSE\` file for details.
+`;
+}
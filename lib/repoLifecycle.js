@@ -0,0 +1,178 @@
+/**
+ * Cleanup of the repositories tasks leave behind: list them, and archive, disable Pages on, delete
+ * or transfer them in bulk. Only repositories the publisher reports as its own are touched (for
+ * GitHub, those carrying GITHUB_REPO_TOPIC), and tasks with a job in progress are skipped.
+ *
+ * Every bulk action can be previewed: with `dryRun` each repository is reported as `planned` or
+ * `skipped` without anything being changed.
+ *
+ * With `archiveAfterDays` set, repositories created longer ago than that are archived in the
+ * background (the TTL policy).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often the TTL policy looks for repositories to archive
+const TTL_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * What each action does and when it has nothing to do.
+ */
+const ACTIONS = {
+    archive: {
+        skip: (repo) => repo.archived && 'already archived',
+        run: (repositories, repo) => repositories.archive(repo.name),
+    },
+    'disable-pages': {
+        skip: (repo) => (!repo.pages && 'Pages is not enabled') || (repo.archived && 'archived (read-only)'),
+        run: (repositories, repo) => repositories.disablePages(repo.name),
+    },
+    delete: {
+        skip: () => null,
+        run: (repositories, repo) => repositories.remove(repo.name),
+    },
+    transfer: {
+        skip: () => null,
+        run: (repositories, repo, { newOwner }) => repositories.transfer(repo.name, newOwner),
+    },
+};
+
+export const REPO_ACTIONS = Object.freeze(Object.keys(ACTIONS));
+
+/**
+ * An error in how a bulk action was asked for, with the HTTP status to answer with.
+ */
+function requestError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function ageInDays(repo, now = Date.now()) {
+    return (now - Date.parse(repo.created_at)) / DAY_MS;
+}
+
+/**
+ * Creates the repository manager.
+ * @param {object} options
+ * @param {object} options.publisher - A publisher (see lib/publishers/index.js); only those with
+ *   `repositories` can manage them.
+ * @param {Function} [options.isBusy] - (repoName) => boolean, true while a job of the task is in progress.
+ * @param {number} [options.archiveAfterDays=0] - TTL policy: archive repositories older than this (0: off).
+ * @returns {object} - { list, run, start, stop }
+ */
+export function createRepoManager({ publisher, isBusy = () => false, archiveAfterDays = 0 }) {
+    let timer = null;
+
+    function repositories() {
+        if (!publisher.repositories) throw requestError(501, `The ${publisher.name} publisher does not manage repositories`);
+        return publisher.repositories;
+    }
+
+    /**
+     * Lists the task repositories, oldest first.
+     * @param {object} [filter]
+     * @param {number} [filter.olderThanDays] - Only repositories created more than this many days ago.
+     * @returns {Promise<object[]>} - { name, url, created_at, pushed_at, archived, pages, age_days, busy }
+     * @throws {Error} - With `status` 400 for a bad filter, 501 when the publisher has no repositories.
+     */
+    async function list({ olderThanDays } = {}) {
+        if (olderThanDays !== undefined && !(Number.isFinite(olderThanDays) && olderThanDays >= 0)) {
+            throw requestError(400, 'The age must be a number of days');
+        }
+        const source = repositories();
+        const now = Date.now();
+        let repos;
+        try {
+            repos = await source.list();
+        } catch (err) {
+            // Without a status of its own, so the backend's 401 or 404 doesn't become the caller's
+            throw new Error(`Could not list the task repositories: ${err.message}`);
+        }
+        return repos
+            .map(repo => ({ ...repo, age_days: Math.floor(ageInDays(repo, now)), busy: isBusy(repo.name) }))
+            .filter(repo => olderThanDays === undefined || ageInDays(repo, now) > olderThanDays)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    /**
+     * Applies an action to the selected repositories, one at a time.
+     * @param {string} action - One of REPO_ACTIONS.
+     * @param {object} selection - At least one of:
+     * @param {string[]} [selection.names] - These repositories (names the publisher doesn't list are reported as not_found).
+     * @param {boolean} [selection.all] - Every task repository.
+     * @param {number} [selection.olderThanDays] - Only repositories created more than this many days ago.
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Only report what would be done.
+     * @param {string} [options.newOwner] - The user or organisation to transfer to (transfer only).
+     * @returns {Promise<object>} - { action, dry_run, results: [{ name, outcome, reason?, error? }], failed }; outcomes
+     *   are done, planned (dry run), skipped, not_found and failed.
+     * @throws {Error} - With `status` 400 for a bad action or selection, 501 when the publisher has no repositories.
+     */
+    async function run(action, { names, all = false, olderThanDays } = {}, { dryRun = false, newOwner } = {}) {
+        const handler = ACTIONS[action];
+        if (!handler) throw requestError(400, `Unknown action "${action}". Expected one of: ${REPO_ACTIONS.join(', ')}`);
+        if (!names?.length && !all && olderThanDays === undefined) {
+            throw requestError(400, 'Name the repositories, or select all of them or those over an age');
+        }
+        if (action === 'transfer' && !newOwner) throw requestError(400, 'transfer needs the new owner');
+
+        const repos = await list({ olderThanDays });
+        const byName = new Map(repos.map(repo => [repo.name, repo]));
+        const selected = names?.length ? names.map(name => byName.get(name) ?? { name, missing: true }) : repos;
+        const results = [];
+        for (const repo of selected) {
+            if (repo.missing) {
+                results.push({ name: repo.name, outcome: 'not_found', reason: olderThanDays === undefined ? 'not a task repository' : 'not a task repository, or not old enough' });
+                continue;
+            }
+            const reason = repo.busy ? 'a job of this task is in progress' : handler.skip(repo);
+            if (reason) {
+                results.push({ name: repo.name, outcome: 'skipped', reason });
+                continue;
+            }
+            if (dryRun) {
+                results.push({ name: repo.name, outcome: 'planned' });
+                continue;
+            }
+            try {
+                await handler.run(repositories(), repo, { newOwner });
+                console.log(`Repository ${repo.name}: ${action} done`);
+                results.push({ name: repo.name, outcome: 'done' });
+            } catch (err) {
+                console.error(`Repository ${repo.name}: ${action} failed: ${err.message}`);
+                results.push({ name: repo.name, outcome: 'failed', error: err.message });
+            }
+        }
+        return { action, dry_run: dryRun, ...(newOwner ? { new_owner: newOwner } : {}), results, failed: results.filter(r => r.outcome === 'failed').length };
+    }
+
+    async function applyTtl() {
+        try {
+            const { results } = await run('archive', { olderThanDays: archiveAfterDays });
+            const archived = results.filter(r => r.outcome === 'done').length;
+            if (archived) console.log(`Archived ${archived} task repositor${archived === 1 ? 'y' : 'ies'} older than ${archiveAfterDays} day(s).`);
+        } catch (err) {
+            console.error(`Could not apply the repository TTL policy: ${err.message}`);
+        }
+    }
+
+    return {
+        list,
+        run,
+
+        /**
+         * Starts the TTL policy (a no-op without archiveAfterDays or repository support).
+         */
+        start() {
+            if (timer || !archiveAfterDays || !publisher.repositories) return;
+            applyTtl();
+            timer = setInterval(applyTtl, TTL_CHECK_INTERVAL_MS);
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+    };
+}
@@ -0,0 +1,142 @@
+import { normalizeChecks } from './checks.js';
+import { parseAttachments } from './attachments.js';
+import { normalizeLicense } from './licenses.js';
+import { normalizeEvaluationUrl } from './notifications.js';
+
+/**
+ * The body of POST /api-endpoint. Each field has a validator that returns the normalized value
+ * or throws with what is wrong; every field is checked so one response lists all problems.
+ * Fields not declared here (e.g. `secret`, read by lib/auth.js) are ignored.
+ */
+
+const MAX_BRIEF_LENGTH = 20000;
+// GitHub repository names: letters, digits, '.', '_' and '-', at most 100 characters
+const TASK_NAME_REGEX = /^[A-Za-z0-9._-]+$/;
+const MAX_TASK_LENGTH = 100;
+const MAX_ROUND = 1000;
+const MAX_NONCE_LENGTH = 200;
+// Best-of-N generation: each candidate is a full generation request
+const MAX_CANDIDATES = 5;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Turns any name into a valid repository name: runs of other characters become '-', the result
+ * is lower-cased and trimmed of leading and trailing '-' and '.'.
+ * @param {string} name
+ * @returns {string} - The slug ('' when nothing usable is left).
+ */
+export function slugifyTaskName(name) {
+    return name.trim().toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '')
+        .slice(0, MAX_TASK_LENGTH)
+        .replace(/[-.]+$/, '');
+}
+
+function checkTaskName(task) {
+    if (task.length > MAX_TASK_LENGTH) throw new Error(`must be at most ${MAX_TASK_LENGTH} characters`);
+    if (!TASK_NAME_REGEX.test(task)) throw new Error("may only contain letters, digits, '.', '_' and '-' (it names the repository)");
+    if (task === '.' || task === '..' || task.startsWith('.')) throw new Error("must not start with '.'");
+    if (/\.git$/i.test(task)) throw new Error("must not end with '.git'");
+}
+
+function requireString(value, { required = false, max } = {}) {
+    if (value === undefined || value === null) {
+        if (required) throw new Error('is required');
+        return undefined;
+    }
+    if (typeof value !== 'string') throw new Error('must be a string');
+    if (required && !value.trim()) throw new Error('must not be empty');
+    if (max && value.length > max) throw new Error(`must be at most ${max} characters`);
+    return value;
+}
+
+/**
+ * Field validators: (value, body, options) => normalized value.
+ */
+const FIELDS = {
+    brief: (value) => requireString(value, { required: true, max: MAX_BRIEF_LENGTH }),
+    task: (value, body, { taskNameMode }) => {
+        const task = requireString(value, { required: true }).trim();
+        if (taskNameMode === 'slugify') {
+            const slug = slugifyTaskName(task);
+            if (!slug) throw new Error('has no letters or digits to make a repository name of');
+            checkTaskName(slug);
+            return slug;
+        }
+        checkTaskName(task);
+        return task;
+    },
+    round: (value) => {
+        if (value === undefined || value === null) return 1;
+        const round = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+        if (!Number.isInteger(round) || round < 1 || round > MAX_ROUND) throw new Error(`must be an integer from 1 to ${MAX_ROUND}`);
+        return round;
+    },
+    nonce: (value) => requireString(value, { max: MAX_NONCE_LENGTH }),
+    email: (value) => {
+        const email = requireString(value, { max: 320 });
+        if (email !== undefined && !EMAIL_REGEX.test(email)) throw new Error('must be an email address');
+        return email;
+    },
+    evaluation_url: (value) => {
+        if (value === undefined || value === null || value === '') return undefined;
+        if (typeof value !== 'string') throw new Error('must be a string');
+        try {
+            return normalizeEvaluationUrl(value);
+        } catch {
+            throw new Error('must be an http(s) URL (a Markdown link to one is accepted)');
+        }
+    },
+    checks: (value) => normalizeChecks(value),
+    // Validated here so bad files are rejected up front; the raw list is stored until the worker decodes it (lib/pipeline.js)
+    attachments: (value) => {
+        parseAttachments(value);
+        return value ?? [];
+    },
+    license: (value, body) => normalizeLicense(value, body.copyright_holder),
+    candidates: (value) => {
+        if (value === undefined || value === null) return undefined;
+        const count = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+        if (!Number.isInteger(count) || count < 1 || count > MAX_CANDIDATES) throw new Error(`must be an integer from 1 to ${MAX_CANDIDATES}`);
+        return count;
+    },
+};
+
+/**
+ * Turns a validator error into a field error. Messages from the nested normalizers already
+ * start with their path (e.g. "checks[2].type must be ..."); that path becomes the field.
+ */
+function toFieldError(field, err) {
+    const nested = err.message.match(/^([A-Za-z_]\w*)([\w.[\]]*) (.+)$/s);
+    if (nested && (nested[1] in FIELDS || nested[1] === 'copyright_holder')) {
+        return { field: nested[1] + nested[2], message: nested[3] };
+    }
+    return { field, message: err.message };
+}
+
+/**
+ * Validates and normalizes a task request body.
+ * @param {any} body - The parsed JSON body.
+ * @param {object} [options]
+ * @param {string} [options.taskNameMode='strict'] - 'slugify' turns an invalid task name into a valid one
+ *   instead of rejecting it.
+ * @returns {object} - { value, errors: {field, message}[] }; `value` holds the declared fields only.
+ */
+export function validateTaskRequest(body, { taskNameMode = 'strict' } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value: null, errors: [{ field: '(body)', message: 'must be a JSON object' }] };
+    }
+    const value = {};
+    const errors = [];
+    for (const [field, validate] of Object.entries(FIELDS)) {
+        try {
+            const normalized = validate(body[field], body, { taskNameMode });
+            if (normalized !== undefined) value[field] = normalized;
+        } catch (err) {
+            errors.push(toFieldError(field, err));
+        }
+    }
+    return { value, errors };
+}
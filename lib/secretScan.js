@@ -0,0 +1,128 @@
+/**
+ * Looks for credentials in generated files before they are pushed to a public repo:
+ * - known token formats (GitHub, OpenAI, AWS, JWTs, private keys)
+ * - the values of the service's own secret env vars (GITHUB_PAT, OPENAI_API_KEY, ...)
+ * - long high-entropy strings, which are often keys in formats we don't know
+ * Secrets never appear in findings; only a short masked preview does.
+ */
+
+const TOKEN_PATTERNS = [
+    { type: 'github_token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{50,})\b/g },
+    { type: 'openai_key', regex: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}\b/g },
+    { type: 'aws_access_key_id', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { type: 'aws_secret_access_key', regex: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}/gi },
+    { type: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { type: 'private_key', regex: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z]+ )?PRIVATE KEY-----|$)/g },
+];
+// Candidate strings for the entropy check
+const ENTROPY_CANDIDATE_REGEX = /[A-Za-z0-9+/_=-]{32,}/g;
+// Bits per character above which a candidate counts as random
+const ENTROPY_THRESHOLD = 4.3;
+// Inline data (images, fonts) and subresource-integrity hashes are random but not secret
+const ENTROPY_EXEMPT_PREFIX = /base64,$/;
+const ENTROPY_EXEMPT_VALUE = /^sha(?:256|384|512)-/;
+
+/**
+ * Shannon entropy of a string in bits per character.
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+    const counts = new Map();
+    for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Masks a secret for reports: the first four characters and the length. Nothing of the
+ * service's own secrets is shown.
+ */
+function preview(hit) {
+    if (hit.type === 'service_env_value') return `(${hit.length} chars)`;
+    return `${hit.value.slice(0, 4)}… (${hit.length} chars)`;
+}
+
+/**
+ * Finds secrets in one text.
+ * @param {string} text - The file contents.
+ * @param {object} options
+ * @param {string[]} [options.envValues=[]] - Secret values the service itself holds.
+ * @returns {object[]} - { type, index, length, value, high_entropy } per hit, in order, without overlaps.
+ */
+export function findSecrets(text, { envValues = [] } = {}) {
+    const hits = [];
+    for (const value of envValues) {
+        for (let i = text.indexOf(value); i >= 0; i = text.indexOf(value, i + value.length)) {
+            hits.push({ type: 'service_env_value', index: i, length: value.length, value, high_entropy: false });
+        }
+    }
+    for (const { type, regex } of TOKEN_PATTERNS) {
+        for (const m of text.matchAll(regex)) {
+            hits.push({ type, index: m.index, length: m[0].length, value: m[0], high_entropy: false });
+        }
+    }
+    for (const m of text.matchAll(ENTROPY_CANDIDATE_REGEX)) {
+        const value = m[0];
+        if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) continue;
+        if (ENTROPY_EXEMPT_VALUE.test(value) || ENTROPY_EXEMPT_PREFIX.test(text.slice(Math.max(0, m.index - 8), m.index))) continue;
+        if (shannonEntropy(value) < ENTROPY_THRESHOLD) continue;
+        hits.push({ type: 'high_entropy_string', index: m.index, length: value.length, value, high_entropy: true });
+    }
+
+    // Earlier and more specific hits win over overlapping ones (the entropy check comes last)
+    hits.sort((a, b) => a.index - b.index);
+    const result = [];
+    for (const hit of hits) {
+        const last = result.at(-1);
+        if (last && hit.index < last.index + last.length) {
+            if (last.high_entropy && !hit.high_entropy) result[result.length - 1] = hit;
+            continue;
+        }
+        result.push(hit);
+    }
+    return result;
+}
+
+/**
+ * Scans a file set and redacts what it finds, depending on the mode.
+ * @param {object[]} files - Array of file objects { path, content }; binary contents are skipped.
+ * @param {object} options
+ * @param {string} options.mode - 'redact' replaces secrets with a marker, 'block' leaves the files
+ *   alone (the caller refuses to publish), 'report' only reports.
+ * @param {boolean} [options.enforceHighEntropy=false] - Whether high-entropy strings are redacted or
+ *   block the publish too; otherwise they are only reported.
+ * @param {string[]} [options.envValues=[]] - Secret values the service itself holds.
+ * @returns {object} - { files, findings: {path, line, type, preview, action}[], blocking: boolean }
+ */
+export function scanFiles(files, { mode, enforceHighEntropy = false, envValues = [] }) {
+    const findings = [];
+    let blocking = false;
+    const scanned = files.map(file => {
+        if (typeof file.content !== 'string') return file;
+        const hits = findSecrets(file.content, { envValues });
+        if (!hits.length) return file;
+
+        let content = '';
+        let cursor = 0;
+        let line = 1;
+        for (const hit of hits) {
+            const enforced = mode !== 'report' && (!hit.high_entropy || enforceHighEntropy);
+            const action = !enforced ? 'reported' : (mode === 'redact' ? 'redacted' : 'blocked');
+            for (let i = cursor; i < hit.index; i++) if (file.content.charCodeAt(i) === 10) line++;
+            findings.push({ path: file.path, line, type: hit.type, preview: preview(hit), action });
+            if (action === 'blocked') blocking = true;
+
+            content += file.content.slice(cursor, hit.index) + (action === 'redacted' ? `[REDACTED:${hit.type}]` : hit.value);
+            for (let i = hit.index; i < hit.index + hit.length; i++) if (file.content.charCodeAt(i) === 10) line++;
+            cursor = hit.index + hit.length;
+        }
+        content += file.content.slice(cursor);
+        return { ...file, content };
+    });
+    return { files: scanned, findings, blocking };
+}
@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * A library of scaffold apps in TEMPLATES_DIR, one directory per template:
+ *   templates/csv-viewer/template.json   metadata (see below)
+ *   templates/csv-viewer/index.html      files, with {{PLACEHOLDER}}s
+ * template.json:
+ *   { "name", "title", "description", "keywords": [...], "default": true?,
+ *     "default_fields": [...]?, "placeholders": { "TITLE": "what it is", ... } }
+ * A brief is matched to a template by its keywords (no model involved), so a failed LLM call
+ * still publishes something close to what was asked for, and the same match is offered to
+ * the model as a starting point.
+ */
+
+const METADATA_FILE = 'template.json';
+// Longest title and description taken from the brief
+const MAX_TITLE_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_FIELDS = 12;
+
+// Loaded libraries by directory
+const cache = new Map();
+
+/**
+ * Reads every template in a directory (once; later calls share the result).
+ * @param {string} dir - The templates directory.
+ * @returns {Promise<object[]>} - { name, title, description, keywords, default, default_fields, placeholders, files }
+ */
+export function loadTemplates(dir) {
+    if (!cache.has(dir)) cache.set(dir, readTemplates(dir));
+    return cache.get(dir);
+}
+
+async function readTemplates(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        console.error(`Could not read the templates directory ${dir}: ${err.message}`);
+        return [];
+    }
+    const templates = [];
+    for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const templateDir = path.join(dir, entry.name);
+        try {
+            const meta = JSON.parse(await fs.readFile(path.join(templateDir, METADATA_FILE), 'utf8'));
+            const files = [];
+            for (const file of await listFiles(templateDir)) {
+                if (file === METADATA_FILE) continue;
+                files.push({ path: file, content: await fs.readFile(path.join(templateDir, file), 'utf8') });
+            }
+            if (!files.some(f => f.path === 'index.html')) throw new Error('no index.html');
+            templates.push({
+                name: meta.name || entry.name,
+                title: meta.title || entry.name,
+                description: meta.description || '',
+                keywords: (meta.keywords || []).map(k => k.toLowerCase()),
+                default: meta.default === true,
+                default_fields: meta.default_fields || [],
+                placeholders: meta.placeholders || {},
+                files,
+            });
+        } catch (err) {
+            console.error(`Skipping template ${entry.name}: ${err.message}`);
+        }
+    }
+    console.log(`Loaded ${templates.length} template(s) from ${dir}`);
+    return templates;
+}
+
+async function listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) files.push(...await listFiles(dir, relative));
+        else files.push(relative);
+    }
+    return files;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Picks the template whose keywords best fit the brief. Multi-word keywords count double.
+ * @param {string} brief - The app description.
+ * @param {object[]} templates - From loadTemplates().
+ * @returns {object|null} - { template, score }; the default template with score 0 when nothing matches.
+ */
+export function matchTemplate(brief, templates) {
+    const text = brief.toLowerCase();
+    let best = null;
+    for (const template of templates) {
+        let score = 0;
+        for (const keyword of template.keywords) {
+            const matches = text.match(new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'g'));
+            if (matches) score += matches.length * (/[\s-]/.test(keyword) ? 2 : 1);
+        }
+        if (score > 0 && (!best || score > best.score)) best = { template, score };
+    }
+    if (best) return best;
+    const fallback = templates.find(t => t.default) || templates[0];
+    return fallback ? { template: fallback, score: 0 } : null;
+}
+
+/**
+ * Finds the app's name in the brief: "called X", "named X", "titled X" or a quoted string.
+ */
+function titleFromBrief(brief) {
+    const named = brief.match(/\b(?:called|named|titled)\s+["“']?([^"”'.,;:!?\n]+)/i);
+    const quoted = brief.match(/["“]([^"”\n]{2,})["”]/);
+    const title = (named?.[1] || quoted?.[1] || '').trim();
+    return title && title.length <= MAX_TITLE_LENGTH ? title : null;
+}
+
+/**
+ * Finds field names in the brief: "fields: a, b and c", "columns for a, b, c" or "with a, b and c fields".
+ */
+function fieldsFromBrief(brief) {
+    const match = brief.match(/\bwith\s+([^.\n]+?)\s+(?:fields|columns)\b/i)
+        || brief.match(/\b(?:fields|columns)\s*(?::|for|of|like|such as)?\s+([^.\n]+)/i);
+    if (!match) return null;
+    const fields = match[1].split(/,|\band\b|\bor\b/i)
+        .map(f => f.trim().replace(/^["'“]|["'”]$/g, '').trim())
+        .filter(f => f && f.length <= 40);
+    return fields.length >= 2 ? fields.slice(0, MAX_FIELDS).map(f => f[0].toUpperCase() + f.slice(1)) : null;
+}
+
+function escapeHtml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Fills a template's placeholders from the brief. Placeholders without a value are left empty.
+ * @param {object} template - From loadTemplates().
+ * @param {string} brief - The app description.
+ * @param {object} [options]
+ * @param {string[]} [options.attachmentPaths=[]] - Paths of attached files; the first CSV becomes DATA_FILE.
+ * @returns {object} - { files, values }: the filled files and the placeholder values used.
+ */
+export function fillTemplate(template, brief, { attachmentPaths = [] } = {}) {
+    const title = titleFromBrief(brief) || template.title;
+    const description = brief.split(/\n\s*\n/)[0].trim();
+    const values = {
+        TITLE: title,
+        DESCRIPTION: description.length > MAX_DESCRIPTION_LENGTH ? `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…` : description,
+        FIELDS: fieldsFromBrief(brief) || template.default_fields,
+        STORAGE_KEY: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || template.name,
+        DATA_FILE: attachmentPaths.find(p => /\.csv$/i.test(p)) || '',
+    };
+    // Each placeholder is encoded for where it appears: HTML text, a JS literal or a JS string
+    const encoded = {
+        TITLE: escapeHtml(values.TITLE),
+        DESCRIPTION: escapeHtml(values.DESCRIPTION),
+        FIELDS_JSON: JSON.stringify(values.FIELDS).replace(/</g, '\\u003c'),
+        STORAGE_KEY: values.STORAGE_KEY,
+        DATA_FILE: encodeURI(values.DATA_FILE).replace(/'/g, '%27'),
+    };
+    const files = template.files.map(file => ({
+        path: file.path,
+        content: file.content.replace(/\{\{([A-Z_]+)\}\}/g, (_, name) => encoded[name] ?? ''),
+    }));
+    return { files, values };
+}
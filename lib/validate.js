@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { isVendored } from './assets.js';
+
+const execFileAsync = promisify(execFile);
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Elements whose content is raw text up to the matching closing tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+// Elements whose closing tag HTML lets you omit
+const OPTIONAL_CLOSE_ELEMENTS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'caption', 'rt', 'rp']);
+// Script types that hold JavaScript
+const JS_SCRIPT_TYPES = new Set(['', 'text/javascript', 'application/javascript', 'module']);
+// Attributes that point at other files
+const REFERENCE_ATTRIBUTES = ['src', 'href'];
+
+/**
+ * Returns a function mapping an offset in `text` to its 1-based line number.
+ */
+function lineCounter(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) if (text.charCodeAt(i) === 10) starts.push(i + 1);
+    return (offset) => {
+        let lo = 0, hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return lo + 1;
+    };
+}
+
+/**
+ * Parses the attributes of a start tag body (everything between the tag name and `>`).
+ * @param {string} source - The raw attribute text.
+ * @returns {object} - Lower-cased attribute names to values ('' for bare attributes).
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    const attrRegex = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let m;
+    while ((m = attrRegex.exec(source)) !== null) {
+        attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+    }
+    return attrs;
+}
+
+/**
+ * Tokenizes an HTML document far enough to check tag balance and collect scripts and
+ * file references. This is deliberately stricter than a browser: anything a browser
+ * would silently repair is reported.
+ * @param {string} html - The document.
+ * @returns {object} - { errors: string[], scripts: {attrs, content, line}[], references: {tag, attr, value, line}[] }
+ */
+export function scanHtml(html) {
+    const errors = [];
+    const scripts = [];
+    const references = [];
+    const stack = [];
+    const lineAt = lineCounter(html);
+    let i = 0;
+
+    while (i < html.length) {
+        const lt = html.indexOf('<', i);
+        if (lt < 0) break;
+        i = lt;
+
+        if (html.startsWith('<!--', i)) {
+            const end = html.indexOf('-->', i + 4);
+            if (end < 0) {
+                errors.push(`unclosed comment starting at line ${lineAt(i)}`);
+                break;
+            }
+            i = end + 3;
+            continue;
+        }
+        if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+            const end = html.indexOf('>', i);
+            i = end < 0 ? html.length : end + 1;
+            continue;
+        }
+
+        const tag = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)/.exec(html.slice(i, i + 64));
+        if (!tag) {
+            i++;
+            continue;
+        }
+        const closing = tag[1] === '/';
+        const name = tag[2].toLowerCase();
+        const line = lineAt(i);
+
+        // Find the end of the tag, skipping '>' inside quoted attribute values
+        let j = i + tag[0].length;
+        let quote = null;
+        for (; j < html.length; j++) {
+            const ch = html[j];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '>') {
+                break;
+            }
+        }
+        if (j >= html.length) {
+            errors.push(`<${closing ? '/' : ''}${name}> at line ${line} is never closed with '>' (truncated output?)`);
+            break;
+        }
+        const rawAttrs = html.slice(i + tag[0].length, j);
+        i = j + 1;
+
+        if (closing) {
+            const openIndex = stack.map(e => e.name).lastIndexOf(name);
+            if (openIndex < 0) {
+                errors.push(`unexpected </${name}> at line ${line} with no matching <${name}>`);
+                continue;
+            }
+            for (const unclosed of stack.splice(openIndex + 1)) {
+                if (!OPTIONAL_CLOSE_ELEMENTS.has(unclosed.name)) {
+                    errors.push(`<${unclosed.name}> opened at line ${unclosed.line} is not closed before </${name}> at line ${line}`);
+                }
+            }
+            stack.pop();
+            continue;
+        }
+
+        const attrs = parseAttributes(rawAttrs);
+        for (const attr of REFERENCE_ATTRIBUTES) {
+            if (attrs[attr]) references.push({ tag: name, attr, value: attrs[attr], line });
+        }
+
+        if (VOID_ELEMENTS.has(name) || rawAttrs.trimEnd().endsWith('/')) continue;
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const closeRegex = new RegExp(`</${name}\\s*>`, 'ig');
+            closeRegex.lastIndex = i;
+            const close = closeRegex.exec(html);
+            if (!close) {
+                errors.push(`<${name}> opened at line ${line} is never closed`);
+                break;
+            }
+            if (name === 'script') scripts.push({ attrs, content: html.slice(i, close.index), line });
+            i = close.index + close[0].length;
+            continue;
+        }
+
+        stack.push({ name, line });
+    }
+
+    for (const unclosed of stack) {
+        if (!OPTIONAL_CLOSE_ELEMENTS.has(unclosed.name)) {
+            errors.push(`<${unclosed.name}> opened at line ${unclosed.line} is never closed`);
+        }
+    }
+    return { errors, scripts, references };
+}
+
+/**
+ * Syntax-checks JavaScript without running it. Classic scripts are compiled with vm;
+ * code using import/export is checked as an ES module with `node --check`.
+ * @param {string} code - The source.
+ * @param {boolean} isModule - Whether the code is known to be a module.
+ * @returns {Promise<string|null>} - The syntax error message, or null when it parses.
+ */
+export async function checkJavaScript(code, isModule = false) {
+    if (!isModule) {
+        try {
+            new vm.Script(code);
+            return null;
+        } catch (err) {
+            // Code using import/export is only valid as a module; check it as one
+            if (!/import|export|await/.test(err.message)) return err.message;
+        }
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-check-'));
+    const file = path.join(dir, 'script.mjs');
+    try {
+        await fs.writeFile(file, code);
+        await execFileAsync(process.execPath, ['--check', file], { timeout: 10000 });
+        return null;
+    } catch (err) {
+        // The first line of stderr names the file; the message is the "SyntaxError: ..." line
+        const message = (err.stderr || '').split('\n').find(l => /Error/.test(l));
+        return message ? message.trim().replace(/^SyntaxError:\s*/, '') : err.message;
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Resolves a src/href value against the referencing file. Returns null for anything
+ * that isn't a local file reference (URLs, anchors, data URIs, template expressions).
+ * @param {string} fromPath - The path of the referencing file.
+ * @param {string} value - The attribute value.
+ * @returns {string|null} - The referenced path within the file set.
+ */
+function resolveReference(fromPath, value) {
+    const ref = value.trim();
+    if (!ref || ref.startsWith('#') || ref.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(ref) || /[{}$]/.test(ref)) return null;
+    let clean = ref.split(/[?#]/)[0];
+    try {
+        clean = decodeURIComponent(clean);
+    } catch {
+        // keep the raw value
+    }
+    if (!clean) return null;
+    const base = clean.startsWith('/') ? '' : path.posix.dirname(fromPath);
+    let resolved = path.posix.normalize(path.posix.join(base, clean)).replace(/^\/+/, '');
+    if (clean.endsWith('/') || resolved === '.' || resolved === '') resolved = path.posix.join(resolved === '.' ? '' : resolved, 'index.html');
+    return resolved;
+}
+
+/**
+ * Statically validates a generated file set before it is published:
+ * - every HTML file starts with <!DOCTYPE html>, ends with </html> and has balanced tags
+ * - inline <script> blocks and .js files parse (JSON script blocks must be valid JSON)
+ * - local src/href references point at files in the set
+ * @param {object[]} files - Array of file objects { path, content }.
+ * @returns {Promise<object>} - { passed, errors: string[], checked_files: string[] }
+ */
+export async function validateFiles(files) {
+    const errors = [];
+    const checked = [];
+    const paths = new Set(files.map(f => f.path));
+
+    for (const file of files) {
+        // Vendored copies come from the asset cache as published upstream; the model couldn't fix them anyway
+        if (typeof file.content !== 'string' || isVendored(file.path)) continue;
+        const ext = path.extname(file.path).toLowerCase();
+
+        if (ext === '.html' || ext === '.htm') {
+            checked.push(file.path);
+            const html = file.content;
+            if (!/^\s*<!DOCTYPE html>/i.test(html)) errors.push(`${file.path}: does not start with <!DOCTYPE html>`);
+            if (!/<\/html>\s*$/i.test(html)) errors.push(`${file.path}: does not end with </html> (truncated output?)`);
+
+            const scan = scanHtml(html);
+            errors.push(...scan.errors.map(e => `${file.path}: ${e}`));
+
+            for (const script of scan.scripts) {
+                if (script.attrs.src !== undefined) continue;
+                const type = (script.attrs.type || '').toLowerCase();
+                if (type === 'application/json' || type === 'application/ld+json' || type === 'importmap') {
+                    try {
+                        JSON.parse(script.content);
+                    } catch (err) {
+                        errors.push(`${file.path}: <script type="${type}"> at line ${script.line} is not valid JSON: ${err.message}`);
+                    }
+                    continue;
+                }
+                if (!JS_SCRIPT_TYPES.has(type)) continue;
+                const syntaxError = await checkJavaScript(script.content, type === 'module');
+                if (syntaxError) errors.push(`${file.path}: inline <script> at line ${script.line} has a syntax error: ${syntaxError}`);
+            }
+
+            for (const ref of scan.references) {
+                const target = resolveReference(file.path, ref.value);
+                if (target && !paths.has(target)) {
+                    errors.push(`${file.path}: <${ref.tag} ${ref.attr}="${ref.value}"> at line ${ref.line} points to ${target}, which is not in the generated files`);
+                }
+            }
+        } else if (ext === '.js' || ext === '.mjs') {
+            checked.push(file.path);
+            const syntaxError = await checkJavaScript(file.content, ext === '.mjs');
+            if (syntaxError) errors.push(`${file.path}: syntax error: ${syntaxError}`);
+        }
+    }
+
+    if (!paths.has('index.html')) errors.push('index.html is missing');
+    return { passed: errors.length === 0, errors, checked_files: checked };
+}
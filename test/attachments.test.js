@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createAttachmentStore, parseAttachments } from '../lib/attachments.js';
+
+async function tempStore(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-attachments-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const dataUri = (mime, buffer) => `data:${mime};base64,${Buffer.from(buffer).toString('base64')}`;
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+test('attachments survive a save and load, including one named like the manifest', async (t) => {
+    const attachments = parseAttachments([
+        { name: 'manifest.json', url: dataUri('application/json', '{"name":"my app"}') },
+        { name: 'data.csv', url: 'data:text/csv,a%2Cb%0A1%2C2' },
+        { name: 'logo.png', url: dataUri('image/png', PNG) },
+    ]);
+    const dir = await tempStore(t);
+    await createAttachmentStore(dir).save('app@1', attachments);
+
+    // A fresh store over the same directory stands in for a restart
+    const loaded = await createAttachmentStore(dir).load('app@1');
+    assert.deepEqual(loaded, attachments);
+    assert.equal(loaded[0].content, '{"name":"my app"}');
+    assert.ok(Buffer.isBuffer(loaded[2].content));
+});
+
+test('load returns null for a key with nothing stored, and remove deletes what was', async (t) => {
+    const store = createAttachmentStore(await tempStore(t));
+    assert.equal(await store.load('app@1'), null);
+    await store.save('app@1', parseAttachments([{ name: 'notes.txt', url: 'data:,hello' }]));
+    await store.remove('app@1');
+    assert.equal(await store.load('app@1'), null);
+});
+
+test('sweep keeps only the given keys', async (t) => {
+    const store = createAttachmentStore(await tempStore(t));
+    const notes = parseAttachments([{ name: 'notes.txt', url: 'data:,hello' }]);
+    await store.save('app@1', notes);
+    await store.save('app@2', notes);
+    assert.equal(await store.sweep(['app@2']), 1);
+    assert.equal(await store.load('app@1'), null);
+    assert.deepEqual(await store.load('app@2'), notes);
+});
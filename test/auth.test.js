@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createAuthenticator, signRequest } from '../lib/auth.js';
+
+const SECRET_A = 'secret-of-grader-a-0123456789';
+const SECRET_B = 'secret-of-grader-b-0123456789';
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-auth-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    await fs.writeFile(path.join(dir, 'callers.json'), JSON.stringify({
+        callers: {
+            'grader-a': { secret: SECRET_A, task_prefixes: ['captcha-'] },
+            'grader-b': { secret: SECRET_B, disabled: true },
+        },
+    }));
+    return dir;
+}
+
+function authenticator(dir, options = {}) {
+    return createAuthenticator({
+        callersFile: path.join(dir, 'callers.json'),
+        replayFile: path.join(dir, 'replay-keys.json'),
+        ...options,
+    });
+}
+
+/**
+ * A stand-in for the Express request: headers by lower-case name, the parsed and the raw body.
+ */
+function request(body, headers = {}) {
+    const rawBody = JSON.stringify(body);
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return { body, rawBody, get: (name) => lower[name.toLowerCase()] };
+}
+
+function signed(body, { callerId = 'grader-a', secret = SECRET_A, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const req = request(body);
+    const headers = {
+        'x-caller-id': callerId,
+        'x-timestamp': String(timestamp),
+        'x-signature': signRequest(secret, timestamp, req.rawBody),
+    };
+    return { ...req, get: (name) => headers[name.toLowerCase()] };
+}
+
+const body = (nonce = 'n-1') => ({ task: 'captcha-solver', round: 1, nonce });
+
+test('a correctly signed request is accepted as its caller', async (t) => {
+    const auth = authenticator(await tempDir(t));
+    assert.equal(await auth.authenticate(signed(body())), 'grader-a');
+});
+
+test('a request whose body changed after signing is rejected', async (t) => {
+    const auth = authenticator(await tempDir(t));
+    const req = signed(body());
+    req.rawBody = JSON.stringify({ ...body(), task: 'captcha-other' });
+    await assert.rejects(auth.authenticate(req), { status: 401, message: 'Invalid signature' });
+});
+
+test('a signature made with another secret is rejected', async (t) => {
+    const auth = authenticator(await tempDir(t));
+    await assert.rejects(auth.authenticate(signed(body(), { secret: SECRET_B })), { status: 401, message: 'Invalid signature' });
+});
+
+test('stale and future timestamps are rejected', async (t) => {
+    const auth = authenticator(await tempDir(t), { maxAgeSeconds: 60 });
+    const now = Math.floor(Date.now() / 1000);
+    await assert.rejects(auth.authenticate(signed(body('old'), { timestamp: now - 120 })), { status: 401, message: /outside the allowed window/ });
+    await assert.rejects(auth.authenticate(signed(body('new'), { timestamp: now + 120 })), { status: 401, message: /outside the allowed window/ });
+    assert.equal(await auth.authenticate(signed(body('edge'), { timestamp: now - 30 })), 'grader-a');
+});
+
+test('a replayed request is rejected, also by an authenticator started afterwards', async (t) => {
+    const dir = await tempDir(t);
+    const req = signed(body());
+    assert.equal(await authenticator(dir).authenticate(req), 'grader-a');
+
+    const auth = authenticator(dir);
+    await assert.rejects(auth.authenticate(req), { status: 409 });
+    // The same nonce signed again with a new timestamp is a legitimate retry
+    const retry = signed(body(), { timestamp: Math.floor(Date.now() / 1000) + 1 });
+    assert.equal(await auth.authenticate(retry), 'grader-a');
+});
+
+test('a revoked caller is rejected whether it signs or sends its secret', async (t) => {
+    const auth = authenticator(await tempDir(t));
+    await assert.rejects(auth.authenticate(signed(body(), { callerId: 'grader-b', secret: SECRET_B })), { status: 401 });
+    await assert.rejects(auth.authenticate(request({ ...body(), secret: SECRET_B })), { status: 403 });
+});
+
+test('body secrets are accepted unless signatures are required', async (t) => {
+    const dir = await tempDir(t);
+    const withSecret = request({ ...body(), secret: 'the-shared-secret' });
+    assert.equal(await authenticator(dir, { sharedSecret: 'the-shared-secret' }).authenticate(withSecret), 'shared');
+    assert.equal(await authenticator(dir).authenticate(request({ ...body(), secret: SECRET_A })), 'grader-a');
+    await assert.rejects(authenticator(dir, { sharedSecret: 'the-shared-secret', requireSignature: true }).authenticate(withSecret), { status: 401 });
+});
+
+test('a caller may only submit tasks under its prefixes', async (t) => {
+    const auth = authenticator(await tempDir(t), { sharedSecret: 'the-shared-secret' });
+    await auth.load();
+    assert.doesNotThrow(() => auth.authorizeTask('grader-a', 'captcha-solver'));
+    assert.throws(() => auth.authorizeTask('grader-a', 'markdown-to-html'), { status: 403 });
+    assert.throws(() => auth.authorizeTask('grader-a', 'Captcha-solver'), { status: 403 });
+    // The shared secret has no prefixes
+    assert.doesNotThrow(() => auth.authorizeTask('shared', 'markdown-to-html'));
+});
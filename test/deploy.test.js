@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createDeployVerifier, fingerprintHtml } from '../lib/deploy.js';
+
+const PUBLISHED = '<!doctype html>\n<html><body><h1>New</h1></body></html>\n';
+
+/**
+ * Starts a stand-in for a Pages site that serves `pages` in turn (the last one repeats).
+ * @returns {Promise<object>} - { url, requests, close() }
+ */
+async function startSite(pages) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const { status = 200, body } = pages[Math.min(requests.length, pages.length - 1)];
+        requests.push(req.url);
+        res.writeHead(status, { 'content-type': 'text/html' });
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/app/`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+const verifier = createDeployVerifier({ buildTimeoutMs: 500, liveTimeoutMs: 500, intervalMs: 20 });
+
+test('the site is live once it serves the committed index.html', async () => {
+    const site = await startSite([
+        { status: 404, body: 'Not found' },
+        { body: '<html><body><h1>Old</h1></body></html>' },
+        // Line endings and surrounding whitespace don't matter
+        { body: `  ${PUBLISHED.replace(/\n/g, '\r\n')}` },
+    ]);
+    try {
+        const status = await verifier.verify({ pagesUrl: site.url, commitSha: 'abcdef1234567890', indexFingerprint: fingerprintHtml(PUBLISHED) });
+        assert.equal(status.state, 'live');
+        assert.equal(status.http_status, 200);
+        assert.equal(status.attempts, 3);
+        assert.equal(status.message, null);
+        // Every probe carries the commit, to get past CDN caches
+        assert.ok(site.requests.every(url => url === '/app/?v=abcdef123456'));
+    } finally {
+        await site.close();
+    }
+});
+
+test('a site that keeps serving the old version times out', async () => {
+    const site = await startSite([{ body: '<html><body><h1>Old</h1></body></html>' }]);
+    try {
+        const status = await verifier.verify({ pagesUrl: site.url, commitSha: 'abc', indexFingerprint: fingerprintHtml(PUBLISHED) });
+        assert.equal(status.state, 'live_timeout');
+        assert.match(status.message, /does not match the committed index\.html/);
+        assert.ok(status.attempts > 1);
+    } finally {
+        await site.close();
+    }
+});
+
+test('the Pages build of the commit is waited for before the site', async () => {
+    const site = await startSite([{ body: PUBLISHED }]);
+    const builds = [
+        null,
+        { status: 'built', commit: 'old', error: null },
+        { status: 'building', commit: 'abc', error: null },
+        { status: 'built', commit: 'abc', error: null },
+    ];
+    let polls = 0;
+    const pagesStatus = async () => ({ build: builds[Math.min(polls++, builds.length - 1)], url: site.url });
+    try {
+        const status = await verifier.verify({ pagesUrl: null, commitSha: 'abc', indexFingerprint: fingerprintHtml(PUBLISHED), pagesStatus });
+        assert.equal(status.state, 'live');
+        assert.equal(status.build.commit, 'abc');
+        assert.equal(status.url, site.url);
+        assert.equal(status.attempts, 5);
+        assert.equal(site.requests.length, 1);
+    } finally {
+        await site.close();
+    }
+});
+
+test('a failed Pages build is reported without polling the site', async () => {
+    const pagesStatus = async () => ({ build: { status: 'errored', commit: 'abc', error: 'Page build failed.' }, url: 'http://127.0.0.1:1/' });
+    const status = await verifier.verify({ pagesUrl: null, commitSha: 'abc', pagesStatus });
+    assert.equal(status.state, 'build_errored');
+    assert.equal(status.message, 'Page build failed.');
+    assert.equal(status.http_status, null);
+});
+
+test('no finished build within the timeout is a build_timeout', async () => {
+    const pagesStatus = async () => ({ build: { status: 'building', commit: 'abc', error: null }, url: null });
+    const status = await verifier.verify({ pagesUrl: 'http://127.0.0.1:1/', commitSha: 'abc', pagesStatus });
+    assert.equal(status.state, 'build_timeout');
+    assert.equal(status.build.status, 'building');
+});
+
+test('a publisher without a pages URL is skipped', async () => {
+    const status = await verifier.verify({ pagesUrl: null, commitSha: 'abc' });
+    assert.equal(status.state, 'skipped');
+});
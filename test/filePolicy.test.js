@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilePolicy, normalizeFilePath } from '../lib/filePolicy.js';
+
+const POLICY = {
+    extensions: ['.html', '.css', '.js', '.json', '.png'],
+    maxFileBytes: 100,
+    maxTotalBytes: 250,
+    maxFiles: 10,
+};
+
+const paths = (files) => files.map(f => f.path);
+const reasonFor = (violations, path) => violations.find(v => v.path === path)?.reason;
+
+test('paths are normalized to plain relative paths', () => {
+    assert.equal(normalizeFilePath('./js//app.js'), 'js/app.js');
+    assert.equal(normalizeFilePath('css\\site.css'), 'css/site.css');
+    assert.equal(normalizeFilePath('  index.html '), 'index.html');
+});
+
+test('paths that leave the repo are rejected', () => {
+    assert.throws(() => normalizeFilePath('../index.html'), /'\.\.' segments/);
+    assert.throws(() => normalizeFilePath('js/../../etc/passwd'), /'\.\.' segments/);
+    assert.throws(() => normalizeFilePath('js\\..\\..\\app.js'), /'\.\.' segments/);
+    assert.throws(() => normalizeFilePath('/etc/passwd'), /absolute paths/);
+    assert.throws(() => normalizeFilePath('\\\\server\\share\\app.js'), /absolute paths/);
+    assert.throws(() => normalizeFilePath('C:\\app\\index.html'), /absolute paths/);
+    assert.throws(() => normalizeFilePath('c:index.html'), /absolute paths/);
+    assert.throws(() => normalizeFilePath('./'), /empty path/);
+    assert.throws(() => normalizeFilePath('app\u0000.js'), /characters that are not allowed/);
+});
+
+test('.git and .github are blocked at any depth and in any case', () => {
+    assert.throws(() => normalizeFilePath('.github/workflows/deploy.yml'), /under \.github\//);
+    assert.throws(() => normalizeFilePath('.GitHub/workflows/deploy.yml'), /under \.GitHub\//);
+    assert.throws(() => normalizeFilePath('.git/config'), /under \.git\//);
+    assert.throws(() => normalizeFilePath('src\\.git\\hooks\\pre-commit'), /under \.git\//);
+    assert.equal(normalizeFilePath('docs/.github-notes.json'), 'docs/.github-notes.json');
+});
+
+test('rejected paths and extensions are reported and dropped', () => {
+    const { files, violations } = applyFilePolicy([
+        { path: 'index.html', content: '<h1>Hi</h1>' },
+        { path: '../outside.js', content: '' },
+        { path: '.github/workflows/ci.yml', content: '' },
+        { path: 'run.sh', content: 'rm -rf /' },
+        { path: 'Makefile', content: '' },
+        { path: 'LICENSE', content: 'MIT' },
+    ], POLICY);
+    assert.deepEqual(paths(files), ['index.html', 'LICENSE']);
+    assert.match(reasonFor(violations, '../outside.js'), /'\.\.' segments/);
+    assert.match(reasonFor(violations, '.github/workflows/ci.yml'), /under \.github\//);
+    assert.equal(reasonFor(violations, 'run.sh'), 'extension .sh is not allowed');
+    assert.equal(reasonFor(violations, 'Makefile'), 'extension (none) is not allowed');
+});
+
+test('a path differing from an earlier one only by case is dropped; an exact repeat replaces it', () => {
+    const { files, violations } = applyFilePolicy([
+        { path: 'app.js', content: 'first' },
+        { path: 'App.js', content: 'other' },
+        { path: './app.js', content: 'second' },
+    ], POLICY);
+    assert.deepEqual(files, [{ path: 'app.js', content: 'second' }]);
+    assert.deepEqual(violations, [{ path: 'App.js', reason: 'differs from app.js only by case' }]);
+});
+
+test('the per-file and total size limits are enforced, index.html first', () => {
+    const { files, violations } = applyFilePolicy([
+        { path: 'big.js', content: 'x'.repeat(101) },
+        { path: 'a.js', content: 'a'.repeat(100) },
+        { path: 'b.png', content: Buffer.alloc(100) },
+        { path: 'index.html', content: 'é'.repeat(40) },
+    ], POLICY);
+    // index.html is 80 bytes (two per character), so the second 100-byte file no longer fits
+    assert.deepEqual(paths(files), ['index.html', 'a.js']);
+    assert.equal(reasonFor(violations, 'big.js'), '101 bytes exceeds the per-file limit of 100');
+    assert.equal(reasonFor(violations, 'b.png'), 'would take the total size past 250 bytes');
+});
+
+test('files past the file-count limit are dropped', () => {
+    const many = Array.from({ length: 4 }, (_, i) => ({ path: `part${i}.js`, content: '' }));
+    const { files, violations } = applyFilePolicy(many, { ...POLICY, maxFiles: 3 });
+    assert.deepEqual(paths(files), ['part0.js', 'part1.js', 'part2.js']);
+    assert.deepEqual(violations, [{ path: 'part3.js', reason: 'more than 3 files' }]);
+});
+
+test('trusted paths are kept as they are and not counted', () => {
+    const { files, violations } = applyFilePolicy([
+        { path: 'data.csv', content: 'x'.repeat(500) },
+        { path: 'app.js', content: 'y'.repeat(100) },
+    ], POLICY, { trusted: new Set(['data.csv']) });
+    assert.deepEqual(paths(files), ['data.csv', 'app.js']);
+    assert.deepEqual(violations, []);
+});
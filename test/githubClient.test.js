@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createGitHubClient } from '../lib/publishers/githubClient.js';
+
+/**
+ * Starts a stand-in for the GitHub API that answers with `responses` in turn (the last one repeats).
+ * @returns {Promise<object>} - { baseUrl, hits, close() }
+ */
+async function startApi(responses) {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        const { status, headers = {}, body = {} } = responses[Math.min(hits.length, responses.length - 1)];
+        hits.push({ method: req.method, url: req.url, at: Date.now() });
+        res.writeHead(status, { 'content-type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        hits,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+test('a 429 is retried after retry-after', async () => {
+    const api = await startApi([
+        { status: 429, headers: { 'retry-after': '1' }, body: { message: 'Too many requests' } },
+        { status: 200, body: { name: 'repo' } },
+    ]);
+    try {
+        const { octokit } = createGitHubClient({ auth: 'token', baseUrl: api.baseUrl, writeIntervalMs: 0 });
+        const { data } = await octokit.request('GET /repos/{owner}/{repo}', { owner: 'me', repo: 'repo' });
+        assert.equal(data.name, 'repo');
+        assert.equal(api.hits.length, 2);
+        assert.ok(api.hits[1].at - api.hits[0].at >= 900, 'the retry waited for retry-after');
+    } finally {
+        await api.close();
+    }
+});
+
+test('a secondary rate limit longer than maxWaitSeconds fails with retryAt', async () => {
+    const api = await startApi([
+        { status: 403, headers: { 'retry-after': '120' }, body: { message: 'You have exceeded a secondary rate limit' } },
+    ]);
+    try {
+        const client = createGitHubClient({ auth: 'token', baseUrl: api.baseUrl, writeIntervalMs: 0, maxWaitSeconds: 5 });
+        const before = Date.now();
+        await assert.rejects(client.octokit.request('POST /user/repos', { name: 'repo' }), (err) => {
+            assert.equal(err.status, 429);
+            assert.equal(err.rateLimited, true);
+            const retryAt = Date.parse(err.retryAt);
+            assert.ok(retryAt >= before + 119_000 && retryAt <= Date.now() + 121_000);
+            return true;
+        });
+        assert.equal(api.hits.length, 1);
+        // Nothing else is sent before the limit resets
+        await assert.rejects(client.octokit.request('GET /repos/{owner}/{repo}', { owner: 'me', repo: 'repo' }), { rateLimited: true });
+        assert.equal(api.hits.length, 1);
+        assert.ok(client.rateLimit().blocked_until);
+    } finally {
+        await api.close();
+    }
+});
+
+test('a 403 that is not a rate limit is passed on as it is', async () => {
+    const api = await startApi([{ status: 403, body: { message: 'Resource not accessible by personal access token' } }]);
+    try {
+        const { octokit } = createGitHubClient({ auth: 'token', baseUrl: api.baseUrl, writeIntervalMs: 0 });
+        await assert.rejects(octokit.request('GET /repos/{owner}/{repo}', { owner: 'me', repo: 'repo' }), (err) => {
+            assert.equal(err.status, 403);
+            assert.equal(err.rateLimited, undefined);
+            return true;
+        });
+        assert.equal(api.hits.length, 1);
+    } finally {
+        await api.close();
+    }
+});
+
+test('an exhausted quota is recorded and waited out before the next request', async () => {
+    const reset = Math.ceil(Date.now() / 1000) + 1;
+    const api = await startApi([
+        { status: 200, headers: { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-used': '5000', 'x-ratelimit-reset': String(reset), 'x-ratelimit-resource': 'core' } },
+        { status: 200 },
+    ]);
+    try {
+        const client = createGitHubClient({ auth: 'token', baseUrl: api.baseUrl, writeIntervalMs: 0, maxWaitSeconds: 5 });
+        await client.octokit.request('GET /repos/{owner}/{repo}', { owner: 'me', repo: 'repo' });
+        assert.equal(client.rateLimit().resources.core.remaining, 0);
+        await client.octokit.request('GET /repos/{owner}/{repo}', { owner: 'me', repo: 'repo' });
+        assert.ok(api.hits[1].at >= reset * 1000, 'the second request waited for the reset');
+    } finally {
+        await api.close();
+    }
+});
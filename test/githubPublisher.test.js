@@ -0,0 +1,209 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+
+const blobSha = (content) => {
+    const bytes = Buffer.from(content);
+    return createHash('sha1').update(`blob ${bytes.length}\0`).update(bytes).digest('hex');
+};
+
+/**
+ * A stand-in for the parts of the GitHub REST API the publisher uses, over in-memory repositories.
+ * Every request is counted in `calls` by `<METHOD> <route>`.
+ * @returns {Promise<object>} - { baseUrl, calls, repos, addRepo(name, files, options), push(name, files), close() }
+ */
+async function startApi() {
+    const repos = new Map();
+    const calls = [];
+    let nextId = 1;
+    const newSha = (kind) => `${kind}${String(nextId++).padStart(8, '0')}`;
+
+    function commitTree(repo, baseTree, changes) {
+        const entries = new Map((repo.trees.get(baseTree) ?? []).map(e => [e.path, e]));
+        for (const change of changes) {
+            if (change.sha === null) entries.delete(change.path);
+            else entries.set(change.path, { path: change.path, sha: change.sha, mode: '100644', type: 'blob' });
+        }
+        const sha = newSha('tree');
+        repo.trees.set(sha, [...entries.values()]);
+        return sha;
+    }
+
+    function addRepo(name, files, { defaultBranch = 'main' } = {}) {
+        const repo = { default_branch: defaultBranch, refs: new Map(), commits: new Map(), trees: new Map(), blobs: new Map() };
+        repos.set(name, repo);
+        push(name, files, defaultBranch);
+        return repo;
+    }
+
+    // A push by someone else: moves the branch without the publisher knowing
+    function push(name, files, branch = 'main') {
+        const repo = repos.get(name);
+        const parent = repo.refs.get(branch);
+        const changes = files.map(f => {
+            repo.blobs.set(blobSha(f.content), Buffer.from(f.content));
+            return { path: f.path, sha: blobSha(f.content) };
+        });
+        const sha = newSha('commit');
+        repo.commits.set(sha, { tree: commitTree(repo, parent && repo.commits.get(parent).tree, changes) });
+        repo.refs.set(branch, sha);
+    }
+
+    const routes = [
+        ['POST /user/repos', (body) => {
+            if (repos.has(body.name)) return [422, { message: 'Repository creation failed.', errors: [{ field: 'name', message: 'name already exists on this account' }] }];
+            addRepo(body.name, [{ path: 'README.md', content: `# ${body.name}\n` }]);
+            return [201, { name: body.name, default_branch: 'main' }];
+        }],
+        ['PUT /repos/:owner/:repo/topics', (body) => [200, { names: body.names }]],
+        ['POST /repos/:owner/:repo/pages', () => [201, {}]],
+        ['GET /repos/:owner/:repo', (body, repo) => [200, { default_branch: repo.default_branch }]],
+        ['GET /repos/:owner/:repo/git/ref/heads/:branch', (body, repo, { branch }) => {
+            if (!repo.refs.has(branch)) return [404, { message: 'Not Found' }];
+            return [200, { object: { sha: repo.refs.get(branch) } }];
+        }],
+        ['POST /repos/:owner/:repo/git/refs', (body, repo) => {
+            repo.refs.set(body.ref.replace('refs/heads/', ''), body.sha);
+            return [201, {}];
+        }],
+        ['PATCH /repos/:owner/:repo/git/refs/heads/:branch', (body, repo, { branch }) => {
+            const commit = repo.commits.get(body.sha);
+            if (!commit.parents.includes(repo.refs.get(branch))) return [422, { message: 'Update is not a fast forward' }];
+            repo.refs.set(branch, body.sha);
+            return [200, {}];
+        }],
+        ['GET /repos/:owner/:repo/git/commits/:sha', (body, repo, { sha }) => [200, { sha, tree: { sha: repo.commits.get(sha).tree } }]],
+        ['POST /repos/:owner/:repo/git/commits', (body, repo) => {
+            const sha = newSha('commit');
+            repo.commits.set(sha, { tree: body.tree, parents: body.parents });
+            return [201, { sha }];
+        }],
+        ['GET /repos/:owner/:repo/git/trees/:sha', (body, repo, { sha }) => [200, { sha, tree: repo.trees.get(sha), truncated: false }]],
+        ['POST /repos/:owner/:repo/git/trees', (body, repo) => [201, { sha: commitTree(repo, body.base_tree, body.tree) }]],
+        ['GET /repos/:owner/:repo/git/blobs/:sha', (body, repo, { sha }) => [200, { content: repo.blobs.get(sha).toString('base64'), encoding: 'base64' }]],
+        ['POST /repos/:owner/:repo/git/blobs', (body, repo) => {
+            const content = Buffer.from(body.content, 'base64');
+            repo.blobs.set(blobSha(content), content);
+            return [201, { sha: blobSha(content) }];
+        }],
+    ].map(([route, handle]) => {
+        const [method, pattern] = route.split(' ');
+        const names = [];
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => { names.push(name); return '([^/]+)'; })}$`);
+        return { route, method, regex, names, handle };
+    });
+
+    const server = http.createServer(async (req, res) => {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const match = routes.map(r => ({ r, m: req.method === r.method && r.regex.exec(pathname) })).find(({ m }) => m);
+        let status = 404;
+        let body = { message: 'Not Found' };
+        if (match) {
+            calls.push(match.r.route);
+            const params = Object.fromEntries(match.r.names.map((name, i) => [name, match.m[i + 1]]));
+            const repo = repos.get(params.repo);
+            if (repo || !params.repo) [status, body] = match.r.handle(raw ? JSON.parse(raw) : {}, repo, params);
+        }
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        repos,
+        addRepo,
+        push,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+let api;
+let publisher;
+
+before(async () => {
+    api = await startApi();
+    // Read by lib/config.js when the publisher is first imported
+    process.env.GITHUB_API_URL = api.baseUrl;
+    process.env.GITHUB_PAT = 'test-token';
+    process.env.GITHUB_USERNAME = 'me';
+    process.env.GITHUB_WRITE_INTERVAL_MS = '0';
+    const { createGitHubPublisher } = await import('../lib/publishers/github.js');
+    publisher = createGitHubPublisher();
+});
+
+after(() => api.close());
+
+/**
+ * Counts the requests made by `fn`, by route.
+ */
+async function countCalls(fn) {
+    const start = api.calls.length;
+    await fn();
+    const counts = {};
+    for (const route of api.calls.slice(start)) counts[route] = (counts[route] || 0) + 1;
+    return counts;
+}
+
+const filesOf = (repoName) => {
+    const repo = api.repos.get(repoName);
+    const tree = repo.trees.get(repo.commits.get(repo.refs.get('main')).tree);
+    return Object.fromEntries(tree.map(e => [e.path, repo.blobs.get(e.sha).toString()]));
+};
+
+test('a revision reads the head once, and each commit drops it for the next publish', async () => {
+    api.addRepo('quiz', [{ path: 'index.html', content: '<h1>v1</h1>' }]);
+
+    const read = await countCalls(() => publisher.fetchFiles('quiz'));
+    assert.equal(read['GET /repos/:owner/:repo/git/ref/heads/:branch'], 1);
+    assert.equal(read['GET /repos/:owner/:repo/git/trees/:sha'], 1);
+
+    // The commit after generating reuses the head and tree the read found
+    const first = await countCalls(() => publisher.publish('quiz', [{ path: 'index.html', content: '<h1>v2</h1>' }], { isRevision: true }));
+    assert.equal(first['GET /repos/:owner/:repo/git/ref/heads/:branch'], undefined);
+    assert.equal(first['GET /repos/:owner/:repo/git/commits/:sha'], undefined);
+    assert.equal(first['GET /repos/:owner/:repo/git/trees/:sha'], undefined);
+    assert.equal(first['PATCH /repos/:owner/:repo/git/refs/heads/:branch'], 1);
+
+    // A second publish in the same task builds on the commit just made, not the cached head
+    const second = await countCalls(() => publisher.publish('quiz', [{ path: 'index.html', content: '<h1>v3</h1>' }], { isRevision: true }));
+    assert.equal(second['GET /repos/:owner/:repo/git/ref/heads/:branch'], 1);
+    assert.equal(second['PATCH /repos/:owner/:repo/git/refs/heads/:branch'], 1);
+    assert.deepEqual(filesOf('quiz'), { 'index.html': '<h1>v3</h1>' });
+    assert.equal(api.calls.filter(route => route === 'GET /repos/:owner/:repo').length, 0);
+});
+
+test('a head cached before someone else pushed is read again after the ref conflict', async () => {
+    api.addRepo('board', [{ path: 'index.html', content: '<h1>v1</h1>' }]);
+    await publisher.fetchFiles('board');
+    api.push('board', [{ path: 'notes.txt', content: 'pushed by hand' }]);
+
+    const calls = await countCalls(() => publisher.publish('board', [{ path: 'index.html', content: '<h1>v2</h1>' }], { isRevision: true }));
+    assert.equal(calls['GET /repos/:owner/:repo/git/ref/heads/:branch'], 1);
+    assert.equal(calls['PATCH /repos/:owner/:repo/git/refs/heads/:branch'], 2);
+    assert.deepEqual(filesOf('board'), { 'index.html': '<h1>v2</h1>', 'notes.txt': 'pushed by hand' });
+});
+
+test('a repository is created once and its metadata reused by later publishes of the task', async () => {
+    const files = [{ path: 'index.html', content: '<h1>Timer</h1>' }];
+    const created = await countCalls(() => publisher.publish('timer', files));
+    assert.equal(created['POST /user/repos'], 1);
+
+    // Round 1 again, e.g. after a rate-limit deferral
+    const again = await countCalls(() => publisher.publish('timer', files));
+    assert.equal(again['POST /user/repos'], undefined);
+    assert.equal(again['GET /repos/:owner/:repo'], undefined);
+    assert.deepEqual(filesOf('timer'), { 'README.md': '# timer\n', 'index.html': '<h1>Timer</h1>' });
+});
+
+test('a repository without main is looked up once and main is branched from its default branch', async () => {
+    api.addRepo('legacy', [{ path: 'index.html', content: '<h1>old</h1>' }], { defaultBranch: 'master' });
+
+    const calls = await countCalls(() => publisher.publish('legacy', [{ path: 'index.html', content: '<h1>new</h1>' }], { isRevision: true }));
+    assert.equal(calls['GET /repos/:owner/:repo'], 1);
+    assert.equal(calls['POST /repos/:owner/:repo/git/refs'], 1);
+    assert.deepEqual(filesOf('legacy'), { 'index.html': '<h1>new</h1>' });
+});
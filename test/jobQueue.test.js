@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { JOB_STATES, createJobQueue, createJobStore } from '../lib/jobQueue.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForState(store, id, states, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!states.includes(store.get(id)?.state)) {
+        if (Date.now() > deadline) throw new Error(`${id} is still ${store.get(id)?.state}`);
+        await sleep(10);
+    }
+    return store.get(id);
+}
+
+async function tempStore(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-jobs-'));
+    const store = createJobStore(path.join(dir, 'jobs.json'));
+    t.after(async () => {
+        // The last update may still be on its way to disk
+        await store.flush();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+    return store;
+}
+
+/**
+ * An error as the GitHub client throws it when a rate limit outlasts its wait.
+ */
+function rateLimited(inMs) {
+    const err = new Error('GitHub API rate limited');
+    err.status = 429;
+    err.rateLimited = true;
+    err.retryAt = new Date(Date.now() + inMs).toISOString();
+    return err;
+}
+
+test('a job failing with retryAt is deferred and runs again at that time', async (t) => {
+    const store = await tempStore(t);
+    const runs = [];
+    const queue = createJobQueue({
+        store,
+        worker: async (job) => {
+            runs.push(Date.now());
+            if (runs.length === 1) throw rateLimited(200);
+            return { commit_sha: 'abc' };
+        },
+    });
+
+    const job = await queue.enqueue({ task: 'app', round: 1 });
+    const deferred = await waitForState(store, job.id, [JOB_STATES.DEFERRED]);
+    assert.equal(deferred.deferrals, 1);
+    assert.ok(deferred.last_error.retry_at);
+    // The timer is set once the deferred state is stored
+    await sleep(20);
+    assert.equal(queue.stats().deferred, 1);
+
+    const done = await waitForState(store, job.id, [JOB_STATES.DONE]);
+    assert.equal(done.result.commit_sha, 'abc');
+    assert.equal(done.attempts, 2);
+    assert.ok(runs[1] - runs[0] >= 190, 'the second run waited for retryAt');
+    assert.equal(queue.stats().deferred, 0);
+});
+
+test('a later round of a deferred task waits for it', async (t) => {
+    const store = await tempStore(t);
+    const order = [];
+    let first = true;
+    const queue = createJobQueue({
+        store,
+        worker: async (job) => {
+            order.push(job.round);
+            if (job.round === 1 && first) {
+                first = false;
+                throw rateLimited(150);
+            }
+            return {};
+        },
+    });
+
+    const round1 = await queue.enqueue({ task: 'app', round: 1 });
+    await waitForState(store, round1.id, [JOB_STATES.DEFERRED]);
+    const round2 = await queue.enqueue({ task: 'app', round: 2 });
+    await waitForState(store, round2.id, [JOB_STATES.DONE]);
+    assert.deepEqual(order, [1, 1, 2]);
+});
+
+test('a job that keeps hitting the rate limit fails after maxDeferrals', async (t) => {
+    const store = await tempStore(t);
+    const queue = createJobQueue({ store, maxDeferrals: 1, worker: async () => { throw rateLimited(50); } });
+
+    const job = await queue.enqueue({ task: 'app', round: 1 });
+    const failed = await waitForState(store, job.id, [JOB_STATES.FAILED]);
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.deferrals, 1);
+    assert.match(failed.last_error.message, /rate limited/);
+});
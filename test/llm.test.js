@@ -0,0 +1,87 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let fixturesDir;
+let llm;
+
+before(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-fixtures-'));
+    // Read by lib/config.js when lib/llm.js is first imported
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+    process.env.LLM_TEMPLATE_HINTS = '0';
+    process.env.LLM_MAX_CONTINUATIONS = '2';
+    llm = await import('../lib/llm.js');
+});
+
+after(() => fs.rm(fixturesDir, { recursive: true, force: true }));
+
+beforeEach(async () => {
+    for (const name of await fs.readdir(fixturesDir)) await fs.rm(path.join(fixturesDir, name));
+});
+
+/**
+ * Writes fixtures for the mock provider. The first whose `match` matches the prompt answers, by
+ * file name; a continuation request repeats the original prompt, so its fixture comes first.
+ */
+async function writeFixtures(...fixtures) {
+    for (const [i, fixture] of fixtures.entries()) {
+        await fs.writeFile(path.join(fixturesDir, `${i + 1}.json`), JSON.stringify(fixture));
+    }
+}
+
+test('a FILE block cut off by the token limit is continued where it stopped', async () => {
+    await writeFixtures(
+        { match: 'cut off inside the <<<FILE: index\\.html>>> block', text: 'lo</h1>\n</body></html>\n<<<END_FILE>>>\n<<<FILE: app.js>>>\nconsole.log(1);\n<<<END_FILE>>>\n' },
+        { match: 'A greeting page', text: '<<<FILE: index.html>>>\n<html><body>\n<h1>Hel', finish_reason: 'length' },
+    );
+    const usage = llm.createUsage();
+    const result = await llm.generateAppWithLLM('A greeting page', { usage, fallback: false });
+
+    assert.deepEqual(result.files, [
+        { path: 'index.html', content: '<html><body>\n<h1>Hello</h1>\n</body></html>\n' },
+        { path: 'app.js', content: 'console.log(1);\n' },
+    ]);
+    assert.equal(usage.requests, 2);
+    assert.equal(usage.continuations, 1);
+    assert.deepEqual(usage.finish_reasons, ['length', 'stop']);
+});
+
+test('a continuation that starts the block again replaces the partial copy', async () => {
+    await writeFixtures(
+        { match: 'cut off inside the <<<FILE: index\\.html>>> block', text: '<<<FILE: index.html>>>\n<h1>Complete</h1>\n<<<END_FILE>>>\n' },
+        { match: 'A greeting page', text: '<<<FILE: index.html>>>\n<h1>Compl', finish_reason: 'length' },
+    );
+    const result = await llm.generateAppWithLLM('A greeting page', { fallback: false });
+
+    assert.deepEqual(result.files, [{ path: 'index.html', content: '<h1>Complete</h1>\n' }]);
+});
+
+test('a PATCH block left open is continued and the patch applied', async () => {
+    await writeFixtures(
+        { match: 'cut off inside the <<<PATCH: index\\.html>>> block', text: '+<h1>New</h1>\n </html>\n<<<END_PATCH>>>\n' },
+        { match: 'Rename the heading', text: '<<<PATCH: index.html>>>\n--- a/index.html\n+++ b/index.html\n@@ -1,3 +1,3 @@\n <html>\n-<h1>Old</h1>\n' },
+    );
+    const usage = llm.createUsage();
+    const existing = [{ path: 'index.html', content: '<html>\n<h1>Old</h1>\n</html>\n' }, { path: 'data.csv', content: 'a,b\n' }];
+    const result = await llm.reviseAppWithLLM('Rename the heading', existing, 2, { usage });
+
+    assert.deepEqual(result.changed, ['index.html']);
+    assert.deepEqual(result.files, [{ path: 'index.html', content: '<html>\n<h1>New</h1>\n</html>\n' }, { path: 'data.csv', content: 'a,b\n' }]);
+    assert.equal(usage.continuations, 1);
+});
+
+test('output still open after the allowed continuations fails', async () => {
+    await writeFixtures(
+        { match: 'cut off inside the <<<FILE: index\\.html>>> block', text: '<p>more</p>\n', finish_reason: 'length' },
+        { match: 'A greeting page', text: '<<<FILE: index.html>>>\n<html>\n', finish_reason: 'length' },
+    );
+    await assert.rejects(llm.generateAppWithLLM('A greeting page', { fallback: false }), /stopped inside index\.html after 2 continuation request\(s\)/);
+});
+
+test('a request without a fixture fails like an unreachable provider', async () => {
+    await assert.rejects(llm.generateAppWithLLM('Nothing matches this', { fallback: false }), /No LLM fixture for request [0-9a-f]{16}/);
+});
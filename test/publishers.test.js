@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+let root;
+let createLocalPublisher;
+let createDirectoryPublisher;
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'app-builder-publishers-'));
+    // Read by lib/config.js when the publishers are first imported
+    process.env.SITES_DIR = path.join(root, 'sites');
+    process.env.PUBLIC_BASE_URL = 'http://localhost:4000';
+    ({ createLocalPublisher } = await import('../lib/publishers/local.js'));
+    ({ createDirectoryPublisher } = await import('../lib/publishers/directory.js'));
+});
+
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+const byPath = (files) => Object.fromEntries(files.map(f => [f.path, f.content]));
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+test('the local publisher writes each task to its own site', async () => {
+    const publisher = createLocalPublisher();
+    const result = await publisher.publish('quiz-1', [
+        { path: 'index.html', content: '<h1>Quiz</h1>' },
+        { path: 'img/logo.png', content: PNG },
+    ]);
+
+    assert.equal(result.pages_url, 'http://localhost:4000/sites/quiz-1/');
+    assert.match(result.commit_sha, /^[0-9a-f]{40}$/);
+    assert.equal(await fs.readFile(path.join(root, 'sites', 'quiz-1', 'index.html'), 'utf8'), '<h1>Quiz</h1>');
+
+    const files = byPath(await publisher.fetchFiles('quiz-1'));
+    assert.equal(files['index.html'], '<h1>Quiz</h1>');
+    assert.deepEqual(files['img/logo.png'], PNG);
+    assert.deepEqual(await publisher.fetchFiles('no-such-task'), []);
+});
+
+test('the local publisher keeps files on a revision unless it prunes', async () => {
+    const publisher = createLocalPublisher();
+    await publisher.publish('notes', [{ path: 'index.html', content: 'v1' }, { path: 'old.js', content: 'old' }]);
+
+    const revised = await publisher.publish('notes', [{ path: 'index.html', content: 'v2' }], { isRevision: true });
+    assert.deepEqual(byPath(await publisher.fetchFiles('notes')), { 'index.html': 'v2', 'old.js': 'old' });
+
+    const pruned = await publisher.publish('notes', [{ path: 'index.html', content: 'v3' }], { isRevision: true, prune: true });
+    assert.deepEqual(byPath(await publisher.fetchFiles('notes')), { 'index.html': 'v3' });
+    assert.notEqual(revised.commit_sha, pruned.commit_sha);
+});
+
+test('the same files give the same commit id', async () => {
+    const publisher = createLocalPublisher();
+    const files = [{ path: 'b.js', content: 'b' }, { path: 'index.html', content: 'a' }];
+    const first = await publisher.publish('same', files);
+    const second = await publisher.publish('same', [...files].reverse(), { isRevision: true });
+    assert.equal(first.commit_sha, second.commit_sha);
+});
+
+test('the local publisher refuses paths outside the task directory', async () => {
+    const publisher = createLocalPublisher();
+    await assert.rejects(publisher.publish('escape', [{ path: '../other/index.html', content: 'x' }]), /escapes/);
+    await assert.rejects(fs.access(path.join(root, 'sites', 'other')));
+});
+
+test('the directory publisher writes into one directory whatever the task', async () => {
+    const out = path.join(root, 'out');
+    const publisher = createDirectoryPublisher(out);
+    const result = await publisher.publish('any-task', [{ path: 'index.html', content: '<p>1</p>' }]);
+
+    assert.equal(result.pages_url, null);
+    assert.equal(result.repo_url, pathToFileURL(out).href);
+    assert.equal(publisher.pagesUrl('any-task'), null);
+    assert.deepEqual(byPath(await publisher.fetchFiles('other-task')), { 'index.html': '<p>1</p>' });
+});
+
+test('the directory publisher prunes only the files of the previous round', async () => {
+    const out = path.join(root, 'checkout');
+    await fs.mkdir(path.join(out, '.git'), { recursive: true });
+    await fs.writeFile(path.join(out, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+    const publisher = createDirectoryPublisher(out);
+    await publisher.publish('app', [{ path: 'index.html', content: 'v1' }, { path: 'js/old.js', content: 'old' }]);
+
+    await publisher.publish('app', [{ path: 'index.html', content: 'v2' }], { isRevision: true, prune: true });
+    assert.deepEqual(byPath(await publisher.fetchFiles('app')), { 'index.html': 'v2' });
+    // What isn't part of the file set is left alone
+    assert.equal(await fs.readFile(path.join(out, '.git', 'HEAD'), 'utf8'), 'ref: refs/heads/main\n');
+});